@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+
+// =================================================================
+// === Server Access Control                                     ===
+// =================================================================
+// The backend runs commands and fetches URLs, so only the editor page it
+// serves may call it. Three checks enforce that:
+//   - the Host header must name this server, which defeats DNS rebinding;
+//   - a browser Origin must be this server or one listed in allowedOrigins;
+//   - every /api request and terminal socket must carry the session token
+//     that is generated at launch and injected into index.html.
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+const SESSION_TOKEN_HEADER = 'x-session-token';
+// Browsers cannot set headers on WebSockets, so terminal sockets offer two
+// subprotocols: this one, which the server selects, and 'token.<session token>'.
+// Unlike a query parameter, the token then stays out of URLs and access logs.
+const TERMINAL_PROTOCOL = 'editor-terminal';
+const TOKEN_PROTOCOL_PREFIX = 'token.';
+
+function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host) || host.startsWith('127.');
+}
+
+// "example.com:3333" -> "example.com", "[::1]:3333" -> "::1"
+function hostnameOf(hostHeader) {
+  try {
+    return new URL(`http://${hostHeader}`).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+class AccessControl {
+  /**
+   * `host` is the address the server binds to. `allowedHosts` adds host names
+   * the server may be reached by (needed when binding to a LAN address);
+   * `allowedOrigins` adds origins, e.g. "http://localhost:3000", that may
+   * call the API cross-origin.
+   */
+  constructor({ host, allowedHosts = [], allowedOrigins = [] }) {
+    this.token = crypto.randomBytes(32).toString('hex');
+    this.allowedHosts = new Set([
+      ...LOOPBACK_HOSTS,
+      ...(WILDCARD_HOSTS.includes(host) ? [] : [host.toLowerCase()]),
+      ...allowedHosts.map((name) => name.toLowerCase()),
+    ]);
+    this.allowedOrigins = new Set(allowedOrigins);
+  }
+
+  isAllowedHost(hostHeader) {
+    const hostname = hostnameOf(hostHeader || '');
+    return hostname !== null && (this.allowedHosts.has(hostname) || isLoopbackHost(hostname));
+  }
+
+  // Requests without an Origin (curl, same-origin navigation) are let through; the token still applies.
+  isAllowedOrigin(origin, hostHeader) {
+    if (!origin) return true;
+    if (this.allowedOrigins.has(origin)) return true;
+    return origin === `http://${hostHeader}` || origin === `https://${hostHeader}`;
+  }
+
+  hasValidToken(candidate) {
+    if (typeof candidate !== 'string' || candidate.length !== this.token.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(this.token));
+  }
+
+  // Adds the session token to the editor page as <meta name="session-token">.
+  injectToken(html) {
+    return html.replace('</head>', `  <meta name="session-token" content="${this.token}" />\n  </head>`);
+  }
+
+  // Middleware for every request: refuses Host headers that do not name this server.
+  checkHost() {
+    return (req, res, next) => {
+      if (this.isAllowedHost(req.headers.host)) return next();
+      console.warn(`[BACKEND] Refused request for host '${req.headers.host}'`);
+      res.status(403).json({ message: `Host '${req.headers.host}' is not allowed. Add it to allowedHosts in backend/config.json.` });
+    };
+  }
+
+  // Middleware for /api: Origin and CORS checks, then the session token.
+  checkApi() {
+    return (req, res, next) => {
+      const { origin } = req.headers;
+      if (!this.isAllowedOrigin(origin, req.headers.host)) {
+        console.warn(`[BACKEND] Refused ${req.method} ${req.originalUrl} from origin '${origin}'`);
+        return res.status(403).json({ message: `Origin '${origin}' is not allowed to call the backend.` });
+      }
+      if (origin && this.allowedOrigins.has(origin)) {
+        res.set('Access-Control-Allow-Origin', origin);
+        res.set('Vary', 'Origin');
+        if (req.method === 'OPTIONS') {
+          res.set('Access-Control-Allow-Methods', 'GET, POST');
+          res.set('Access-Control-Allow-Headers', `Content-Type, ${SESSION_TOKEN_HEADER}`);
+          return res.status(204).end();
+        }
+      }
+      if (!this.hasValidToken(req.get(SESSION_TOKEN_HEADER))) {
+        return res.status(401).json({ message: 'Missing or invalid session token. Reload the editor page; the token changes every time the backend starts.' });
+      }
+      next();
+    };
+  }
+
+  verifyWebSocket(req) {
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map((protocol) => protocol.trim());
+    const offered = protocols.find((protocol) => protocol.startsWith(TOKEN_PROTOCOL_PREFIX));
+    const token = offered ? offered.slice(TOKEN_PROTOCOL_PREFIX.length) : null;
+    return this.isAllowedHost(req.headers.host) && this.isAllowedOrigin(req.headers.origin, req.headers.host) && this.hasValidToken(token);
+  }
+
+  // Options for a ws WebSocketServer: checks each upgrade and answers with the terminal subprotocol, never the token.
+  webSocketOptions() {
+    return {
+      verifyClient: ({ req }) => this.verifyWebSocket(req),
+      handleProtocols: (protocols) => (protocols.has(TERMINAL_PROTOCOL) ? TERMINAL_PROTOCOL : false),
+    };
+  }
+}
+
+module.exports = { AccessControl, isLoopbackHost, SESSION_TOKEN_HEADER, TERMINAL_PROTOCOL };
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// =================================================================
+// === Command Audit Log                                         ===
+// =================================================================
+// Append-only JSON Lines file with one entry per command the backend ran or
+// refused. Entries are never rewritten; output is stored only as a hash.
+// 'agent' entries come from the agent's tools and 'user' entries from the
+// Processes panel; the backend sets the source from the endpoint called.
+// Keystrokes typed into a browser terminal are not recorded.
+
+const AUDIT_LOG_PATH = path.join(__dirname, 'logs', 'command_audit.jsonl');
+const AUDIT_SOURCES = ['agent', 'user'];
+
+function hashOutput(output) {
+  return `sha256:${crypto.createHash('sha256').update(output || '').digest('hex')}`;
+}
+
+class AuditLog {
+  constructor(logPath = AUDIT_LOG_PATH) {
+    this.logPath = logPath;
+    // Appends are chained so concurrent commands never interleave lines.
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Records one command. `entry` holds `command`, `source` (one of
+   * AUDIT_SOURCES; anything else throws), `cwd`, `decision`
+   * ('ran', 'denied', or 'started' for background processes), and for
+   * commands that ran `exitCode`, `durationMs` and `output`; the output itself
+   * is replaced by its hash.
+   */
+  append({ output, ...entry }) {
+    if (!AUDIT_SOURCES.includes(entry.source)) {
+      throw new Error(`Unknown audit source '${entry.source}'; expected one of: ${AUDIT_SOURCES.join(', ')}.`);
+    }
+    const record = {
+      timestamp: new Date().toISOString(),
+      ...entry,
+      ...(output === undefined ? {} : { outputHash: hashOutput(output), outputBytes: Buffer.byteLength(output) }),
+    };
+    this.pending = this.pending
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.logPath), { recursive: true });
+        await fs.promises.appendFile(this.logPath, `${JSON.stringify(record)}\n`, { flag: 'a' });
+      })
+      .catch((error) => console.error('[BACKEND] Failed to write audit log:', error.message));
+    return this.pending;
+  }
+
+  /**
+   * Returns entries newest first. `source` and `query` (a substring of the
+   * command) filter them; `offset` and `limit` page through the result.
+   */
+  async read({ source, query, offset = 0, limit = 100 } = {}) {
+    await this.pending;
+    let text = '';
+    try {
+      text = await fs.promises.readFile(this.logPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const needle = typeof query === 'string' ? query.toLowerCase() : '';
+    const entries = [];
+    for (const line of text.split('\n').reverse()) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (source && entry.source !== source) continue;
+      if (needle && !String(entry.command).toLowerCase().includes(needle)) continue;
+      entries.push(entry);
+    }
+    const start = Math.max(0, Number(offset) || 0);
+    const count = Math.max(1, Math.min(Number(limit) || 100, 500));
+    return { path: this.logPath, total: entries.length, entries: entries.slice(start, start + count) };
+  }
+}
+
+module.exports = { AuditLog, AUDIT_SOURCES, hashOutput };
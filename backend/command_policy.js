@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// =================================================================
+// === Command Policy                                            ===
+// =================================================================
+// Decides whether a shell command from the agent may run, based on
+// backend/command_policy.json (see command_policy.example.json), and which
+// environment variables the command gets. Patterns are regular expressions;
+// compound commands (&&, ||, ;, |, &) are checked segment by segment. The
+// file is re-read when it changes, so edits apply without a restart.
+
+const POLICY_PATH = path.join(__dirname, 'command_policy.json');
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+  // When non-empty, every segment of a command must match one of these.
+  allow: [],
+  deny: [
+    '^\\s*sudo\\b',
+    '\\brm\\s+-[a-zA-Z]*[rR][a-zA-Z]*\\s+(/|~)(\\s|$)',
+    '\\bmkfs(\\.\\w+)?\\b',
+    '\\b(shutdown|reboot|halt|poweroff)\\b',
+    ':\\(\\)\\s*\\{',
+  ],
+  // Matching commands only run after the user confirms them in the chat.
+  confirm: ['\\bgit\\s+push\\b', '\\bnpm\\s+publish\\b', '\\brm\\s+-[a-zA-Z]*[rR]'],
+  env: {
+    // Variables whose names match are removed from the command's environment...
+    deny: ['KEY', 'TOKEN', 'SECRET', 'PASSWORD', 'PASSWD', 'CREDENTIAL', 'PRIVATE'],
+    // ...unless listed here by exact name.
+    allow: [],
+  },
+};
+
+const SEGMENT_SEPARATOR = /&&|\|\||\|&?|;|\r|\n|(?<![<>])&(?!>)/;
+const SUBSTITUTION_PATTERN = /`|\$\(|<\(|>\(/;
+
+class CommandPolicyError extends Error {
+  constructor(message, status = 403, confirmationId = null) {
+    super(message);
+    this.name = 'CommandPolicyError';
+    this.status = status;
+    this.confirmationId = confirmationId;
+  }
+}
+
+function compilePatterns(patterns, name, flags = '') {
+  if (!Array.isArray(patterns)) throw new Error(`'${name}' must be a list of patterns.`);
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid pattern in '${name}': ${error.message}`);
+    }
+  });
+}
+
+function compilePolicy(policy) {
+  const env = { ...DEFAULT_POLICY.env, ...(policy.env || {}) };
+  return {
+    source: policy,
+    allow: compilePatterns(policy.allow, 'allow'),
+    deny: compilePatterns(policy.deny, 'deny'),
+    confirm: compilePatterns(policy.confirm, 'confirm'),
+    envDeny: compilePatterns(env.deny, 'env.deny', 'i'),
+    envAllow: new Set(env.allow),
+  };
+}
+
+function splitSegments(command) {
+  return command.split(SEGMENT_SEPARATOR).map((segment) => segment.trim()).filter(Boolean);
+}
+
+// The command the shell runs for `data` typed into a terminal: one line, with an
+// optional final Enter. Any other control character (a second Enter, or readline
+// keys such as Ctrl-A and Ctrl-K) would run something other than what was checked.
+function terminalCommand(data) {
+  const command = data.replace(/\r$/, '');
+  if (/[\x00-\x1f\x7f]/.test(command)) {
+    throw new CommandPolicyError('Terminal input may not contain control characters other than a final Enter. Send one line at a time.', 400);
+  }
+  return command;
+}
+
+class CommandPolicy {
+  constructor(policyPath = POLICY_PATH) {
+    this.policyPath = policyPath;
+    this.loadedMtime = undefined;
+    this.compiled = null;
+    this.loadError = null;
+    this.confirmations = new Map();
+  }
+
+  // Returns the compiled policy, re-reading the file when its mtime changes.
+  current() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.policyPath).mtimeMs;
+    } catch (error) {
+      mtime = null;
+    }
+    if (mtime === this.loadedMtime) return this.compiled;
+
+    this.loadedMtime = mtime;
+    this.loadError = null;
+    try {
+      const fromFile = mtime === null ? {} : JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+      this.compiled = compilePolicy({ ...DEFAULT_POLICY, ...fromFile });
+      if (mtime !== null) console.log(`[BACKEND] Loaded command policy from ${this.policyPath}`);
+    } catch (error) {
+      // A broken policy file must not silently fall back to "allow everything".
+      this.compiled = null;
+      this.loadError = `Command policy ${this.policyPath} is invalid: ${error.message}`;
+      console.error(`[BACKEND] ${this.loadError}`);
+    }
+    return this.compiled;
+  }
+
+  describe() {
+    const policy = this.current();
+    return {
+      path: this.policyPath,
+      fromFile: this.loadedMtime !== null,
+      error: this.loadError,
+      policy: policy ? policy.source : null,
+    };
+  }
+
+  /**
+   * Checks `command` against the policy. Returns `{ allowed, reason,
+   * requiresConfirmation }`; `reason` names the rule that decided.
+   */
+  evaluate(command) {
+    const policy = this.current();
+    if (!policy) return { allowed: false, reason: this.loadError, requiresConfirmation: false };
+
+    const segments = splitSegments(command);
+    const candidates = [command, ...segments];
+    const denied = policy.deny.find((pattern) => candidates.some((text) => pattern.test(text)));
+    if (denied) return { allowed: false, reason: `matches deny pattern ${denied}`, requiresConfirmation: false };
+
+    if (policy.allow.length > 0) {
+      if (SUBSTITUTION_PATTERN.test(command)) {
+        return { allowed: false, reason: 'command substitution is not allowed while an allowlist is set', requiresConfirmation: false };
+      }
+      const unlisted = segments.find((segment) => !policy.allow.some((pattern) => pattern.test(segment)));
+      if (unlisted) return { allowed: false, reason: `'${unlisted}' matches no allow pattern`, requiresConfirmation: false };
+    }
+
+    const confirm = policy.confirm.find((pattern) => candidates.some((text) => pattern.test(text)));
+    return {
+      allowed: true,
+      reason: confirm ? `matches confirm pattern ${confirm}` : null,
+      requiresConfirmation: Boolean(confirm),
+    };
+  }
+
+  /**
+   * Throws a CommandPolicyError unless `command` may run now: 403 when it is
+   * denied, 428 with a `confirmationId` when the user must confirm it first.
+   * Pass the id back as `confirmationId` once the user has agreed.
+   */
+  authorize(command, confirmationId) {
+    const decision = this.evaluate(command);
+    if (!decision.allowed) {
+      throw new CommandPolicyError(`Command blocked by the backend command policy: ${decision.reason}.`);
+    }
+    if (decision.requiresConfirmation && !this.consumeConfirmation(confirmationId, command)) {
+      const id = crypto.randomUUID();
+      this.confirmations.set(id, { command, expiresAt: Date.now() + CONFIRMATION_TTL_MS });
+      throw new CommandPolicyError(`The command policy requires confirmation: ${decision.reason}.`, 428, id);
+    }
+    return decision;
+  }
+
+  consumeConfirmation(id, command) {
+    const now = Date.now();
+    for (const [key, pending] of this.confirmations) {
+      if (pending.expiresAt < now) this.confirmations.delete(key);
+    }
+    const pending = id && this.confirmations.get(id);
+    if (!pending || pending.command !== command) return false;
+    this.confirmations.delete(id);
+    return true;
+  }
+
+  // A copy of `env` without the variables the policy hides from commands.
+  filterEnv(env = process.env) {
+    const policy = this.current();
+    if (!policy) return {};
+    const filtered = {};
+    for (const [name, value] of Object.entries(env)) {
+      if (policy.envAllow.has(name) || !policy.envDeny.some((pattern) => pattern.test(name))) {
+        filtered[name] = value;
+      }
+    }
+    return filtered;
+  }
+}
+
+module.exports = { CommandPolicy, CommandPolicyError, DEFAULT_POLICY, terminalCommand };
@@ -0,0 +1,111 @@
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+
+// =================================================================
+// === Non-Interactive Command Runner                            ===
+// =================================================================
+// Runs a shell command without a PTY so stdout and stderr stay separate, the
+// exit code is the command's own and no prompt or echo ends up in the output.
+// Interactive programs belong in the PTY terminals instead.
+
+const IS_WINDOWS = os.platform() === 'win32';
+const MAX_KEPT_CHARS = 200000;
+const STOP_GRACE_MS = 3000;
+const ANSI_PATTERN = /\u001b\[[0-?]*[ -/]*[@-~]|\u001b\][^\u0007]*(?:\u0007|\u001b\\)|\u001b[@-Z\\-_]/g;
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n');
+}
+
+// Signals a process started with `detached: true` together with its children.
+function killProcessTree(pid, signal = 'SIGTERM') {
+  try {
+    if (IS_WINDOWS) {
+      spawnSync('taskkill', ['/pid', String(pid), '/T', '/F']);
+    } else {
+      process.kill(-pid, signal);
+    }
+  } catch (error) {
+    if (error.code !== 'ESRCH') console.error(`[BACKEND] Failed to signal process ${pid}:`, error.message);
+  }
+}
+
+/**
+ * Starts `command` in a shell and returns `{ pid, stop, result }`. `result`
+ * resolves once the command has ended to `{ stdout, stderr, exitCode,
+ * signal, durationMs, timedOut, stopped, totalChars, outputHash, outputBytes }`
+ * with ANSI escapes stripped; each stream keeps at most its last
+ * MAX_KEPT_CHARS characters and `totalChars` counts everything written.
+ * `onOutput(stream, text)` sees the output as it arrives.
+ */
+function runCommand(command, { cwd, env = process.env, timeoutMs, onOutput = () => {} } = {}) {
+  const startedAt = Date.now();
+  // stdin is closed so a command waiting for input fails instead of hanging.
+  const child = spawn(command, { cwd, env, shell: true, detached: !IS_WINDOWS, windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] });
+  const outputHash = crypto.createHash('sha256');
+  const kept = { stdout: '', stderr: '' };
+  const totalChars = { stdout: 0, stderr: 0 };
+  let outputBytes = 0;
+  let timedOut = false;
+  let stopped = false;
+  let finished = false;
+
+  const capture = (stream) => (data) => {
+    outputHash.update(data);
+    outputBytes += data.length;
+    const text = stripAnsi(data.toString());
+    totalChars[stream] += text.length;
+    kept[stream] = (kept[stream] + text).slice(-MAX_KEPT_CHARS);
+    onOutput(stream, text);
+  };
+  child.stdout.on('data', capture('stdout'));
+  child.stderr.on('data', capture('stderr'));
+
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child.pid, 'SIGKILL');
+      }, timeoutMs)
+    : null;
+
+  const result = new Promise((resolve) => {
+    const finish = (exitCode, signal) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve({
+        stdout: kept.stdout,
+        stderr: kept.stderr,
+        exitCode,
+        signal: signal || null,
+        durationMs: Date.now() - startedAt,
+        timedOut,
+        stopped,
+        totalChars,
+        outputHash: `sha256:${outputHash.digest('hex')}`,
+        outputBytes,
+      });
+    };
+    child.on('close', finish);
+    child.on('error', (error) => {
+      capture('stderr')(Buffer.from(`${error.message}\n`));
+      finish(null, null);
+    });
+  });
+
+  return {
+    pid: child.pid,
+    result,
+    stop() {
+      if (finished) return;
+      stopped = true;
+      killProcessTree(child.pid, 'SIGTERM');
+      setTimeout(() => {
+        if (!finished) killProcessTree(child.pid, 'SIGKILL');
+      }, STOP_GRACE_MS);
+    },
+  };
+}
+
+module.exports = { runCommand, killProcessTree, stripAnsi };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// =================================================================
+// === Backend Configuration                                     ===
+// =================================================================
+// Settings come from an optional backend/config.json (see config.example.json)
+// and, for host and port, the command line (`node index.js --host 0.0.0.0
+// --port 4000`), which wins over the file. Every setting has a default, so
+// the backend also runs without either.
+
+const CONFIG_PATH = path.join(__dirname, 'config.json');
+
+const DEFAULT_CONFIG = {
+  // Loopback only by default; binding anything else exposes the backend to the network.
+  host: '127.0.0.1',
+  port: 3333,
+  // Extra host names the server may be reached by, e.g. its LAN name when `host` is 0.0.0.0.
+  allowedHosts: [],
+  // Other origins (e.g. "http://localhost:3000") allowed to call the API.
+  allowedOrigins: [],
+  // Folders the editor may open, as { name, path } with an absolute path.
+  workspaces: [],
+  // Limits for URLs fetched by the agent; see DEFAULT_FETCH_OPTIONS in safe_fetch.js.
+  fetch: {},
+  // Web search: `searxngUrl` for the SearXNG provider, `fixturePath` for the offline fixture provider.
+  search: {},
+};
+
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+function loadConfig(args = process.argv.slice(2)) {
+  const { values } = parseArgs({ args, options: { host: { type: 'string' }, port: { type: 'string' } }, strict: false });
+  const config = { ...DEFAULT_CONFIG, ...readConfigFile() };
+  if (typeof values.host === 'string') config.host = values.host;
+  if (typeof values.port === 'string') config.port = values.port;
+  config.port = Number(config.port);
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    throw new Error(`Invalid port '${values.port || config.port}'.`);
+  }
+  return config;
+}
+
+module.exports = { CONFIG_PATH, loadConfig };
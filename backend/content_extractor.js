@@ -0,0 +1,322 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// =================================================================
+// === Readable Content Extraction                               ===
+// =================================================================
+// Turns a fetched document into text the model can read: HTML pages are
+// reduced to their main content and converted to Markdown, JSON is pretty
+// printed and PDFs are reduced to their text. Long results are split into
+// pages that can be requested one at a time.
+
+const PAGE_SIZE = 20000;
+const MAX_LINKS = 200;
+// Elements that never belong to the readable content of a page.
+const NOISE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', '[role=navigation]', '[role=banner]', '[role=contentinfo]',
+  '[aria-hidden=true]', '[hidden]',
+].join(', ');
+// Tried in order; the first one with enough text is taken as the main content.
+const MAIN_SELECTORS = ['article', 'main', '[role=main]', '#content', '#main', '.markdown-body', '.post-content', '.entry-content', '.content'];
+const MIN_MAIN_TEXT = 200;
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'details', 'summary', 'address']);
+
+function absoluteUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+// Picks the element holding the article: a semantic container if there is one,
+// otherwise the block whose paragraphs hold the most text that is not links.
+function findMainContent($) {
+  for (const selector of MAIN_SELECTORS) {
+    const candidate = $(selector).toArray().find((el) => $(el).text().trim().length >= MIN_MAIN_TEXT);
+    if (candidate) return $(candidate);
+  }
+  const scores = new Map();
+  $('p, pre, td, li').each((_, el) => {
+    const text = $(el).text().trim();
+    if (text.length < 25) return;
+    const linkText = $(el).find('a').text().length;
+    const score = text.length - linkText;
+    const parent = el.parent;
+    if (!parent) return;
+    scores.set(parent, (scores.get(parent) || 0) + score);
+    if (parent.parent) scores.set(parent.parent, (scores.get(parent.parent) || 0) + score / 2);
+  });
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+  return best ? $(best) : $('body');
+}
+
+function codeLanguage($, el) {
+  const classes = `${$(el).attr('class') || ''} ${$(el).find('code').attr('class') || ''}`;
+  const match = classes.match(/(?:language|lang|highlight-source)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+function fence(code) {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map((ticks) => ticks.length));
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * Converts HTML elements to Markdown. Links and images are resolved against
+ * `baseUrl`; every link is also recorded in `links` as `{ url, text }`.
+ */
+class MarkdownConverter {
+  constructor($, baseUrl) {
+    this.$ = $;
+    this.baseUrl = baseUrl;
+    this.links = new Map();
+  }
+
+  convert(nodes) {
+    return nodes.map((node) => this.node(node)).join('');
+  }
+
+  inline(el) {
+    return collapseWhitespace(this.convert(this.$(el).contents().toArray())).trim();
+  }
+
+  node(node) {
+    if (node.type === 'text') return collapseWhitespace(node.data);
+    if (node.type !== 'tag') return '';
+    const $ = this.$;
+    const tag = node.name.toLowerCase();
+    const children = () => this.convert($(node).contents().toArray());
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = this.inline(node);
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    switch (tag) {
+      case 'br':
+        return '  \n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong':
+      case 'b': {
+        const text = this.inline(node);
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = this.inline(node);
+        return text ? `_${text}_` : '';
+      }
+      case 'del':
+      case 's':
+        return `~~${this.inline(node)}~~`;
+      case 'code': {
+        const text = $(node).text();
+        const ticks = text.includes('`') ? '``' : '`';
+        return text ? `${ticks}${text}${ticks}` : '';
+      }
+      case 'pre': {
+        const code = $(node).text().replace(/\n+$/, '');
+        const marker = fence(code);
+        return `\n\n${marker}${codeLanguage($, node)}\n${code}\n${marker}\n\n`;
+      }
+      case 'a':
+        return this.link(node);
+      case 'img': {
+        const src = absoluteUrl($(node).attr('src') || '', this.baseUrl);
+        const alt = collapseWhitespace($(node).attr('alt') || '').trim();
+        return src && alt ? `![${alt}](${src})` : '';
+      }
+      case 'ul':
+      case 'ol':
+        return `\n\n${this.list(node, tag === 'ol')}\n\n`;
+      case 'blockquote': {
+        const text = this.tidy(children());
+        return text ? `\n\n${text.split('\n').map((line) => `> ${line}`.trimEnd()).join('\n')}\n\n` : '';
+      }
+      case 'table':
+        return `\n\n${this.table(node)}\n\n`;
+      default:
+        return BLOCK_TAGS.has(tag) ? `\n\n${children()}\n\n` : children();
+    }
+  }
+
+  link(el) {
+    const $ = this.$;
+    const text = this.inline(el);
+    const url = absoluteUrl($(el).attr('href') || '', this.baseUrl);
+    if (!url) return text;
+    if (!text) return '';
+    if (!this.links.has(url) && this.links.size < MAX_LINKS) {
+      this.links.set(url, collapseWhitespace($(el).text()).trim() || text);
+    }
+    return `[${text}](${url})`;
+  }
+
+  list(el, ordered, depth = 0) {
+    const $ = this.$;
+    const indent = '  '.repeat(depth);
+    return $(el).children('li').toArray().map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : '-';
+      const nested = $(item).children('ul, ol').toArray()
+        .map((child) => `\n${this.list(child, child.name === 'ol', depth + 1)}`)
+        .join('');
+      const body = this.tidy(this.convert($(item).contents().toArray().filter((child) => !['ul', 'ol'].includes(child.name))))
+        .replace(/\n/g, `\n${indent}  `);
+      return `${indent}${marker} ${body}${nested}`;
+    }).join('\n');
+  }
+
+  // GitHub-flavoured table; the first row is the header whether or not it uses <th>.
+  table(el) {
+    const $ = this.$;
+    const rows = $(el).find('tr').toArray()
+      .filter((row) => $(row).closest('table').is(el))
+      .map((row) => $(row).children('th, td').toArray().map((cell) => this.inline(cell).replace(/\|/g, '\\|')));
+    if (rows.length === 0) return '';
+    const width = Math.max(...rows.map((row) => row.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    const [header, ...body] = rows;
+    return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+  }
+
+  // Removes the stray spaces and blank lines left by collapsed whitespace, leaving code blocks untouched.
+  tidy(markdown) {
+    const lines = [];
+    let inFence = false;
+    for (const line of markdown.split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      if (inFence || /^\s*(```|~~~)/.test(line)) {
+        lines.push(line);
+        continue;
+      }
+      const tidied = line.replace(/^ (?=\S)/, '').replace(/\s+$/, (space) => (space.length >= 2 && line.trim() ? '  ' : ''));
+      if (tidied === '' && (lines.length === 0 || lines[lines.length - 1] === '')) continue;
+      lines.push(tidied);
+    }
+    return lines.join('\n').trim();
+  }
+}
+
+function htmlToMarkdown(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const title = collapseWhitespace($('title').first().text()).trim() || collapseWhitespace($('h1').first().text()).trim();
+  $(NOISE_SELECTOR).remove();
+  const main = findMainContent($);
+  const converter = new MarkdownConverter($, baseUrl);
+  const content = converter.tidy(converter.convert(main.toArray()));
+  const links = Array.from(converter.links, ([url, text]) => ({ url, text }));
+  return { title, content, links };
+}
+
+async function pdfToText(buffer) {
+  // The package index runs a self-test when loaded outside a parent module; the library file does not.
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+  // pdf.js reads the underlying ArrayBuffer, which for a pooled Buffer holds other data too; hand it a copy.
+  const data = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (page) => {
+      const { items } = await page.getTextContent();
+      let lastY;
+      let text = '';
+      for (const item of items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    },
+  });
+  const content = pages.map((text, index) => `## Page ${index + 1}\n\n${text.trim()}`).join('\n\n');
+  return { title: (data.info && data.info.Title) || '', content, links: [] };
+}
+
+// Every http(s) link in the whole document, navigation included, without fragments.
+function extractLinks(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = new Set();
+  $('a[href]').each((_, el) => {
+    const url = absoluteUrl($(el).attr('href'), baseUrl);
+    if (url) links.add(url.replace(/#.*$/, ''));
+  });
+  return Array.from(links);
+}
+
+/**
+ * Extracts readable content from a response body. Returns `{ format, title,
+ * content, links }` where `format` is 'markdown', 'json', 'text' or 'pdf'.
+ */
+async function extractContent(body, contentType, baseUrl) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+
+  if (type === 'application/pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return { format: 'pdf', ...(await pdfToText(buffer)) };
+  }
+  const text = buffer.toString('utf8');
+  if (type === 'application/json' || type.endsWith('+json')) {
+    try {
+      return { format: 'json', title: '', content: JSON.stringify(JSON.parse(text), null, 2), links: [] };
+    } catch (error) {
+      return { format: 'text', title: '', content: text, links: [] };
+    }
+  }
+  if (type === 'text/html' || type === 'application/xhtml+xml' || (!type && /^\s*<(!doctype html|html)/i.test(text))) {
+    return { format: 'markdown', ...htmlToMarkdown(text, baseUrl) };
+  }
+  return { format: 'text', title: '', content: text, links: [] };
+}
+
+/**
+ * Splits `text` into pages of about `pageSize` characters, breaking between
+ * paragraphs and never inside a fenced code block unless the block alone is
+ * larger than a page.
+ */
+function paginate(text, pageSize = PAGE_SIZE) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && line.trim() === '' && current.length > 0) {
+      blocks.push(current.join('\n'));
+      current = [];
+    } else if (line.trim() !== '' || current.length > 0) {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+
+  const pages = [];
+  let page = '';
+  for (const block of blocks) {
+    if (page && page.length + block.length + 2 > pageSize) {
+      pages.push(page);
+      page = '';
+    }
+    if (block.length > pageSize) {
+      for (let start = 0; start < block.length; start += pageSize) {
+        pages.push(block.slice(start, start + pageSize));
+      }
+      continue;
+    }
+    page = page ? `${page}\n\n${block}` : block;
+  }
+  if (page || pages.length === 0) pages.push(page);
+  return pages;
+}
+
+module.exports = { extractContent, extractLinks, paginate, PAGE_SIZE };
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { extractContent, extractLinks } = require('./content_extractor');
+
+// =================================================================
+// === Site Crawler                                              ===
+// =================================================================
+// Reads a documentation site breadth-first from a start page, one request at
+// a time through a rate limiter, and returns a table of contents with a short
+// summary of every page. The pages can also be written out as Markdown files.
+
+const DEFAULT_MAX_PAGES = 20;
+const MAX_PAGES = 100;
+const MAX_DEPTH = 5;
+const SUMMARY_CHARS = 300;
+// Links to these are never followed; they are not pages.
+const SKIPPED_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|css|js|mjs|map|zip|gz|tgz|tar|exe|dmg|mp3|mp4|webm|woff2?|ttf|eot)$/i;
+
+class CrawlError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CrawlError';
+    this.status = status;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiles a URL path glob ('*', '**', '?', '{a,b}') anchored at the start of the path.
+function compilePathGlob(glob) {
+  const pattern = glob.startsWith('/') ? glob : `/${glob}`;
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        source += '.*';
+        i += 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function normalizeUrl(href) {
+  const url = new URL(href);
+  url.hash = '';
+  return url.href;
+}
+
+// The first paragraph of prose, without Markdown link and emphasis syntax.
+function summarize(markdown) {
+  const block = markdown
+    .split(/\n{2,}/)
+    .find((text) => !/^\s*(#|```|~~~|\||>|-\s|\d+\.\s|!\[)/.test(text) && text.trim().length > 40) || '';
+  const text = block
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > SUMMARY_CHARS ? `${text.slice(0, SUMMARY_CHARS - 1)}…` : text;
+}
+
+/**
+ * Crawls from `url` and resolves to `{ startUrl, pages, duplicates, errors }`.
+ * Each page is `{ url, title, depth, format, summary, content }`. Links are
+ * followed up to `maxDepth` levels and `maxPages` pages; with `sameOrigin`
+ * only within the start page's origin. `include` and `exclude` are globs
+ * matched against the URL path (e.g. '/docs/**'); the start page is always
+ * read. Pages whose content repeats an earlier page count as duplicates.
+ */
+async function crawlSite(
+  { url, maxDepth = 1, maxPages = DEFAULT_MAX_PAGES, sameOrigin = true, include = [], exclude = [] },
+  { fetcher, rateLimiter },
+) {
+  let start;
+  try {
+    start = new URL(normalizeUrl(url));
+  } catch (error) {
+    throw new CrawlError(`Invalid URL: ${url}`);
+  }
+  const depthLimit = Math.min(Math.max(0, Math.floor(Number(maxDepth)) || 0), MAX_DEPTH);
+  const pageLimit = Math.min(Math.max(1, Math.floor(Number(maxPages)) || DEFAULT_MAX_PAGES), MAX_PAGES);
+  const includeGlobs = (include || []).map(compilePathGlob);
+  const excludeGlobs = (exclude || []).map(compilePathGlob);
+
+  const shouldFollow = (link) => {
+    const target = new URL(link);
+    if (sameOrigin && target.origin !== start.origin) return false;
+    if (SKIPPED_EXTENSIONS.test(target.pathname)) return false;
+    if (includeGlobs.length > 0 && !includeGlobs.some((glob) => glob.test(target.pathname))) return false;
+    return !excludeGlobs.some((glob) => glob.test(target.pathname));
+  };
+
+  const queue = [{ url: start.href, depth: 0 }];
+  const seen = new Set([start.href]);
+  const contentHashes = new Set();
+  const pages = [];
+  const errors = [];
+  let duplicates = 0;
+
+  while (queue.length > 0 && pages.length < pageLimit) {
+    const { url: pageUrl, depth } = queue.shift();
+    try {
+      await rateLimiter.acquire();
+      const { finalUrl, contentType, body } = await fetcher.fetch(pageUrl, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      const normalizedFinal = normalizeUrl(finalUrl);
+      if (normalizedFinal !== pageUrl && seen.has(normalizedFinal)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(normalizedFinal);
+      const { format, title, content } = await extractContent(body, contentType, finalUrl);
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      if (contentHashes.has(hash)) {
+        duplicates++;
+        continue;
+      }
+      contentHashes.add(hash);
+      pages.push({ url: normalizedFinal, title: title || normalizedFinal, depth, format, summary: summarize(content), content });
+      console.log(`[BACKEND] Crawled ${normalizedFinal} (${pages.length}/${pageLimit})`);
+
+      if (depth < depthLimit && format === 'markdown') {
+        for (const link of extractLinks(body.toString('utf8'), finalUrl)) {
+          if (seen.has(link) || !shouldFollow(link)) continue;
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    } catch (error) {
+      errors.push({ url: pageUrl, message: error.message });
+    }
+  }
+
+  return { startUrl: start.href, pages, duplicates, errors };
+}
+
+// "https://site/docs/guide/" -> "docs/guide/index.md"; pages on other hosts go in a folder named after the host.
+function fileNameFor(pageUrl, startUrl) {
+  const url = new URL(pageUrl);
+  const segments = url.pathname.split('/').filter(Boolean).map((segment) => {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      // Keep malformed escapes as they are.
+    }
+    // Leading dots are replaced so no segment can become '..' or a hidden file.
+    return decoded.replace(/[^\w.-]+/g, '-').replace(/^\.+/, '_');
+  });
+  if (url.pathname.endsWith('/') || segments.length === 0) segments.push('index');
+  segments[segments.length - 1] = segments[segments.length - 1].replace(/\.(html?|php|aspx?)$/i, '');
+  if (url.search) segments[segments.length - 1] += `-${crypto.createHash('sha1').update(url.search).digest('hex').slice(0, 8)}`;
+  if (url.host !== new URL(startUrl).host) segments.unshift(url.host.replace(/[^\w.-]+/g, '-'));
+  return `${segments.join('/')}.md`;
+}
+
+/**
+ * Writes every crawled page to `directory` as Markdown, plus an index.md
+ * table of contents linking to them. Files that already exist are left alone.
+ * Resolves to `{ files, skipped }`: the file names written and the ones
+ * skipped because they existed, both relative to `directory`.
+ */
+async function saveCrawl({ startUrl, pages }, directory) {
+  // index.md is the table of contents; a page that would be called that gets a suffix.
+  const used = new Set(['index.md']);
+  const entries = [];
+  const files = [];
+  const skipped = [];
+  // 'wx' fails instead of overwriting, so a page can never replace a project file.
+  const writeNew = async (fileName, text) => {
+    const target = path.join(directory, fileName);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.writeFile(target, text, { flag: 'wx' });
+      files.push(fileName);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      skipped.push(fileName);
+      return false;
+    }
+  };
+
+  for (const page of pages) {
+    const base = fileNameFor(page.url, startUrl).replace(/\.md$/, '');
+    let fileName = `${base}.md`;
+    for (let n = 2; used.has(fileName); n++) fileName = `${base}-${n}.md`;
+    used.add(fileName);
+    const text = page.format === 'markdown' ? page.content : `\`\`\`\n${page.content}\n\`\`\``;
+    const heading = text.startsWith('# ') ? '' : `# ${page.title}\n\n`;
+    if (await writeNew(fileName, `Source: ${page.url}\n\n${heading}${text}\n`)) entries.push({ page, fileName });
+  }
+  const toc = entries
+    .map(({ page, fileName }) => `- [${page.title.replace(/[[\]]/g, '')}](${encodeURI(fileName)})${page.summary ? ` — ${page.summary}` : ''}`)
+    .join('\n');
+  await writeNew('index.md', `# Crawl of ${startUrl}\n\n${toc}\n`);
+  return { files, skipped };
+}
+
+// Resolves a workspace-relative folder, refusing the workspace root itself and paths that leave the workspace.
+function resolveInside(root, relativePath) {
+  const target = path.resolve(root, relativePath.replace(/^[/\\]+/, ''));
+  if (target === root) {
+    throw new CrawlError('Pages cannot be saved into the workspace root; name a subfolder such as docs/vendor.');
+  }
+  if (!target.startsWith(`${root}${path.sep}`)) {
+    throw new CrawlError(`'${relativePath}' is outside the workspace.`);
+  }
+  return target;
+}
+
+module.exports = { crawlSite, saveCrawl, resolveInside, CrawlError };
@@ -0,0 +1,228 @@
+const { execFile } = require('child_process');
+const path = require('path');
+
+// =================================================================
+// === Git Commands                                              ===
+// =================================================================
+// Each command runs git directly (no shell) in the project directory and
+// parses its machine-readable output into JSON for the frontend.
+
+const GIT_MAX_BUFFER = 20 * 1024 * 1024;
+const GIT_TIMEOUT_MS = 30000;
+const MAX_DIFF_CHARS = 100000;
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+const COMMIT_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%s'].join('%x1f');
+
+class GitError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'GitError';
+    this.status = status;
+  }
+}
+
+// `repo` is `{ cwd, env }`: the project directory and the environment git runs
+// with. Hooks (e.g. pre-commit) inherit that environment, so it must not hold secrets.
+function runGit(repo, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: repo.cwd, env: repo.env, maxBuffer: GIT_MAX_BUFFER, timeout: GIT_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        const message = (stderr || error.message).trim();
+        reject(new GitError(`git ${args[0]} failed: ${message}`, /not a git repository/i.test(message) ? 400 : 500));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Refs and paths come from the AI; a leading '-' would be read as an option.
+function assertRef(ref, name) {
+  if (typeof ref !== 'string' || ref.trim() === '' || ref.startsWith('-') || /\s/.test(ref)) {
+    throw new GitError(`Invalid ${name}: '${ref}'.`, 400);
+  }
+  return ref;
+}
+
+function assertProjectPath(filePath) {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    throw new GitError('A file path is required.', 400);
+  }
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+  if (path.isAbsolute(filePath) || normalized === '..' || normalized.startsWith('../')) {
+    throw new GitError(`Path '${filePath}' must be relative to the project root.`, 400);
+  }
+  return normalized;
+}
+
+function truncateDiff(diff) {
+  if (diff.length <= MAX_DIFF_CHARS) return { diff, truncated: false };
+  return { diff: diff.slice(0, MAX_DIFF_CHARS), truncated: true };
+}
+
+function parseCommit(record) {
+  const [hash, shortHash, author, email, date, subject] = record.split(FIELD_SEPARATOR);
+  return { hash, shortHash, author, email, date, subject };
+}
+
+function parseBranchHeader(header) {
+  // "## main...origin/main [ahead 1, behind 2]" or "## No commits yet on main"
+  const result = { branch: null, upstream: null, ahead: 0, behind: 0 };
+  const match = header.match(/^## (?:No commits yet on )?(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+  if (!match) return result;
+  result.branch = match[1] === 'HEAD (no branch)' ? null : match[1];
+  result.upstream = match[2] || null;
+  const counts = match[3] || '';
+  const ahead = counts.match(/ahead (\d+)/);
+  const behind = counts.match(/behind (\d+)/);
+  result.ahead = ahead ? Number(ahead[1]) : 0;
+  result.behind = behind ? Number(behind[1]) : 0;
+  return result;
+}
+
+async function status(repo) {
+  // Porcelain paths are relative to the repository root; make them relative to
+  // the project when it is a subfolder of the repository.
+  const prefix = (await runGit(repo, ['rev-parse', '--show-prefix'])).trim();
+  const toProjectPath = (filePath) => (filePath && filePath.startsWith(prefix) ? filePath.slice(prefix.length) : filePath);
+  const output = await runGit(repo, ['status', '--porcelain=v1', '--branch', '-z', '--untracked-files=all', '--', '.']);
+  const entries = output.split('\0');
+  const result = { ...parseBranchHeader(entries.shift() || ''), files: [] };
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    const index = entry[0];
+    const worktree = entry[1];
+    const file = { path: toProjectPath(entry.slice(3)), index, worktree };
+    // Renames and copies are followed by the original path as a separate entry.
+    if (index === 'R' || index === 'C') file.originalPath = toProjectPath(entries[++i]);
+    file.untracked = index === '?';
+    file.staged = !file.untracked && index !== ' ';
+    file.unstaged = !file.untracked && worktree !== ' ';
+    result.files.push(file);
+  }
+  result.clean = result.files.length === 0;
+  return result;
+}
+
+async function diff(repo, { staged = false, from, to, path: filePath, contextLines = 3 } = {}) {
+  const args = ['diff', '--no-color', '--no-ext-diff', '--relative'];
+  if (staged) args.push('--cached');
+  if (from) args.push(assertRef(from, 'from ref'));
+  if (to) args.push(assertRef(to, 'to ref'));
+  const pathArgs = filePath ? ['--', assertProjectPath(filePath)] : [];
+  const context = Math.max(0, Math.min(Number.isFinite(Number(contextLines)) ? Number(contextLines) : 3, 20));
+
+  const numstat = await runGit(repo, [...args, '--numstat', ...pathArgs]);
+  const files = numstat.split('\n').filter(Boolean).map((line) => {
+    const [additions, deletions, ...name] = line.split('\t');
+    return {
+      path: name.join('\t'),
+      additions: additions === '-' ? null : Number(additions),
+      deletions: deletions === '-' ? null : Number(deletions),
+      binary: additions === '-',
+    };
+  });
+  return { files, ...truncateDiff(await runGit(repo, [...args, `-U${context}`, ...pathArgs])) };
+}
+
+async function log(repo, { path: filePath, ref, maxCount = 20 } = {}) {
+  const count = Math.max(1, Math.min(Number(maxCount) || 20, 200));
+  const args = ['log', `--max-count=${count}`, `--format=${COMMIT_FORMAT}%x1e`];
+  if (ref) args.push(assertRef(ref, 'ref'));
+  if (filePath) args.push('--follow', '--', assertProjectPath(filePath));
+  const output = await runGit(repo, args);
+  const commits = output.split(RECORD_SEPARATOR).map((record) => record.trim()).filter(Boolean).map(parseCommit);
+  return { commits };
+}
+
+async function blame(repo, { path: filePath, startLine, endLine, ref } = {}) {
+  const args = ['blame', '--porcelain'];
+  if (startLine || endLine) {
+    args.push(`-L${Math.max(1, Number(startLine) || 1)},${endLine ? Number(endLine) : ''}`);
+  }
+  if (ref) args.push(assertRef(ref, 'ref'));
+  args.push('--', assertProjectPath(filePath));
+  const output = await runGit(repo, args);
+
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      if (!commits.has(header[1])) commits.set(header[1], { hash: header[1] });
+      current = { commit: commits.get(header[1]), line: Number(header[2]) };
+    } else if (line.startsWith('\t') && current) {
+      const { commit } = current;
+      lines.push({
+        line: current.line,
+        commit: commit.hash.slice(0, 8),
+        author: commit.author,
+        date: commit.time ? new Date(commit.time * 1000).toISOString() : null,
+        summary: commit.summary,
+        content: line.slice(1),
+      });
+      current = null;
+    } else if (current) {
+      const space = line.indexOf(' ');
+      const key = space === -1 ? line : line.slice(0, space);
+      const value = space === -1 ? '' : line.slice(space + 1);
+      if (key === 'author') current.commit.author = value;
+      if (key === 'author-time') current.commit.time = Number(value);
+      if (key === 'summary') current.commit.summary = value;
+    }
+  }
+  return { path: filePath, lines };
+}
+
+async function show(repo, { ref = 'HEAD', path: filePath } = {}) {
+  assertRef(ref, 'ref');
+  if (filePath) {
+    // "./" makes the path relative to the project directory rather than the repository root.
+    const content = await runGit(repo, ['show', `${ref}:./${assertProjectPath(filePath)}`]);
+    return { ref, path: filePath, content };
+  }
+  const output = await runGit(repo, ['show', '--no-color', '--no-ext-diff', `--format=${COMMIT_FORMAT}%x1e`, ref]);
+  const separator = output.indexOf(RECORD_SEPARATOR);
+  return {
+    commit: parseCommit(output.slice(0, separator)),
+    ...truncateDiff(output.slice(separator + 1).replace(/^\n+/, '')),
+  };
+}
+
+async function add(repo, { paths } = {}) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new GitError("'paths' must list at least one file to stage.", 400);
+  }
+  await runGit(repo, ['add', '--', ...paths.map(assertProjectPath)]);
+  return status(repo);
+}
+
+async function commit(repo, { message } = {}) {
+  if (typeof message !== 'string' || message.trim() === '') {
+    throw new GitError('A commit message is required.', 400);
+  }
+  const staged = (await status(repo)).files.filter((file) => file.staged);
+  if (staged.length === 0) {
+    throw new GitError('Nothing is staged. Stage files with git add first.', 400);
+  }
+  await runGit(repo, ['commit', '-m', message]);
+  const [created] = (await log(repo, { maxCount: 1 })).commits;
+  return { commit: created, files: staged.map((file) => file.path) };
+}
+
+async function branches(repo, { all = false } = {}) {
+  const args = ['branch', '--list', '--format=%(HEAD)%1f%(refname:short)%1f%(objectname:short)%1f%(upstream:short)'];
+  if (all) args.push('--all');
+  const output = await runGit(repo, args);
+  const list = output.split('\n').filter(Boolean).map((line) => {
+    const [head, name, hash, upstream] = line.split(FIELD_SEPARATOR);
+    return { name, hash, upstream: upstream || null, current: head === '*' };
+  });
+  const current = list.find((branch) => branch.current);
+  return { current: current ? current.name : null, branches: list };
+}
+
+module.exports = { GitError, status, diff, log, blame, show, add, commit, branches, parseBranchHeader };
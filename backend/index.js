@@ -1,177 +1,338 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const pty = require('node-pty');
-const axios = require('axios');
-const cheerio = require('cheerio');
+const crypto = require('crypto');
 const { URL } = require('url');
+const { buildTestCommand, runTests } = require('./test_runner');
+const git = require('./git');
+const { WebSocketServer } = require('ws');
+const { TerminalManager, TerminalError } = require('./terminal_manager');
+const { runCommand } = require('./command_runner');
+const { loadConfig } = require('./config');
+const { Workspace } = require('./workspace');
+const { CommandPolicy, CommandPolicyError, terminalCommand } = require('./command_policy');
+const { AuditLog } = require('./audit_log');
+const { ProcessManager } = require('./process_manager');
+const { extractContent, paginate } = require('./content_extractor');
+const { SafeFetcher } = require('./safe_fetch');
+const { createSearchProviders, RateLimiter } = require('./search_providers');
+const { crawlSite, saveCrawl, resolveInside } = require('./crawler');
+const { AccessControl, isLoopbackHost } = require('./access_control');
 
-const USER_AGENTS = [
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:107.0) Gecko/20100101 Firefox/107.0",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36 Edg/107.0.1418.62",
-  "Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (X11; Linux x86_64; rv:102.0) Gecko/20100101 Firefox/102.0",
-  "Mozilla/5.0 (Linux; Android 13; SM-A536U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (Linux; Android 13; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
-  "Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (iPad; CPU OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/108.0.5359.112 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36 Vivaldi/5.5.2805.50",
-  "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:107.0) Gecko/20100101 Firefox/107.0",
-  "Mozilla/5.0 (iPhone; CPU iPhone OS 15_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6.3 Mobile/15E148 Safari/604.1",
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
-  "Mozilla/5.0 (Linux; Android 12; SM-G991U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36"
-];
-
-class RateLimiter {
-  constructor(requestsPerMinute = 30) {
-    this.requestsPerMinute = requestsPerMinute;
-    this.requests = [];
-  }
-
-  async acquire() {
-    const now = new Date();
-    this.requests = this.requests.filter(req => now - req < 60 * 1000);
-    if (this.requests.length >= this.requestsPerMinute) {
-      const waitTime = 60 - (now - this.requests[0]) / 1000;
-      if (waitTime > 0) {
-        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-      }
-    }
-    this.requests.push(now);
-  }
-}
+const app = express();
 
-class SearchResult {
-  constructor(title, link, snippet, position) {
-    this.title = title;
-    this.link = link;
-    this.snippet = snippet;
-    this.position = position;
-  }
-}
+const config = loadConfig();
+const accessControl = new AccessControl(config);
+const workspace = new Workspace(config);
+const getProjectCwd = () => workspace.getRoot();
+const commandPolicy = new CommandPolicy();
+const fetcher = new SafeFetcher(config.fetch);
+const auditLog = new AuditLog();
 
-class DuckDuckGoSearcher {
-  constructor() {
-    this.BASE_URL = "https://html.duckduckgo.com/html";
-    this.rateLimiter = new RateLimiter();
-  }
-
-  async search(query, maxResults = 10, maxRetries = 5) {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        await this.rateLimiter.acquire();
-        console.log(`[BACKEND] Searching DuckDuckGo for: ${query} (Attempt ${i + 1})`);
-
-        const data = new URLSearchParams({ q: query, b: "", kl: "" });
-        const response = await axios.post(this.BASE_URL, data.toString(), {
-          headers: {
-            "User-Agent": USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 30000
-        });
-
-        const $ = cheerio.load(response.data);
-        if (!$) {
-            console.error("[BACKEND] Failed to parse HTML response");
-            continue;
-        }
-
-        const results = [];
-        $('.result').each((idx, element) => {
-          if (results.length >= maxResults) return false;
-
-          const titleElem = $(element).find('.result__title a');
-          const snippetElem = $(element).find('.result__snippet');
-          if (!titleElem.length) return true;
-
-          const title = titleElem.text().trim();
-          let link = titleElem.attr('href');
-          
-          if (link && link.includes('y.js')) return true;
-
-          if (link && link.startsWith('//duckduckgo.com/l/?uddg=')) {
-            link = decodeURIComponent(link.split('uddg=')[1].split('&')[0]);
-          }
-
-          const snippet = snippetElem.length ? snippetElem.text().trim() : "";
-          results.push(new SearchResult(title, link, snippet, results.length + 1));
-        });
-
-        if (results.length > 0) {
-            console.log(`[BACKEND] Successfully found ${results.length} results on attempt ${i + 1}`);
-            return results;
-        }
-        console.log(`[BACKEND] Attempt ${i + 1} returned no results, retrying...`);
-      } catch (error) {
-        if (error.code === 'ECONNABORTED') {
-            console.error(`[BACKEND] Search request timed out on attempt ${i + 1}`);
-        } else if (error.response) {
-            console.error(`[BACKEND] HTTP error on attempt ${i + 1}: ${error.message}`);
-        } else {
-            console.error(`[BACKEND] Unexpected error on attempt ${i + 1}: ${error.message}`);
-        }
-        if (i === maxRetries - 1) {
-            console.error("[BACKEND] Max retries reached. Search failed.");
-            throw new Error("Failed to fetch search results after multiple retries.");
-        }
-      }
-    }
-    return [];
-  }
-}
-
-const app = express();
-const port = 3333;
+const FRONTEND_DIR = path.join(__dirname, '../frontend');
 
+app.use(accessControl.checkHost());
+app.use('/api', accessControl.checkApi());
 app.use(express.json());
-app.use(express.static(path.join(__dirname, '../frontend')));
+// The editor page is served with the session token in it; everything else is static.
+app.get(['/', '/index.html'], async (req, res) => {
+  const html = await fs.promises.readFile(path.join(FRONTEND_DIR, 'index.html'), 'utf8');
+  res.set('Cache-Control', 'no-store').type('html').send(accessControl.injectToken(html));
+});
+app.use(express.static(FRONTEND_DIR, { index: false }));
+
+// =================================================================
+// === Workspace Endpoints                                       ===
+// =================================================================
+app.post('/api/workspace/register', (req, res) => {
+  try {
+    res.json(workspace.register(req.body || {}));
+  } catch (error) {
+    console.error('[BACKEND] Workspace registration error:', error.message);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+app.post('/api/workspace/clear', (req, res) => {
+  res.json(workspace.clear());
+});
 
 app.post('/api/read-url', async (req, res) => {
-  const { url } = req.body;
+  const { url, page = 1 } = req.body;
   if (!url) return res.status(400).json({ error: 'URL is required' });
 
   try {
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
+    const { finalUrl, contentType, body, fromCache } = await fetcher.fetch(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0' },
+    });
+    const { format, title, content, links } = await extractContent(body, contentType, finalUrl);
+    const pages = paginate(content);
+    const pageNumber = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pages.length);
+    res.json({
+      url,
+      finalUrl,
+      contentType,
+      format,
+      title,
+      fromCache,
+      page: pageNumber,
+      totalPages: pages.length,
+      totalChars: content.length,
+      content: pages[pageNumber - 1],
+      // Every link is already inline in the Markdown; the list is only sent with the first page.
+      ...(pageNumber === 1 ? { links } : {}),
     });
-    const $ = cheerio.load(response.data);
-    $('script, style, header, footer, nav, aside').remove();
-    let content = $('body').text().replace(/\s\s+/g, ' ').trim();
-    const links = Array.from($('a')).map(el => $(el).attr('href')).filter(Boolean);
-    res.json({ content, links });
   } catch (error) {
     console.error(`[BACKEND] Error fetching URL ${url}:`, error.message);
-    res.status(500).json({ message: `Failed to process URL: ${error.message}` });
+    res.status(error.status || 500).json({ message: `Failed to process URL: ${error.message}` });
   }
 });
 
-const searcher = new DuckDuckGoSearcher();
-app.post('/api/duckduckgo-search', async (req, res) => {
-  const { query } = req.body;
+const DEFAULT_SEARCH_PROVIDER = 'duckduckgo';
+const MAX_SEARCH_RESULTS = 50;
+const searchProviders = createSearchProviders({
+  fetcher,
+  // The SearXNG URL comes from the config, not the model, and usually points at a private address.
+  localFetcher: new SafeFetcher({ ...config.fetch, allowPrivateNetworks: true }),
+  config: config.search,
+});
+
+app.post('/api/search', async (req, res) => {
+  const { query, provider: providerName = DEFAULT_SEARCH_PROVIDER, maxResults = 10 } = req.body || {};
   if (!query) return res.status(400).json({ error: 'Query is required' });
+  const provider = searchProviders.get(providerName);
+  if (!provider) {
+    return res.status(400).json({ message: `Unknown search provider '${providerName}'. Available: ${Array.from(searchProviders.keys()).join(', ')}.` });
+  }
 
   try {
-    const results = await searcher.search(query);
-    res.json({ results });
+    const count = Math.min(Math.max(1, Math.floor(Number(maxResults)) || 10), MAX_SEARCH_RESULTS);
+    const results = await provider.search(query, count);
+    res.json({ provider: provider.name, query, results });
   } catch (error) {
-    console.error(`[BACKEND] Error searching DuckDuckGo for "${query}":`, error.message);
-    res.status(500).json({ message: `Failed to perform search: ${error.message}` });
+    console.error(`[BACKEND] Error searching ${provider.name} for "${query}":`, error.message);
+    res.status(error.status || 500).json({ message: `Failed to perform search: ${error.message}` });
+  }
+});
+
+// Shared by all crawls so parallel crawl_site calls still add up to a polite rate.
+const crawlRateLimiter = new RateLimiter(30);
+
+app.post('/api/crawl', async (req, res) => {
+  const { url, maxDepth, maxPages, sameOrigin, include, exclude, saveTo } = req.body || {};
+  if (!url) return res.status(400).json({ error: 'URL is required' });
+
+  try {
+    // Resolved first so a bad folder or a missing workspace fails before anything is fetched.
+    const directory = saveTo ? resolveInside(getProjectCwd(), saveTo) : null;
+    const crawl = await crawlSite({ url, maxDepth, maxPages, sameOrigin, include, exclude }, { fetcher, rateLimiter: crawlRateLimiter });
+    const saved = directory ? await saveCrawl(crawl, directory) : null;
+    res.json({
+      startUrl: crawl.startUrl,
+      pagesCrawled: crawl.pages.length,
+      duplicatesSkipped: crawl.duplicates,
+      tableOfContents: crawl.pages.map(({ url: pageUrl, title, depth, summary, content }) => ({
+        url: pageUrl,
+        title,
+        depth,
+        summary,
+        chars: content.length,
+      })),
+      errors: crawl.errors,
+      ...(saved ? { savedTo: saveTo, files: saved.files } : {}),
+      ...(saved && saved.skipped.length > 0
+        ? { skipped: saved.skipped, note: 'These files already existed and were left unchanged; save into a new folder to keep every page.' }
+        : {}),
+    });
+  } catch (error) {
+    console.error(`[BACKEND] Error crawling ${url}:`, error.message);
+    res.status(error.status || 500).json({ message: `Failed to crawl site: ${error.message}` });
+  }
+});
+
+// =================================================================
+// === Test Runner Endpoint                                      ===
+// =================================================================
+// Tests run the project's own scripts, so they get the same policy, environment and audit as any agent command.
+app.post('/api/run-tests', async (req, res) => {
+  const { file, testName, confirmationId } = req.body || {};
+  let cwd;
+  let testCommand;
+  try {
+    cwd = getProjectCwd();
+    testCommand = buildTestCommand({ file, testName, cwd });
+    commandPolicy.authorize(testCommand.commandLine, confirmationId);
+  } catch (error) {
+    if (error instanceof CommandPolicyError && error.status === 403) {
+      auditLog.append({ command: testCommand.commandLine, source: 'agent', cwd, decision: 'denied', reason: error.message });
+    }
+    return res.status(error.status || 500).json({ message: `Failed to run tests: ${error.message}`, confirmationId: error.confirmationId || undefined });
+  }
+
+  const startedAt = Date.now();
+  const audit = (outcome) => auditLog.append({ command: testCommand.commandLine, source: 'agent', cwd, decision: 'ran', durationMs: Date.now() - startedAt, ...outcome });
+  try {
+    const results = await runTests(testCommand, { cwd, env: commandPolicy.filterEnv(process.env) });
+    audit({ exitCode: results.exitCode });
+    res.json(results);
+  } catch (error) {
+    audit({ exitCode: error.exitCode ?? null, timedOut: Boolean(error.timedOut) });
+    console.error('[BACKEND] Error running tests:', error.message);
+    res.status(error.status || 500).json({ message: `Failed to run tests: ${error.message}`, output: error.output });
+  }
+});
+
+// =================================================================
+// === Git Endpoints                                             ===
+// =================================================================
+const GIT_COMMANDS = {
+  status: git.status,
+  diff: git.diff,
+  log: git.log,
+  blame: git.blame,
+  show: git.show,
+  add: git.add,
+  commit: git.commit,
+  branches: git.branches,
+};
+
+app.post('/api/git/:command', async (req, res) => {
+  const { command } = req.params;
+  if (!Object.hasOwn(GIT_COMMANDS, command)) {
+    return res.status(404).json({ message: `Unknown git command '${command}'.` });
+  }
+  try {
+    res.json(await GIT_COMMANDS[command]({ cwd: getProjectCwd(), env: commandPolicy.filterEnv(process.env) }, req.body || {}));
+  } catch (error) {
+    console.error(`[BACKEND] git ${command} error:`, error.message);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// =================================================================
+// === Interactive Terminal Endpoints                            ===
+// =================================================================
+const terminals = new TerminalManager(getProjectCwd, () => commandPolicy.filterEnv(process.env));
+
+const TERMINAL_ACTIONS = {
+  list: () => ({ terminals: terminals.list() }),
+  open: ({ name }) => terminals.describe(terminals.open(name)),
+  // Only the agent writes through this endpoint (the browser terminal sends keystrokes over its
+  // WebSocket), so the input is a command like any other and goes through the policy.
+  input: ({ name, data, confirmationId }) => {
+    if (typeof data !== 'string') throw new TerminalError("'data' must be a string.");
+    const { offset, cwd } = terminals.get(name);
+    const command = terminalCommand(data);
+    try {
+      commandPolicy.authorize(command, confirmationId);
+    } catch (error) {
+      if (error.status === 403) auditLog.append({ command, source: 'agent', cwd, terminal: name, decision: 'denied', reason: error.message });
+      throw error;
+    }
+    auditLog.append({ command, source: 'agent', cwd, terminal: name, decision: 'ran' });
+    terminals.write(name, data);
+    return { name, offset };
+  },
+  output: ({ name, since, maxChars }) => terminals.readOutput(name, { since, maxChars }),
+  kill: ({ name }) => {
+    terminals.kill(name);
+    return { name, killed: true };
+  },
+};
+
+app.post('/api/terminal/:action', (req, res) => {
+  const { action } = req.params;
+  if (!Object.hasOwn(TERMINAL_ACTIONS, action)) {
+    return res.status(404).json({ message: `Unknown terminal action '${action}'.` });
+  }
+  try {
+    res.json(TERMINAL_ACTIONS[action](req.body || {}));
+  } catch (error) {
+    console.error(`[BACKEND] terminal ${action} error:`, error.message);
+    res.status(error.status || 500).json({ message: error.message, confirmationId: error.confirmationId || undefined });
+  }
+});
+
+// =================================================================
+// === Background Process Endpoints                              ===
+// =================================================================
+const processes = new ProcessManager({
+  getCwd: getProjectCwd,
+  getEnv: () => commandPolicy.filterEnv(process.env),
+  onExit: (proc, summary) => {
+    auditLog.append({ command: proc.command, source: proc.source, cwd: proc.cwd, processId: proc.id, decision: 'ran', ...summary });
+  },
+});
+
+// The audit source comes from the action, never from the request body.
+function startProcess(source) {
+  return ({ command, name, confirmationId }) => {
+    const cwd = getProjectCwd();
+    try {
+      commandPolicy.authorize(command, confirmationId);
+    } catch (error) {
+      if (error.status === 403) auditLog.append({ command, source, cwd, decision: 'denied', reason: error.message });
+      throw error;
+    }
+    const started = processes.start({ command, name, source });
+    auditLog.append({ command, source, cwd, processId: started.id, decision: 'started' });
+    return started;
+  };
+}
+
+const PROCESS_ACTIONS = {
+  // 'start' is the agent's start_process tool; 'start-user' is the Processes panel.
+  start: startProcess('agent'),
+  'start-user': startProcess('user'),
+  list: async () => ({ processes: await processes.list() }),
+  status: ({ id }) => processes.status(id),
+  logs: ({ id, lines, since, stream }) => processes.logs(id, { lines, since, stream }),
+  kill: ({ id }) => processes.kill(id),
+  remove: ({ id }) => processes.remove(id),
+};
+
+app.post('/api/processes/:action', async (req, res) => {
+  const { action } = req.params;
+  if (!Object.hasOwn(PROCESS_ACTIONS, action)) {
+    return res.status(404).json({ message: `Unknown process action '${action}'.` });
+  }
+  try {
+    res.json(await PROCESS_ACTIONS[action](req.body || {}));
+  } catch (error) {
+    console.error(`[BACKEND] process ${action} error:`, error.message);
+    res.status(error.status || 500).json({ message: error.message, confirmationId: error.confirmationId || undefined });
+  }
+});
+
+// =================================================================
+// === Command Policy and Audit Log Endpoints                    ===
+// =================================================================
+app.post('/api/command-policy', (req, res) => {
+  res.json(commandPolicy.describe());
+});
+
+app.post('/api/audit-log', async (req, res) => {
+  try {
+    res.json(await auditLog.read(req.body || {}));
+  } catch (error) {
+    console.error('[BACKEND] Error reading audit log:', error.message);
+    res.status(500).json({ message: `Failed to read audit log: ${error.message}` });
   }
 });
 
 // =================================================================
 // === Backend Terminal Tool Execution Endpoint                  ===
 // =================================================================
+const DEFAULT_COMMAND_TIMEOUT_S = 60;
+const MAX_COMMAND_TIMEOUT_S = 1800;
+const COMMAND_RESULT_CHARS = 8000;
+// Key: command id, Value: the runCommand handle
+const runningCommands = new Map();
+
 app.post('/api/execute-tool', async (req, res) => {
-  const { toolName, parameters } = req.body;
+  const { toolName, parameters = {}, confirmationId } = req.body || {};
+  // Only the agent's run_terminal_command tool calls this endpoint.
+  const source = 'agent';
 
   if (toolName !== 'run_terminal_command') {
     return res
@@ -189,65 +350,136 @@ app.post('/api/execute-tool', async (req, res) => {
       .json({ status: 'Error', message: "A 'command' parameter is required." });
   }
 
-  // Determine the shell based on the operating system
-  const shell = os.platform() === 'win32' ? 'powershell.exe' : 'bash';
-  const ptyProcess = pty.spawn(shell, [], {
-    name: 'xterm-color',
-    cols: 80,
-    rows: 30,
-    cwd: process.env.HOME, // Start in the user's home directory
-    env: process.env,
-  });
+  let cwd;
+  try {
+    cwd = getProjectCwd();
+    commandPolicy.authorize(command, confirmationId);
+  } catch (error) {
+    if (error instanceof CommandPolicyError && error.status === 403) {
+      auditLog.append({ command, source, cwd, decision: 'denied', reason: error.message });
+    }
+    return res.status(error.status || 500).json({
+      status: error.confirmationId ? 'ConfirmationRequired' : 'Error',
+      message: error.message,
+      confirmationId: error.confirmationId || undefined,
+    });
+  }
 
-  let output = '';
-  ptyProcess.onData((data) => {
-    output += data;
-    console.log('[TERMINAL]', data);
+  const timeoutSeconds = Math.min(Math.max(Number(parameters.timeout_seconds) || DEFAULT_COMMAND_TIMEOUT_S, 1), MAX_COMMAND_TIMEOUT_S);
+  const id = crypto.randomUUID();
+  const stream = Boolean(req.body.stream);
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let finished = false;
+
+  console.log(`[BACKEND] Executing command: ${command}`);
+  const run = runCommand(command, {
+    cwd, // Run in the registered workspace folder
+    env: commandPolicy.filterEnv(process.env),
+    timeoutMs: timeoutSeconds * 1000,
+    onOutput: (outputStream, data) => {
+      if (stream && !finished) sendEvent('output', { stream: outputStream, data });
+    },
   });
+  runningCommands.set(id, run);
+  if (stream) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    sendEvent('start', { id, command, cwd, timeoutSeconds });
+  }
 
-  ptyProcess.onExit(({ exitCode, signal }) => {
-    console.log(`[TERMINAL] Process exited with code ${exitCode}`);
-    if (exitCode === 0) {
-      res.json({ status: 'Success', output: output });
-    } else {
-      res
-        .status(500)
-        .json({
-          status: 'Error',
-          message: `Command failed with exit code ${exitCode}.`,
-          output: output,
-        });
-    }
+  // A closed stream means the browser gave up on the command (e.g. the chat was cancelled).
+  res.on('close', () => {
+    if (!finished) run.stop();
   });
 
-  console.log(`[BACKEND] Executing command: ${command}`);
-  ptyProcess.write(command + '\r');
+  const outcome = await run.result;
+  finished = true;
+  runningCommands.delete(id);
+  console.log(`[BACKEND] Command exited with ${outcome.signal || `code ${outcome.exitCode}`}`);
+  auditLog.append({
+    command,
+    source,
+    cwd,
+    decision: 'ran',
+    exitCode: outcome.exitCode,
+    signal: outcome.signal,
+    durationMs: outcome.durationMs,
+    timedOut: outcome.timedOut,
+    stopped: outcome.stopped,
+    outputHash: outcome.outputHash,
+    outputBytes: outcome.outputBytes,
+  });
 
-  // Add a small delay and then send an exit command to ensure the process terminates
-  // if the executed command is non-interactive.
-  setTimeout(() => {
-    if (!ptyProcess.killed) {
-      ptyProcess.write('exit\r');
-    }
-  }, 1000); // Wait 1 second before exiting
-
-  // Timeout to prevent hanging processes
-  setTimeout(() => {
-    if (!res.headersSent) {
-      ptyProcess.kill();
-      console.error('[BACKEND] Command timed out.');
-      res
-        .status(500)
-        .json({
-          status: 'Error',
-          message: 'Command execution timed out.',
-          output: output,
-        });
+  // The model only gets the tail of each stream.
+  const result = {
+    exitCode: outcome.exitCode,
+    signal: outcome.signal,
+    timedOut: outcome.timedOut,
+    stopped: outcome.stopped,
+    durationMs: outcome.durationMs,
+    stdout: outcome.stdout.slice(-COMMAND_RESULT_CHARS),
+    stderr: outcome.stderr.slice(-COMMAND_RESULT_CHARS),
+    totalChars: outcome.totalChars,
+    truncated: outcome.totalChars.stdout > COMMAND_RESULT_CHARS || outcome.totalChars.stderr > COMMAND_RESULT_CHARS,
+  };
+  if (stream) {
+    if (!res.writableEnded) {
+      sendEvent('exit', result);
+      res.end();
     }
-  }, 15000); // 15-second timeout
+  } else if (outcome.exitCode === 0 && !outcome.timedOut && !outcome.stopped) {
+    res.json({ status: 'Success', ...result });
+  } else {
+    const reason = outcome.timedOut
+      ? `timed out after ${timeoutSeconds}s`
+      : outcome.stopped
+        ? 'was stopped'
+        : `failed with exit code ${outcome.exitCode}`;
+    res.status(500).json({ status: 'Error', message: `Command ${reason}.`, ...result });
+  }
+});
+
+app.post('/api/execute-tool/stop', (req, res) => {
+  const { id } = req.body || {};
+  const running = runningCommands.get(id);
+  if (!running) return res.status(404).json({ message: `No running command with id '${id}'.` });
+  running.stop();
+  res.json({ id, stopped: true });
 });
 
-app.listen(port, () => {
-  console.log(`Backend server listening at http://localhost:${port}`);
-  console.log('Navigate to http://localhost:3000 to open the editor.');
+const server = app.listen(config.port, config.host, () => {
+  const displayHost = ['0.0.0.0', '::'].includes(config.host) ? 'localhost' : config.host;
+  const url = `http://${displayHost.includes(':') ? `[${displayHost}]` : displayHost}:${config.port}`;
+  console.log(`Backend server listening on ${config.host}:${config.port}`);
+  console.log(`Navigate to ${url} to open the editor.`);
+  if (!isLoopbackHost(config.host)) {
+    console.warn(`[BACKEND] Warning: ${config.host} is not a loopback address, so other machines can reach the backend. Only the session token protects it.`);
+  }
+});
+
+// Browser terminals connect to ws://<host>/ws/terminal?name=<name>&cols=<cols>&rows=<rows>
+// with the subprotocols 'editor-terminal' and 'token.<session token>'.
+const terminalSockets = new WebSocketServer({
+  server,
+  path: '/ws/terminal',
+  ...accessControl.webSocketOptions(),
+});
+terminalSockets.on('connection', (socket, req) => {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  try {
+    terminals.attach(socket, params.get('name') || 'main', {
+      cols: Number(params.get('cols')) || undefined,
+      rows: Number(params.get('rows')) || undefined,
+    });
+  } catch (error) {
+    socket.send(JSON.stringify({ type: 'error', message: error.message }));
+    socket.close();
+  }
 });
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    terminals.killAll();
+    processes.killAll();
+    process.exit(0);
+  });
+}
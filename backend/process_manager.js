@@ -0,0 +1,224 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const { killProcessTree, stripAnsi } = require('./command_runner');
+
+// =================================================================
+// === Background Processes                                      ===
+// =================================================================
+// Long-running commands such as dev servers and test watchers. They keep
+// running independently of the page; their output is kept in a bounded log
+// and scanned for the ports they listen on.
+
+const MAX_LOG_LINES = 5000;
+const KILL_GRACE_MS = 5000;
+const IS_WINDOWS = os.platform() === 'win32';
+// "http://localhost:5173", "127.0.0.1:8080", "listening on port 3000", "port: 4000".
+// Only local and wildcard hosts count: a URL to another host (an API the
+// process calls, a link in a log line) says nothing about what it listens on.
+const LOCAL_HOST = String.raw`(?:localhost|127(?:\.\d{1,3}){3}|0\.0\.0\.0|\[::1?\])`;
+const PORT_PATTERNS = [
+  new RegExp(String.raw`\bhttps?:\/\/${LOCAL_HOST}:(\d{2,5})\b`, 'gi'),
+  new RegExp(String.raw`(?:^|[^\w.])${LOCAL_HOST}:(\d{2,5})\b`, 'gi'),
+  /\bport\s*[:=]?\s*(\d{2,5})\b/gi,
+];
+
+class ProcessError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProcessError';
+    this.status = status;
+  }
+}
+
+function isPortOpen(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host: '127.0.0.1' });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(500, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+class ProcessManager {
+  /**
+   * `getCwd` and `getEnv` give the directory and environment new processes
+   * start with; `onExit(proc, summary)` is called once a process has ended.
+   */
+  constructor({ getCwd, getEnv = () => process.env, onExit = () => {} }) {
+    this.getCwd = getCwd;
+    this.getEnv = getEnv;
+    this.onExit = onExit;
+    this.processes = new Map();
+    this.nextId = 1;
+  }
+
+  get(id) {
+    const proc = this.processes.get(id);
+    if (!proc) throw new ProcessError(`No background process with id '${id}'.`, 404);
+    return proc;
+  }
+
+  start({ command, name, source }) {
+    if (typeof command !== 'string' || command.trim() === '') {
+      throw new ProcessError("A 'command' is required.");
+    }
+    const id = `p${this.nextId++}`;
+    const cwd = this.getCwd();
+    // Detached on POSIX so the whole process group (e.g. npm and its node child) can be killed.
+    const child = spawn(command, { cwd, env: this.getEnv(), shell: true, detached: !IS_WINDOWS, windowsHide: true });
+    const proc = {
+      id,
+      name: name || command.split(/\s+/).slice(0, 3).join(' '),
+      command,
+      cwd,
+      source,
+      pid: child.pid,
+      startedAt: new Date().toISOString(),
+      startedAtMs: Date.now(),
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      endedAt: null,
+      ports: new Set(),
+      lines: [],
+      // Total lines ever logged; lets readers ask for lines "since" a point.
+      lineCount: 0,
+      partial: { stdout: '', stderr: '' },
+      outputHash: crypto.createHash('sha256'),
+      outputBytes: 0,
+      child,
+    };
+    this.processes.set(id, proc);
+
+    child.stdout.on('data', (data) => this.record(proc, 'stdout', data));
+    child.stderr.on('data', (data) => this.record(proc, 'stderr', data));
+    child.on('error', (error) => this.record(proc, 'stderr', Buffer.from(`${error.message}\n`)));
+    child.on('close', (exitCode, signal) => {
+      ['stdout', 'stderr'].forEach((stream) => {
+        if (proc.partial[stream]) this.pushLine(proc, stream, proc.partial[stream]);
+      });
+      proc.status = proc.status === 'stopping' ? 'killed' : 'exited';
+      proc.exitCode = exitCode;
+      proc.signal = signal;
+      proc.endedAt = new Date().toISOString();
+      clearTimeout(proc.killTimer);
+      console.log(`[PROCESS] ${id} (${proc.name}) ended with ${signal || `code ${exitCode}`}`);
+      this.onExit(proc, {
+        exitCode,
+        signal,
+        durationMs: Date.now() - proc.startedAtMs,
+        outputHash: `sha256:${proc.outputHash.digest('hex')}`,
+        outputBytes: proc.outputBytes,
+      });
+    });
+
+    console.log(`[PROCESS] Started ${id} (pid ${child.pid}) in ${cwd}: ${command}`);
+    return this.describe(proc);
+  }
+
+  record(proc, stream, data) {
+    proc.outputHash.update(data);
+    proc.outputBytes += data.length;
+    const text = proc.partial[stream] + stripAnsi(data.toString());
+    const lines = text.split('\n');
+    proc.partial[stream] = lines.pop();
+    lines.forEach((line) => this.pushLine(proc, stream, line));
+  }
+
+  pushLine(proc, stream, text) {
+    proc.lines.push({ stream, text });
+    proc.lineCount++;
+    if (proc.lines.length > MAX_LOG_LINES) proc.lines.shift();
+    for (const pattern of PORT_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        const port = Number(match[1]);
+        if (port > 0 && port < 65536) proc.ports.add(port);
+      }
+    }
+  }
+
+  // Ports seen in the output, each checked for whether something is listening on it now.
+  async detectPorts(proc) {
+    const ports = Array.from(proc.ports);
+    const listening = await Promise.all(ports.map(isPortOpen));
+    return ports.map((port, index) => ({ port, url: `http://localhost:${port}`, listening: listening[index] }));
+  }
+
+  describe(proc) {
+    return {
+      id: proc.id,
+      name: proc.name,
+      command: proc.command,
+      cwd: proc.cwd,
+      source: proc.source,
+      pid: proc.pid,
+      status: proc.status,
+      startedAt: proc.startedAt,
+      endedAt: proc.endedAt,
+      exitCode: proc.exitCode,
+      signal: proc.signal,
+      lineCount: proc.lineCount,
+    };
+  }
+
+  async status(id) {
+    const proc = this.get(id);
+    return { ...this.describe(proc), ports: await this.detectPorts(proc) };
+  }
+
+  async list() {
+    return Promise.all(Array.from(this.processes.keys()).map((id) => this.status(id)));
+  }
+
+  /**
+   * Returns the last `lines` log lines, or with `since` (an earlier
+   * `lineCount`) the lines logged after it. `stream` keeps only 'stdout' or 'stderr'.
+   */
+  async logs(id, { lines = 100, since, stream } = {}) {
+    const proc = this.get(id);
+    const firstKept = proc.lineCount - proc.lines.length;
+    let entries = typeof since === 'number' ? proc.lines.slice(Math.max(0, since - firstKept)) : proc.lines;
+    if (stream) entries = entries.filter((entry) => entry.stream === stream);
+    const count = Math.max(1, Math.min(Number(lines) || 100, MAX_LOG_LINES));
+    const truncated = entries.length > count || (typeof since === 'number' && since < firstKept);
+    return {
+      ...(await this.status(id)),
+      truncated,
+      lines: entries.slice(-count),
+    };
+  }
+
+  kill(id) {
+    const proc = this.get(id);
+    if (proc.status !== 'running') return this.describe(proc);
+    proc.status = 'stopping';
+    killProcessTree(proc.pid, 'SIGTERM');
+    proc.killTimer = setTimeout(() => killProcessTree(proc.pid, 'SIGKILL'), KILL_GRACE_MS);
+    return this.describe(proc);
+  }
+
+  // Forgets a process that has ended.
+  remove(id) {
+    const proc = this.get(id);
+    if (proc.status === 'running' || proc.status === 'stopping') {
+      throw new ProcessError(`Process '${id}' is still running. Kill it first.`, 409);
+    }
+    this.processes.delete(id);
+    return { id, removed: true };
+  }
+
+  // Called on shutdown: no grace period, the backend is about to exit.
+  killAll() {
+    for (const proc of this.processes.values()) {
+      if (proc.status === 'running' || proc.status === 'stopping') killProcessTree(proc.pid, 'SIGKILL');
+    }
+  }
+}
+
+module.exports = { ProcessManager, ProcessError };
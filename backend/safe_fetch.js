@@ -0,0 +1,241 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { URL } = require('url');
+
+// =================================================================
+// === Safe URL Fetching                                         ===
+// =================================================================
+// Every URL the model asks for goes through here. Only http(s) is allowed,
+// hosts are checked against the configured domain lists and, after DNS
+// resolution, against private and loopback ranges (at connect time, so a
+// host cannot resolve to a public address first and a private one later).
+// Responses are size limited and successful GETs are cached on disk.
+
+const CACHE_DIR = path.join(__dirname, 'cache');
+
+const DEFAULT_FETCH_OPTIONS = {
+  // When non-empty, only these domains (and their subdomains) may be fetched.
+  allowDomains: [],
+  // Domains (and their subdomains) that may never be fetched.
+  denyDomains: [],
+  // Lets the model read localhost and LAN addresses, e.g. a local docs server.
+  allowPrivateNetworks: false,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  timeoutMs: 20000,
+  // 0 disables the cache.
+  cacheTtlSeconds: 3600,
+};
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  // ::/96 also covers ::1 and the deprecated IPv4-compatible addresses (::127.0.0.1).
+  ['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+class FetchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FetchError';
+    this.status = status;
+  }
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+  if (family !== 6) return true;
+  // IPv4-mapped addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry.
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped ? PRIVATE_RANGES.check(mapped[1], 'ipv4') : PRIVATE_RANGES.check(address, 'ipv6');
+}
+
+function matchesDomain(hostname, domains) {
+  return domains.some((domain) => {
+    const normalized = domain.toLowerCase().replace(/^\*?\./, '');
+    return hostname === normalized || hostname.endsWith(`.${normalized}`);
+  });
+}
+
+// dns.lookup replacement handed to the HTTP client; refuses private addresses.
+// Like dns.lookup it answers with a list only when `options.all` is set.
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const { all = false, ...lookupOptions } = typeof options === 'number' ? { family: options } : options || {};
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new FetchError(`Refusing to fetch ${hostname}: it resolves to the private address ${blocked.address}.`, 403));
+    }
+    if (all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+class SafeFetcher {
+  constructor(options = {}, cacheDir = CACHE_DIR) {
+    this.options = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    this.cacheDir = cacheDir;
+    this.pruneCache();
+  }
+
+  // Drops expired entries left behind by URLs that were never read again.
+  async pruneCache() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.cacheDir);
+    } catch (error) {
+      return;
+    }
+    for (const name of files.filter((file) => file.endsWith('.json'))) {
+      await this.readCache(path.join(this.cacheDir, name));
+    }
+  }
+
+  // Throws unless `url` may be fetched; returns it parsed.
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new FetchError(`Invalid URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new FetchError(`Only http and https URLs can be fetched, not ${parsed.protocol}`);
+    }
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    const { allowDomains, denyDomains, allowPrivateNetworks } = this.options;
+    if (matchesDomain(hostname, denyDomains)) {
+      throw new FetchError(`Fetching ${hostname} is blocked by the deny list.`, 403);
+    }
+    if (allowDomains.length > 0 && !matchesDomain(hostname, allowDomains)) {
+      throw new FetchError(`${hostname} is not in the list of allowed domains.`, 403);
+    }
+    // IP literals never go through DNS, so they are checked here.
+    if (!allowPrivateNetworks && (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+      throw new FetchError(`Refusing to fetch ${hostname}: it is a private or loopback address.`, 403);
+    }
+    return parsed;
+  }
+
+  cachePath(method, url, data) {
+    const key = crypto.createHash('sha256').update(`${method} ${url}\n${data || ''}`).digest('hex');
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  async readCache(file) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (Date.now() - entry.fetchedAt < this.options.cacheTtlSeconds * 1000) {
+        return { ...entry, body: Buffer.from(entry.body, 'base64'), fromCache: true };
+      }
+      await fs.promises.rm(file, { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('[BACKEND] Ignoring unreadable fetch cache entry:', error.message);
+    }
+    return null;
+  }
+
+  async writeCache(file, result) {
+    try {
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ ...result, body: result.body.toString('base64') }));
+    } catch (error) {
+      console.error('[BACKEND] Failed to write fetch cache:', error.message);
+    }
+  }
+
+  // A single request with no redirect following; errors from the client are mapped to FetchErrors.
+  async request(url, { method, headers, data }) {
+    const { maxBytes, timeoutMs, allowPrivateNetworks } = this.options;
+    try {
+      return await axios.request({
+        url,
+        method,
+        headers,
+        data,
+        responseType: 'arraybuffer',
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        timeout: timeoutMs,
+        // The socket timeout above resets on every chunk; this bounds the whole download.
+        signal: AbortSignal.timeout(timeoutMs),
+        proxy: false,
+        lookup: allowPrivateNetworks ? undefined : guardedLookup,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (error.cause instanceof FetchError) throw error.cause;
+      if (/maxContentLength/.test(error.message)) {
+        throw new FetchError(`The response from ${url} is larger than ${maxBytes} bytes.`, 413);
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED' || error.name === 'CanceledError') {
+        throw new FetchError(`Fetching ${url} timed out after ${timeoutMs} ms.`, 504);
+      }
+      throw new FetchError(`Failed to fetch ${url}: ${error.message}`, 502);
+    }
+  }
+
+  /**
+   * Fetches `url` and resolves to `{ url, finalUrl, status, contentType, body,
+   * fromCache }` with `body` as a Buffer. Redirects are followed one at a time
+   * so each target is checked like the original URL. Only successful GETs are
+   * cached, unless `cache` is false.
+   */
+  async fetch(url, { method = 'GET', headers = {}, data, cache = true } = {}) {
+    const { maxRedirects, cacheTtlSeconds } = this.options;
+    this.checkUrl(url);
+    const useCache = cache && method === 'GET' && cacheTtlSeconds > 0;
+    const cacheFile = useCache ? this.cachePath(method, url, data) : null;
+    if (useCache) {
+      const cached = await this.readCache(cacheFile);
+      if (cached) return cached;
+    }
+
+    let currentUrl = url;
+    let currentMethod = method;
+    let currentData = data;
+    for (let redirects = 0; ; redirects++) {
+      const response = await this.request(currentUrl, { method: currentMethod, headers, data: currentData });
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= maxRedirects) {
+          throw new FetchError(`Stopped after ${maxRedirects} redirects while fetching ${url}.`, 502);
+        }
+        currentUrl = this.checkUrl(new URL(location, currentUrl).href).href;
+        if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === 'POST')) {
+          currentMethod = 'GET';
+          currentData = undefined;
+        }
+        continue;
+      }
+      if (response.status >= 400) {
+        throw new FetchError(`${currentUrl} responded with HTTP ${response.status}.`, 502);
+      }
+      const result = {
+        url,
+        finalUrl: currentUrl,
+        status: response.status,
+        contentType: response.headers['content-type'] || '',
+        fetchedAt: Date.now(),
+        body: Buffer.from(response.data),
+      };
+      if (useCache) await this.writeCache(cacheFile, result);
+      return { ...result, fromCache: false };
+    }
+  }
+}
+
+module.exports = { SafeFetcher, FetchError, DEFAULT_FETCH_OPTIONS, guardedLookup, isPrivateAddress };
@@ -0,0 +1,230 @@
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+// =================================================================
+// === Web Search Providers                                      ===
+// =================================================================
+// Every provider implements `search(query, maxResults)` and resolves to a
+// list of SearchResults. Each one has its own rate limiter, so a slow or
+// throttled provider never holds back the others.
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'search_results.json');
+
+const USER_AGENTS = [
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:107.0) Gecko/20100101 Firefox/107.0",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Safari/605.1.15",
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.1 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36 Edg/107.0.1418.62",
+  "Mozilla/5.0 (Windows NT 10.0; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/107.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (X11; Linux x86_64; rv:102.0) Gecko/20100101 Firefox/102.0",
+  "Mozilla/5.0 (Linux; Android 13; SM-A536U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 13; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (iPad; CPU OS 16_1_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/108.0.5359.112 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36 Vivaldi/5.5.2805.50",
+  "Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:107.0) Gecko/20100101 Firefox/107.0",
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 15_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6.3 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_13_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 12; SM-G991U) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36"
+];
+
+class RateLimiter {
+  constructor(requestsPerMinute = 30) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.requests = [];
+  }
+
+  async acquire() {
+    const now = new Date();
+    this.requests = this.requests.filter(req => now - req < 60 * 1000);
+    if (this.requests.length >= this.requestsPerMinute) {
+      const waitTime = 60 - (now - this.requests[0]) / 1000;
+      if (waitTime > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+      }
+    }
+    this.requests.push(now);
+  }
+}
+
+class SearchResult {
+  constructor(title, link, snippet, position) {
+    this.title = title;
+    this.link = link;
+    this.snippet = snippet;
+    this.position = position;
+  }
+}
+
+class SearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = status;
+  }
+}
+
+class SearchProvider {
+  constructor(name, { requestsPerMinute = 30 } = {}) {
+    this.name = name;
+    this.rateLimiter = new RateLimiter(requestsPerMinute);
+  }
+
+  async search(query, maxResults) {
+    throw new Error(`${this.name} does not implement search().`);
+  }
+}
+
+class DuckDuckGoProvider extends SearchProvider {
+  constructor(fetcher) {
+    super('duckduckgo');
+    this.BASE_URL = "https://html.duckduckgo.com/html";
+    this.fetcher = fetcher;
+  }
+
+  async search(query, maxResults = 10, maxRetries = 5) {
+    for (let i = 0; i < maxRetries; i++) {
+      try {
+        await this.rateLimiter.acquire();
+        console.log(`[BACKEND] Searching DuckDuckGo for: ${query} (Attempt ${i + 1})`);
+
+        const data = new URLSearchParams({ q: query, b: "", kl: "" });
+        const response = await this.fetcher.fetch(this.BASE_URL, {
+          method: 'POST',
+          data: data.toString(),
+          headers: {
+            "User-Agent": USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)],
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+        });
+
+        const $ = cheerio.load(response.body.toString('utf8'));
+        if (!$) {
+            console.error("[BACKEND] Failed to parse HTML response");
+            continue;
+        }
+
+        const results = [];
+        $('.result').each((idx, element) => {
+          if (results.length >= maxResults) return false;
+
+          const titleElem = $(element).find('.result__title a');
+          const snippetElem = $(element).find('.result__snippet');
+          if (!titleElem.length) return true;
+
+          const title = titleElem.text().trim();
+          let link = titleElem.attr('href');
+          
+          if (link && link.includes('y.js')) return true;
+
+          if (link && link.startsWith('//duckduckgo.com/l/?uddg=')) {
+            link = decodeURIComponent(link.split('uddg=')[1].split('&')[0]);
+          }
+
+          const snippet = snippetElem.length ? snippetElem.text().trim() : "";
+          results.push(new SearchResult(title, link, snippet, results.length + 1));
+        });
+
+        if (results.length > 0) {
+            console.log(`[BACKEND] Successfully found ${results.length} results on attempt ${i + 1}`);
+            return results;
+        }
+        console.log(`[BACKEND] Attempt ${i + 1} returned no results, retrying...`);
+      } catch (error) {
+        if (error.status === 504) {
+            console.error(`[BACKEND] Search request timed out on attempt ${i + 1}`);
+        } else {
+            console.error(`[BACKEND] Search request failed on attempt ${i + 1}: ${error.message}`);
+        }
+        if (i === maxRetries - 1) {
+            console.error("[BACKEND] Max retries reached. Search failed.");
+            throw new SearchError("Failed to fetch search results after multiple retries.", 502);
+        }
+      }
+    }
+    return [];
+  }
+}
+
+// Queries the JSON API of a self-hosted SearXNG instance (`format=json` must be enabled in its settings).
+class SearxngProvider extends SearchProvider {
+  constructor(fetcher, baseUrl) {
+    super('searxng');
+    this.fetcher = fetcher;
+    this.baseUrl = baseUrl;
+  }
+
+  async search(query, maxResults = 10) {
+    if (!this.baseUrl) {
+      throw new SearchError('SearXNG is not configured. Set search.searxngUrl in backend/config.json.');
+    }
+    await this.rateLimiter.acquire();
+    console.log(`[BACKEND] Searching SearXNG for: ${query}`);
+    const url = new URL('search', this.baseUrl.endsWith('/') ? this.baseUrl : `${this.baseUrl}/`);
+    url.search = new URLSearchParams({ q: query, format: 'json' }).toString();
+    const response = await this.fetcher.fetch(url.href, { headers: { Accept: 'application/json' }, cache: false });
+    let data;
+    try {
+      data = JSON.parse(response.body.toString('utf8'));
+    } catch (error) {
+      throw new SearchError(`SearXNG did not return JSON. Is the json format enabled on ${this.baseUrl}?`, 502);
+    }
+    return (data.results || [])
+      .filter((result) => result.url)
+      .slice(0, maxResults)
+      .map((result, index) => new SearchResult(result.title || result.url, result.url, result.content || '', index + 1));
+  }
+}
+
+/**
+ * Answers from a JSON file instead of the network, for offline work and
+ * tests. The file holds `{ "queries": { "<query>": [results] }, "default":
+ * [results] }`, each result as `{ title, link, snippet }`; queries match
+ * case-insensitively. The file is read on every search so it can be edited
+ * while the backend runs.
+ */
+class FixtureProvider extends SearchProvider {
+  constructor(fixturePath = DEFAULT_FIXTURE_PATH) {
+    super('fixture', { requestsPerMinute: Infinity });
+    this.fixturePath = fixturePath;
+  }
+
+  async search(query, maxResults = 10) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(this.fixturePath, 'utf8'));
+    } catch (error) {
+      throw new SearchError(`Could not read search fixture ${this.fixturePath}: ${error.message}`, 500);
+    }
+    const normalized = query.trim().toLowerCase();
+    const match = Object.keys(fixture.queries || {}).find((key) => key.trim().toLowerCase() === normalized);
+    const results = match ? fixture.queries[match] : fixture.default || [];
+    return results
+      .slice(0, maxResults)
+      .map((result, index) => new SearchResult(result.title, result.link, result.snippet || '', index + 1));
+  }
+}
+
+/**
+ * Creates the available providers keyed by name. `fetcher` is used for
+ * public search engines; SearXNG gets `localFetcher`, which may reach the
+ * private address it usually runs on. `config` is the `search` section of
+ * the backend config.
+ */
+function createSearchProviders({ fetcher, localFetcher, config = {} }) {
+  const providers = [
+    new DuckDuckGoProvider(fetcher),
+    new SearxngProvider(localFetcher, config.searxngUrl),
+    new FixtureProvider(config.fixturePath ? path.resolve(__dirname, config.fixturePath) : undefined),
+  ];
+  return new Map(providers.map((provider) => [provider.name, provider]));
+}
+
+module.exports = { createSearchProviders, SearchProvider, SearchResult, SearchError, RateLimiter };
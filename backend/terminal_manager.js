@@ -0,0 +1,182 @@
+const os = require('os');
+const pty = require('node-pty');
+const { stripAnsi } = require('./command_runner');
+
+// =================================================================
+// === Interactive Terminals                                     ===
+// =================================================================
+// Named, long-lived PTY sessions. The browser attaches to them over a
+// WebSocket; the agent writes input and reads recent output over HTTP.
+
+const TERMINAL_NAME_PATTERN = /^[\w.-]{1,40}$/;
+const MAX_BUFFER_CHARS = 200000;
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+function getShell() {
+  return os.platform() === 'win32' ? 'powershell.exe' : process.env.SHELL || 'bash';
+}
+
+class TerminalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TerminalError';
+    this.status = status;
+  }
+}
+
+class TerminalManager {
+  // `getCwd` returns the directory new terminals start in, `getEnv` their environment.
+  constructor(getCwd, getEnv = () => process.env) {
+    this.getCwd = getCwd;
+    this.getEnv = getEnv;
+    this.sessions = new Map();
+  }
+
+  assertName(name) {
+    if (typeof name !== 'string' || !TERMINAL_NAME_PATTERN.test(name)) {
+      throw new TerminalError(`Invalid terminal name '${name}'. Use letters, digits, '.', '_' or '-'.`);
+    }
+    return name;
+  }
+
+  get(name) {
+    const session = this.sessions.get(name);
+    if (!session) throw new TerminalError(`Terminal '${name}' does not exist.`, 404);
+    return session;
+  }
+
+  // Returns the running terminal called `name`, starting it if needed.
+  open(name, { cols = DEFAULT_COLS, rows = DEFAULT_ROWS } = {}) {
+    this.assertName(name);
+    const existing = this.sessions.get(name);
+    if (existing && !existing.exit) return existing;
+
+    const cwd = this.getCwd();
+    const shell = getShell();
+    const session = {
+      name,
+      cwd,
+      shell,
+      pid: null,
+      createdAt: new Date().toISOString(),
+      buffer: '',
+      // Total characters ever written; lets readers ask for output "since" a point.
+      offset: 0,
+      exit: null,
+      clients: new Set(),
+    };
+    session.pty = pty.spawn(shell, [], { name: 'xterm-color', cols, rows, cwd, env: this.getEnv() });
+    session.pid = session.pty.pid;
+
+    session.pty.onData((data) => {
+      session.buffer = (session.buffer + data).slice(-MAX_BUFFER_CHARS);
+      session.offset += data.length;
+      this.broadcast(session, { type: 'output', data });
+    });
+    session.pty.onExit(({ exitCode, signal }) => {
+      session.exit = { exitCode, signal: signal || null };
+      console.log(`[TERMINAL] '${name}' exited with code ${exitCode}`);
+      this.broadcast(session, { type: 'exit', exitCode, signal: signal || null });
+    });
+
+    this.sessions.set(name, session);
+    console.log(`[TERMINAL] Started '${name}' (${shell}, pid ${session.pid}) in ${cwd}`);
+    return session;
+  }
+
+  broadcast(session, message) {
+    const payload = JSON.stringify(message);
+    for (const client of session.clients) {
+      if (client.readyState === client.OPEN) client.send(payload);
+    }
+  }
+
+  describe(session) {
+    return {
+      name: session.name,
+      pid: session.pid,
+      cwd: session.cwd,
+      shell: session.shell,
+      createdAt: session.createdAt,
+      running: !session.exit,
+      exit: session.exit,
+      offset: session.offset,
+    };
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map((session) => this.describe(session));
+  }
+
+  write(name, data) {
+    const session = this.get(name);
+    if (session.exit) throw new TerminalError(`Terminal '${name}' has exited.`, 409);
+    session.pty.write(data);
+  }
+
+  resize(name, cols, rows) {
+    const session = this.get(name);
+    if (!session.exit && cols > 0 && rows > 0) session.pty.resize(Math.floor(cols), Math.floor(rows));
+  }
+
+  /**
+   * Returns buffered output with ANSI escapes removed. With `since` (an earlier
+   * `offset`), only output written after it; `maxChars` keeps the tail.
+   */
+  readOutput(name, { since, maxChars = 8000 } = {}) {
+    const session = this.get(name);
+    const bufferStart = session.offset - session.buffer.length;
+    let raw = session.buffer;
+    let truncated = false;
+    if (typeof since === 'number' && since >= bufferStart) {
+      raw = session.buffer.slice(since - bufferStart);
+    } else if (typeof since === 'number') {
+      truncated = true;
+    }
+    let output = stripAnsi(raw);
+    if (output.length > maxChars) {
+      output = output.slice(-maxChars);
+      truncated = true;
+    }
+    return { ...this.describe(session), output, truncated };
+  }
+
+  kill(name) {
+    const session = this.get(name);
+    if (!session.exit) session.pty.kill();
+    for (const client of session.clients) client.close();
+    this.sessions.delete(name);
+  }
+
+  killAll() {
+    for (const name of Array.from(this.sessions.keys())) this.kill(name);
+  }
+
+  // Connects a browser WebSocket: replays the buffer, then streams output both ways.
+  // Keystrokes from the socket are the user's own typing and go to the shell
+  // as they are: the command policy does not apply and they are not audited.
+  attach(socket, name, size) {
+    const session = this.open(name, size);
+    session.clients.add(socket);
+    socket.send(JSON.stringify({ type: 'output', data: session.buffer }));
+    if (session.exit) socket.send(JSON.stringify({ type: 'exit', ...session.exit }));
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+      try {
+        if (message.type === 'input' && typeof message.data === 'string') this.write(name, message.data);
+        if (message.type === 'resize') this.resize(name, Number(message.cols), Number(message.rows));
+      } catch (error) {
+        socket.send(JSON.stringify({ type: 'error', message: error.message }));
+      }
+    });
+    socket.on('close', () => session.clients.delete(socket));
+  }
+}
+
+module.exports = { TerminalManager, TerminalError };
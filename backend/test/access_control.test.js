@@ -0,0 +1,141 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const { after, before, describe, it } = require('node:test');
+const express = require('express');
+const { WebSocket, WebSocketServer } = require('ws');
+const { AccessControl, SESSION_TOKEN_HEADER, TERMINAL_PROTOCOL } = require('../access_control');
+
+const accessControl = new AccessControl({ host: '127.0.0.1', allowedHosts: ['editor.lan'], allowedOrigins: ['http://localhost:5173'] });
+let server;
+let port;
+
+before(async () => {
+  const app = express();
+  app.use(accessControl.checkHost());
+  app.use('/api', accessControl.checkApi());
+  app.get('/', (req, res) => res.type('html').send(accessControl.injectToken('<html><head></head></html>')));
+  app.all('/api/ping', (req, res) => res.json({ ok: true }));
+  server = http.createServer(app);
+  const sockets = new WebSocketServer({ server, path: '/ws/terminal', ...accessControl.webSocketOptions() });
+  sockets.on('connection', (socket) => socket.send('hello'));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function request(path, { method = 'GET', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method, headers: { host: `127.0.0.1:${port}`, ...headers } }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => (body += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Resolves to the accepted subprotocol, or to the HTTP status the upgrade was refused with.
+function connect(protocols, { path = '/ws/terminal?name=main', headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`, protocols, { headers });
+    socket.on('open', () => {
+      resolve({ protocol: socket.protocol });
+      socket.close();
+    });
+    socket.on('unexpected-response', (req, res) => {
+      resolve({ status: res.statusCode });
+      req.destroy();
+    });
+    socket.on('error', reject);
+  });
+}
+
+describe('AccessControl for /api', () => {
+  it('refuses requests without the session token', async () => {
+    const response = await request('/api/ping');
+    assert.equal(response.status, 401);
+    assert.match(JSON.parse(response.body).message, /session token/);
+  });
+
+  it('refuses a wrong token', async () => {
+    assert.equal((await request('/api/ping', { headers: { [SESSION_TOKEN_HEADER]: 'f'.repeat(64) } })).status, 401);
+    assert.equal((await request('/api/ping', { headers: { [SESSION_TOKEN_HEADER]: 'short' } })).status, 401);
+  });
+
+  it('accepts the token', async () => {
+    const response = await request('/api/ping', { headers: { [SESSION_TOKEN_HEADER]: accessControl.token } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(JSON.parse(response.body), { ok: true });
+  });
+
+  it('refuses foreign origins even with the token', async () => {
+    const response = await request('/api/ping', { headers: { [SESSION_TOKEN_HEADER]: accessControl.token, origin: 'https://evil.example' } });
+    assert.equal(response.status, 403);
+    assert.equal(response.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('accepts its own origin', async () => {
+    const headers = { [SESSION_TOKEN_HEADER]: accessControl.token, origin: `http://127.0.0.1:${port}` };
+    assert.equal((await request('/api/ping', { headers })).status, 200);
+  });
+
+  it('answers CORS preflights for configured origins only', async () => {
+    const preflight = await request('/api/ping', { method: 'OPTIONS', headers: { origin: 'http://localhost:5173' } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers['access-control-allow-origin'], 'http://localhost:5173');
+    assert.match(preflight.headers['access-control-allow-headers'], new RegExp(SESSION_TOKEN_HEADER));
+    assert.equal((await request('/api/ping', { method: 'OPTIONS', headers: { origin: 'http://localhost:4000' } })).status, 403);
+  });
+});
+
+describe('AccessControl for every request', () => {
+  it('refuses Host headers that do not name the server, as after DNS rebinding', async () => {
+    for (const host of ['attacker.example', `attacker.example:${port}`, '192.168.1.20']) {
+      const response = await request('/api/ping', { headers: { host, [SESSION_TOKEN_HEADER]: accessControl.token } });
+      assert.equal(response.status, 403, host);
+    }
+    assert.equal((await request('/', { headers: { host: 'attacker.example' } })).status, 403);
+  });
+
+  it('accepts loopback names and configured hosts', async () => {
+    for (const host of [`localhost:${port}`, `[::1]:${port}`, '127.0.0.2', 'EDITOR.lan']) {
+      assert.equal((await request('/api/ping', { headers: { host, [SESSION_TOKEN_HEADER]: accessControl.token } })).status, 200, host);
+    }
+  });
+
+  it('injects the token into the editor page', async () => {
+    const response = await request('/');
+    assert.equal(response.status, 200);
+    assert.ok(response.body.includes(`<meta name="session-token" content="${accessControl.token}" />`));
+  });
+
+  it('does not trust the wildcard bind address as a host name', () => {
+    const wildcard = new AccessControl({ host: '0.0.0.0' });
+    assert.equal(wildcard.isAllowedHost('0.0.0.0:3333'), false);
+    assert.equal(wildcard.isAllowedHost('localhost:3333'), true);
+    assert.notEqual(wildcard.token, accessControl.token);
+  });
+});
+
+describe('AccessControl for the terminal socket', () => {
+  it('accepts the token as a subprotocol and answers with the terminal protocol', async () => {
+    assert.deepEqual(await connect([TERMINAL_PROTOCOL, `token.${accessControl.token}`]), { protocol: TERMINAL_PROTOCOL });
+  });
+
+  it('refuses upgrades without a valid token', async () => {
+    assert.equal((await connect([])).status, 401);
+    assert.equal((await connect([TERMINAL_PROTOCOL])).status, 401);
+    assert.equal((await connect([TERMINAL_PROTOCOL, `token.${'0'.repeat(64)}`])).status, 401);
+  });
+
+  it('no longer accepts the token in the query string', async () => {
+    assert.equal((await connect([TERMINAL_PROTOCOL], { path: `/ws/terminal?name=main&token=${accessControl.token}` })).status, 401);
+  });
+
+  it('refuses foreign origins and hosts', async () => {
+    const protocols = [TERMINAL_PROTOCOL, `token.${accessControl.token}`];
+    assert.equal((await connect(protocols, { headers: { origin: 'https://evil.example' } })).status, 401);
+    assert.equal((await connect(protocols, { headers: { host: 'attacker.example' } })).status, 401);
+  });
+});
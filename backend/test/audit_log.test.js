@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+const { AuditLog, hashOutput } = require('../audit_log');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('AuditLog', () => {
+  it('stores a hash of the output instead of the output', async () => {
+    const log = new AuditLog(path.join(tempDir, 'logs', 'hashed.jsonl'));
+    await log.append({ command: 'cat .env', source: 'agent', cwd: '/p', decision: 'ran', exitCode: 0, output: 'API_KEY=secret' });
+    const text = fs.readFileSync(log.logPath, 'utf8');
+    assert.doesNotMatch(text, /secret/);
+    const [entry] = text.trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(entry.outputHash, hashOutput('API_KEY=secret'));
+    assert.equal(entry.outputBytes, 14);
+    assert.equal(entry.command, 'cat .env');
+    assert.ok(entry.timestamp);
+  });
+
+  it('refuses unknown sources', () => {
+    const log = new AuditLog(path.join(tempDir, 'sources.jsonl'));
+    assert.throws(() => log.append({ command: 'ls', source: 'browser', decision: 'ran' }), /Unknown audit source 'browser'/);
+    assert.throws(() => log.append({ command: 'ls', decision: 'ran' }), /Unknown audit source/);
+    assert.equal(fs.existsSync(log.logPath), false);
+  });
+
+  it('keeps concurrent appends on separate lines in order', async () => {
+    const log = new AuditLog(path.join(tempDir, 'concurrent.jsonl'));
+    await Promise.all(Array.from({ length: 20 }, (_, i) => log.append({ command: `echo ${i}`, source: 'agent', decision: 'ran' })));
+    const commands = fs.readFileSync(log.logPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line).command);
+    assert.deepEqual(commands, Array.from({ length: 20 }, (_, i) => `echo ${i}`));
+  });
+
+  it('reads entries newest first with filters and paging', async () => {
+    const log = new AuditLog(path.join(tempDir, 'read.jsonl'));
+    assert.deepEqual((await log.read()).entries, []);
+    log.append({ command: 'npm test', source: 'agent', decision: 'ran' });
+    log.append({ command: 'sudo ls', source: 'agent', decision: 'denied' });
+    log.append({ command: 'npm run dev', source: 'user', decision: 'started' });
+    fs.appendFileSync(log.logPath, 'not json\n');
+
+    const all = await log.read();
+    assert.equal(all.total, 3);
+    assert.deepEqual(all.entries.map((entry) => entry.command), ['npm run dev', 'sudo ls', 'npm test']);
+    assert.deepEqual((await log.read({ source: 'agent' })).entries.map((entry) => entry.command), ['sudo ls', 'npm test']);
+    assert.deepEqual((await log.read({ query: 'NPM' })).entries.map((entry) => entry.command), ['npm run dev', 'npm test']);
+    const page = await log.read({ offset: 1, limit: 1 });
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.entries.map((entry) => entry.command), ['sudo ls']);
+  });
+});
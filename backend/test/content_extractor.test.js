@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { extractContent, extractLinks, paginate } = require('../content_extractor');
+
+const BASE_URL = 'https://docs.example.com/guide/intro.html';
+
+const ARTICLE_TEXT = 'This paragraph is long enough for the article to count as the main content of the page. '.repeat(3);
+const PAGE = `<!doctype html>
+<html>
+<head><title> Getting   Started </title><script>track()</script></head>
+<body>
+  <nav><a href="/">Home</a> <a href="/blog">Blog</a></nav>
+  <article>
+    <h1>Getting Started</h1>
+    <p>${ARTICLE_TEXT}</p>
+    <p>Read the <a href="../api/#install">API docs</a> or <a href="mailto:team@example.com">mail us</a>.</p>
+    <pre class="language-js"><code>npm install example
+</code></pre>
+    <ul>
+      <li>First <strong>step</strong>
+        <ol><li>Nested</li></ol>
+      </li>
+      <li>Second</li>
+    </ul>
+    <table>
+      <tr><td>Option</td><td>Default</td></tr>
+      <tr><td>a|b</td><td><code>1</code></td></tr>
+    </table>
+    <img src="/logo.png" alt="Logo">
+  </article>
+  <footer>Copyright</footer>
+</body>
+</html>`;
+
+// One page with `text` in Helvetica, with a correct cross-reference table.
+function minimalPdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  // Small buffers come from Node's shared pool, which is what the extractor must cope with.
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('extractContent', () => {
+  it('converts the main content of an HTML page to Markdown', async () => {
+    const result = await extractContent(PAGE, 'text/html; charset=utf-8', BASE_URL);
+    assert.equal(result.format, 'markdown');
+    assert.equal(result.title, 'Getting Started');
+    assert.doesNotMatch(result.content, /Home|Blog|Copyright|track\(\)/);
+    assert.match(result.content, /^# Getting Started\n\nThis paragraph/);
+    // Links are resolved against the page; those that are not http(s) keep only their text.
+    assert.match(result.content, /Read the \[API docs\]\(https:\/\/docs\.example\.com\/api\/#install\) or mail us\./);
+    assert.match(result.content, /```js\nnpm install example\n```/);
+    assert.match(result.content, /- First \*\*step\*\*\n {2}1\. Nested\n- Second/);
+    assert.match(result.content, /\| Option \| Default \|\n\| --- \| --- \|\n\| a\\\|b \| `1` \|/);
+    assert.match(result.content, /!\[Logo\]\(https:\/\/docs\.example\.com\/logo\.png\)/);
+    assert.deepEqual(result.links, [{ url: 'https://docs.example.com/api/#install', text: 'API docs' }]);
+  });
+
+  it('pretty prints JSON and falls back to text when it does not parse', async () => {
+    const json = await extractContent('{"a":[1,2]}', 'application/vnd.api+json', BASE_URL);
+    assert.deepEqual(json, { format: 'json', title: '', content: '{\n  "a": [\n    1,\n    2\n  ]\n}', links: [] });
+    const broken = await extractContent('{"a":', 'application/json', BASE_URL);
+    assert.equal(broken.format, 'text');
+    assert.equal(broken.content, '{"a":');
+  });
+
+  it('detects HTML without a content type and leaves other text alone', async () => {
+    assert.equal((await extractContent(PAGE, '', BASE_URL)).format, 'markdown');
+    const plain = await extractContent('<b>not html</b>', 'text/plain', BASE_URL);
+    assert.deepEqual(plain, { format: 'text', title: '', content: '<b>not html</b>', links: [] });
+  });
+
+  it('extracts the text of each PDF page', async () => {
+    const result = await extractContent(minimalPdf('Hello from a PDF'), 'application/octet-stream', BASE_URL);
+    assert.equal(result.format, 'pdf');
+    assert.equal(result.content, '## Page 1\n\nHello from a PDF');
+  });
+});
+
+describe('extractLinks', () => {
+  it('returns every http(s) link once, resolved and without fragments', () => {
+    assert.deepEqual(extractLinks(PAGE, BASE_URL), [
+      'https://docs.example.com/',
+      'https://docs.example.com/blog',
+      'https://docs.example.com/api/',
+    ]);
+  });
+});
+
+describe('paginate', () => {
+  it('breaks between paragraphs', () => {
+    const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+    assert.deepEqual(paginate(text, 90), [`${'a'.repeat(40)}\n\n${'b'.repeat(40)}`, 'c'.repeat(40)]);
+  });
+
+  it('keeps a fenced code block with blank lines together', () => {
+    const code = '```\nline one\n\nline two\n```';
+    const pages = paginate(`${'a'.repeat(30)}\n\n${code}`, 40);
+    assert.deepEqual(pages, ['a'.repeat(30), code]);
+  });
+
+  it('splits a block larger than a page and returns one page for empty text', () => {
+    assert.deepEqual(paginate('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    assert.deepEqual(paginate(''), ['']);
+  });
+});
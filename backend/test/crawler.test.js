@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+const { crawlSite, saveCrawl, resolveInside, CrawlError } = require('../crawler');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const PROSE = 'This page explains one part of the library in enough words to be summarized.';
+
+function page(title, links = [], text = `${title}. ${PROSE}`) {
+  const anchors = links.map((href) => `<a href="${href}">${href}</a>`).join(' ');
+  return `<!doctype html><html><head><title>${title}</title></head><body><main><h1>${title}</h1><p>${text}</p><p>${anchors}</p></main></body></html>`;
+}
+
+// Serves `site` ({ url: html | { redirect } }) and records the URLs requested, in order.
+function stubFetcher(site) {
+  const requested = [];
+  return {
+    requested,
+    async fetch(url) {
+      requested.push(url);
+      let finalUrl = url;
+      while (site[finalUrl] && site[finalUrl].redirect) finalUrl = site[finalUrl].redirect;
+      if (!(finalUrl in site)) throw new Error(`404 for ${url}`);
+      return { finalUrl, contentType: 'text/html', body: Buffer.from(site[finalUrl]) };
+    },
+  };
+}
+
+function crawl(site, options) {
+  const fetcher = stubFetcher(site);
+  let acquired = 0;
+  const rateLimiter = { acquire: async () => { acquired++; } };
+  return crawlSite(options, { fetcher, rateLimiter }).then((result) => ({ ...result, requested: fetcher.requested, acquired }));
+}
+
+const SITE = {
+  'https://docs.test/': page('Home', ['/guide/', '/api/index.html', '/blog/post', 'https://other.test/', '/logo.png', '/guide/#setup']),
+  'https://docs.test/guide/': page('Guide', ['/guide/advanced', '/']),
+  'https://docs.test/guide/advanced': page('Advanced'),
+  'https://docs.test/api/index.html': page('API'),
+  'https://docs.test/blog/post': page('Post'),
+  'https://other.test/': page('Other'),
+};
+
+describe('crawlSite', () => {
+  it('reads pages breadth-first within the origin and the depth limit', async () => {
+    const result = await crawl(SITE, { url: 'https://docs.test/#top', maxDepth: 1 });
+    assert.equal(result.startUrl, 'https://docs.test/');
+    assert.deepEqual(result.pages.map((p) => [p.url, p.depth]), [
+      ['https://docs.test/', 0],
+      ['https://docs.test/guide/', 1],
+      ['https://docs.test/api/index.html', 1],
+      ['https://docs.test/blog/post', 1],
+    ]);
+    assert.equal(result.pages[1].title, 'Guide');
+    assert.equal(result.pages[1].summary, `Guide. ${PROSE}`);
+    // Images are never requested, and every request goes through the rate limiter.
+    assert.equal(result.acquired, result.requested.length);
+    assert.ok(!result.requested.includes('https://docs.test/logo.png'));
+  });
+
+  it('filters followed links with include and exclude globs', async () => {
+    const result = await crawl(SITE, { url: 'https://docs.test/', maxDepth: 2, include: ['/{guide,api}/**'], exclude: ['**/advanced'] });
+    assert.deepEqual(result.pages.map((p) => p.url), ['https://docs.test/', 'https://docs.test/guide/', 'https://docs.test/api/index.html']);
+  });
+
+  it('follows other origins only when asked and stops at maxPages', async () => {
+    const result = await crawl(SITE, { url: 'https://docs.test/', sameOrigin: false, maxPages: 5 });
+    assert.equal(result.pages.length, 5);
+    assert.ok(result.pages.some((p) => p.url === 'https://other.test/'));
+  });
+
+  it('counts redirects to read pages and repeated content as duplicates and records errors', async () => {
+    const site = {
+      'https://docs.test/': page('Home', ['/old', '/copy', '/missing']),
+      'https://docs.test/old': { redirect: 'https://docs.test/' },
+      'https://docs.test/copy': page('Home', ['/old', '/copy', '/missing']),
+    };
+    const result = await crawl(site, { url: 'https://docs.test/' });
+    assert.deepEqual(result.pages.map((p) => p.url), ['https://docs.test/']);
+    assert.equal(result.duplicates, 2);
+    assert.deepEqual(result.errors, [{ url: 'https://docs.test/missing', message: '404 for https://docs.test/missing' }]);
+  });
+
+  it('refuses an invalid start URL', async () => {
+    await assert.rejects(crawl(SITE, { url: 'not a url' }), (error) => error instanceof CrawlError && error.status === 400);
+  });
+});
+
+describe('saveCrawl', () => {
+  it('writes a Markdown file per page and a table of contents', async () => {
+    const { startUrl, pages } = await crawl(SITE, { url: 'https://docs.test/', maxDepth: 2, sameOrigin: false });
+    const directory = path.join(tempDir, 'docs');
+    const { files, skipped } = await saveCrawl({ startUrl, pages }, directory);
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(files.sort(), [
+      'api/index.md', 'blog/post.md', 'guide/advanced.md', 'guide/index.md', 'index-2.md', 'index.md', 'other.test/index.md',
+    ]);
+    const guide = fs.readFileSync(path.join(directory, 'guide/index.md'), 'utf8');
+    assert.match(guide, /^Source: https:\/\/docs\.test\/guide\/\n\n# Guide\n/);
+    const toc = fs.readFileSync(path.join(directory, 'index.md'), 'utf8');
+    assert.match(toc, /^# Crawl of https:\/\/docs\.test\/\n/);
+    assert.match(toc, /- \[Guide\]\(guide\/index\.md\) — Guide\. This page explains/);
+  });
+
+  it('never overwrites existing files', async () => {
+    const directory = path.join(tempDir, 'existing');
+    fs.mkdirSync(path.join(directory, 'guide'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'guide/index.md'), 'my notes');
+    const { startUrl, pages } = await crawl(SITE, { url: 'https://docs.test/guide/', maxDepth: 0 });
+
+    const { files, skipped } = await saveCrawl({ startUrl, pages }, directory);
+    assert.deepEqual(files, ['index.md']);
+    assert.deepEqual(skipped, ['guide/index.md']);
+    assert.equal(fs.readFileSync(path.join(directory, 'guide/index.md'), 'utf8'), 'my notes');
+  });
+});
+
+describe('resolveInside', () => {
+  const root = path.join(tempDir, 'workspace');
+
+  it('resolves folders inside the workspace', () => {
+    assert.equal(resolveInside(root, 'docs/vendor'), path.join(root, 'docs', 'vendor'));
+    assert.equal(resolveInside(root, '/docs'), path.join(root, 'docs'));
+  });
+
+  it('refuses the workspace root and paths that leave it', () => {
+    assert.throws(() => resolveInside(root, '.'), /workspace root/);
+    assert.throws(() => resolveInside(root, ''), /workspace root/);
+    assert.throws(() => resolveInside(root, '../elsewhere'), /outside the workspace/);
+    assert.throws(() => resolveInside(root, 'docs/../../elsewhere'), CrawlError);
+  });
+});
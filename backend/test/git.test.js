@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const git = require('../git');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// No user, system or GIT_* environment config that could change git's output or skip hooks.
+const env = {
+  ...Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('GIT_'))),
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: path.join(tempDir, 'gitconfig'),
+};
+
+function write(dir, file, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+function runGit(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env, encoding: 'utf8' });
+}
+
+describe('parseBranchHeader', () => {
+  it('reads the branch, upstream and divergence', () => {
+    assert.deepEqual(git.parseBranchHeader('## main...origin/main [ahead 1, behind 2]'), {
+      branch: 'main', upstream: 'origin/main', ahead: 1, behind: 2,
+    });
+    assert.deepEqual(git.parseBranchHeader('## feature/x...origin/feature/x [behind 3]'), {
+      branch: 'feature/x', upstream: 'origin/feature/x', ahead: 0, behind: 3,
+    });
+  });
+
+  it('handles branches without upstream, new repositories and detached heads', () => {
+    assert.deepEqual(git.parseBranchHeader('## dev'), { branch: 'dev', upstream: null, ahead: 0, behind: 0 });
+    assert.equal(git.parseBranchHeader('## No commits yet on main').branch, 'main');
+    assert.equal(git.parseBranchHeader('## HEAD (no branch)').branch, null);
+    assert.equal(git.parseBranchHeader('').branch, null);
+  });
+});
+
+describe('git commands', () => {
+  const repoDir = path.join(tempDir, 'repo');
+  // The project is a subfolder of the repository, so paths must be made project-relative.
+  const projectDir = path.join(repoDir, 'app');
+  const repo = { cwd: projectDir, env };
+
+  before(() => {
+    fs.mkdirSync(repoDir);
+    runGit(repoDir, 'init', '--quiet', '--initial-branch=main');
+    runGit(repoDir, 'config', 'user.name', 'Ada');
+    runGit(repoDir, 'config', 'user.email', 'ada@example.com');
+    write(projectDir, 'old name.js', 'one\n');
+    write(projectDir, 'src/keep.js', 'first\nsecond\n');
+    write(repoDir, 'outside.txt', 'not in the project\n');
+    runGit(repoDir, 'add', '.');
+    runGit(repoDir, 'commit', '--quiet', '-m', 'Initial commit');
+  });
+
+  it('reports renames, staged and unstaged changes relative to the project', async () => {
+    runGit(projectDir, 'mv', 'old name.js', 'new name.js');
+    write(projectDir, 'src/keep.js', 'first\nchanged\n');
+    write(projectDir, 'notes.txt', 'untracked\n');
+    write(repoDir, 'outside.txt', 'changed outside the project\n');
+
+    const result = await git.status(repo);
+    assert.equal(result.branch, 'main');
+    assert.equal(result.clean, false);
+    const byPath = Object.fromEntries(result.files.map((file) => [file.path, file]));
+    assert.deepEqual(Object.keys(byPath).sort(), ['new name.js', 'notes.txt', 'src/keep.js']);
+    assert.deepEqual(byPath['new name.js'], {
+      path: 'new name.js', originalPath: 'old name.js', index: 'R', worktree: ' ', untracked: false, staged: true, unstaged: false,
+    });
+    assert.equal(byPath['src/keep.js'].unstaged, true);
+    assert.equal(byPath['src/keep.js'].staged, false);
+    assert.equal(byPath['notes.txt'].untracked, true);
+  });
+
+  it('commits staged files and blames lines to their commits', async () => {
+    await git.add(repo, { paths: ['src/keep.js'] });
+    const { commit, files } = await git.commit(repo, { message: 'Change keep.js' });
+    assert.equal(commit.subject, 'Change keep.js');
+    assert.equal(commit.author, 'Ada');
+    assert.deepEqual(files.sort(), ['new name.js', 'src/keep.js']);
+
+    const { lines } = await git.blame(repo, { path: 'src/keep.js' });
+    assert.deepEqual(lines.map((line) => [line.line, line.content, line.summary]), [
+      [1, 'first', 'Initial commit'],
+      [2, 'changed', 'Change keep.js'],
+    ]);
+    assert.equal(lines[1].commit, commit.hash.slice(0, 8));
+    assert.equal(lines[0].author, 'Ada');
+  });
+
+  it('runs hooks with the environment it is given', async () => {
+    const hook = path.join(repoDir, '.git', 'hooks', 'pre-commit');
+    fs.writeFileSync(hook, '#!/bin/sh\necho "${HOOK_SECRET:-unset}" > "$HOOK_OUTPUT"\n', { mode: 0o755 });
+    const output = path.join(tempDir, 'hook-output');
+    process.env.HOOK_SECRET = 'from-the-server';
+    try {
+      write(projectDir, 'hooked.js', 'x\n');
+      await git.add(repo, { paths: ['hooked.js'] });
+      await git.commit({ ...repo, env: { ...env, HOOK_OUTPUT: output } }, { message: 'Hooked' });
+    } finally {
+      delete process.env.HOOK_SECRET;
+      fs.rmSync(hook);
+    }
+    assert.equal(fs.readFileSync(output, 'utf8').trim(), 'unset');
+  });
+
+  it('lists branches and marks the current one', async () => {
+    runGit(repoDir, 'branch', 'feature');
+    const result = await git.branches(repo);
+    assert.equal(result.current, 'main');
+    assert.deepEqual(result.branches.map((branch) => [branch.name, branch.current]), [['feature', false], ['main', true]]);
+  });
+
+  it('refuses refs that look like options and paths outside the project', async () => {
+    await assert.rejects(git.log(repo, { ref: '--output=/tmp/x' }), (error) => error instanceof git.GitError && error.status === 400);
+    await assert.rejects(git.blame(repo, { path: '../outside.txt' }), /must be relative to the project root/);
+  });
+
+  it('reports a folder outside any repository as a client error', async () => {
+    const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), 'not-git-'));
+    try {
+      await assert.rejects(git.status({ cwd: plainDir, env }), (error) => error instanceof git.GitError && error.status === 400);
+    } finally {
+      fs.rmSync(plainDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { SafeFetcher, FetchError, guardedLookup, isPrivateAddress } = require('../safe_fetch');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-fetch-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let fetchers = 0;
+function fetcherWith(options = {}) {
+  return new SafeFetcher(options, path.join(tempDir, `cache-${fetchers++}`));
+}
+
+function lookup(hostname, options) {
+  return new Promise((resolve, reject) => {
+    guardedLookup(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+describe('isPrivateAddress', () => {
+  it('recognizes loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::127.0.0.1', 'not-an-ip']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('lets public addresses through', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('SafeFetcher.checkUrl', () => {
+  const fetcher = fetcherWith();
+
+  it('refuses private and loopback hosts', () => {
+    for (const url of ['http://127.0.0.1:3333/api', 'http://10.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/', 'http://[::ffff:a00:1]/', 'http://localhost/', 'http://app.localhost/', 'http://LOCALHOST./']) {
+      assert.throws(() => fetcher.checkUrl(url), (error) => error instanceof FetchError && error.status === 403, url);
+    }
+  });
+
+  it('refuses other protocols and invalid URLs', () => {
+    assert.throws(() => fetcher.checkUrl('file:///etc/passwd'), /Only http and https/);
+    assert.throws(() => fetcher.checkUrl('not a url'), /Invalid URL/);
+  });
+
+  it('applies the domain lists', () => {
+    const listed = fetcherWith({ allowDomains: ['example.com'], denyDomains: ['bad.example.com'] });
+    assert.equal(listed.checkUrl('https://docs.example.com/a').hostname, 'docs.example.com');
+    assert.throws(() => listed.checkUrl('https://bad.example.com/'), /deny list/);
+    assert.throws(() => listed.checkUrl('https://example.org/'), /not in the list of allowed domains/);
+  });
+
+  it('allows private hosts when configured to', () => {
+    assert.equal(fetcherWith({ allowPrivateNetworks: true }).checkUrl('http://localhost:8080/').port, '8080');
+  });
+});
+
+describe('guardedLookup', () => {
+  it('answers like dns.lookup without `all`', async () => {
+    assert.deepEqual(await lookup('93.184.216.34', {}), ['93.184.216.34', 4]);
+    assert.deepEqual(await lookup('93.184.216.34', 4), ['93.184.216.34', 4]);
+  });
+
+  it('answers with a list with `all`', async () => {
+    assert.deepEqual(await lookup('93.184.216.34', { all: true }), [[{ address: '93.184.216.34', family: 4 }]]);
+  });
+
+  it('refuses names that resolve to private addresses', async () => {
+    await assert.rejects(lookup('localhost', {}), (error) => error instanceof FetchError && error.status === 403);
+    await assert.rejects(lookup('169.254.169.254', { all: true }), /private address 169\.254\.169\.254/);
+  });
+});
+
+describe('SafeFetcher.fetch', () => {
+  let server;
+  let baseUrl;
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/big') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('x'.repeat(4096));
+      } else if (req.url === '/stream') {
+        // No Content-Length, so the limit has to apply while reading.
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        for (let i = 0; i < 8; i++) res.write('x'.repeat(512));
+        res.end();
+      } else if (req.url === '/to-metadata') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`hello ${req.url}`);
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  // A fetcher that answers every request with the redirects in `hops`, keyed by URL.
+  function redirectingFetcher(hops, options) {
+    const fetcher = fetcherWith(options);
+    fetcher.requested = [];
+    fetcher.request = async (url) => {
+      fetcher.requested.push(url);
+      if (hops[url]) return { status: 302, headers: { location: hops[url] }, data: Buffer.alloc(0) };
+      return { status: 200, headers: { 'content-type': 'text/plain' }, data: Buffer.from('ok') };
+    };
+    return fetcher;
+  }
+
+  it('refuses redirects to private addresses before requesting them', async () => {
+    for (const target of ['http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::ffff:10.0.0.1]/', 'http://localhost:3333/api/execute-tool']) {
+      const fetcher = redirectingFetcher({ 'https://example.com/': 'https://example.com/next', 'https://example.com/next': target });
+      await assert.rejects(fetcher.fetch('https://example.com/'), (error) => error instanceof FetchError && error.status === 403, target);
+      assert.deepEqual(fetcher.requested, ['https://example.com/', 'https://example.com/next']);
+    }
+  });
+
+  it('follows redirects to public addresses', async () => {
+    const fetcher = redirectingFetcher({ 'https://example.com/': '/moved' });
+    const result = await fetcher.fetch('https://example.com/');
+    assert.equal(result.finalUrl, 'https://example.com/moved');
+    assert.equal(result.body.toString(), 'ok');
+  });
+
+  it('stops after too many redirects', async () => {
+    const fetcher = redirectingFetcher({ 'https://example.com/a': '/b', 'https://example.com/b': '/a' }, { maxRedirects: 3 });
+    await assert.rejects(fetcher.fetch('https://example.com/a'), /Stopped after 3 redirects/);
+  });
+
+  it('refuses a host name that resolves to a private address at connect time', async () => {
+    const fetcher = fetcherWith();
+    const port = server.address().port;
+    await assert.rejects(fetcher.request(`http://localhost:${port}/`, { method: 'GET' }), (error) => error instanceof FetchError && error.status === 403);
+  });
+
+  it('cuts off bodies larger than maxBytes', async () => {
+    const fetcher = fetcherWith({ allowPrivateNetworks: true, maxBytes: 1024 });
+    for (const route of ['/big', '/stream']) {
+      await assert.rejects(fetcher.fetch(`${baseUrl}${route}`), (error) => error instanceof FetchError && error.status === 413, route);
+    }
+  });
+
+  it('re-checks redirects from a real server', async () => {
+    const fetcher = fetcherWith({ allowPrivateNetworks: false });
+    fetcher.checkUrl = (url) => (url.startsWith(baseUrl) ? new URL(url) : SafeFetcher.prototype.checkUrl.call(fetcher, url));
+    await assert.rejects(fetcher.fetch(`${baseUrl}/to-metadata`), (error) => error.status === 403);
+  });
+
+  it('caches successful GETs', async () => {
+    const fetcher = fetcherWith({ allowPrivateNetworks: true });
+    const first = await fetcher.fetch(`${baseUrl}/page`);
+    const second = await fetcher.fetch(`${baseUrl}/page`);
+    assert.equal(first.fromCache, false);
+    assert.equal(second.fromCache, true);
+    assert.equal(second.body.toString(), 'hello /page');
+    assert.equal((await fetcher.fetch(`${baseUrl}/page`, { cache: false })).fromCache, false);
+  });
+});
@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+const { buildTestCommand, runTests, parseReport, TestRunnerError } = require('../test_runner');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-runner-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Captured from `jest --json --testLocationInResults` in a project at /project
+// with one failing test, one skipped test and a suite that fails to load.
+const REPORT = require('./fixtures/jest-report.json');
+
+function projectWithTestScript(name, script) {
+  const dir = path.join(tempDir, name);
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ scripts: { test: script } }));
+  return dir;
+}
+
+describe('parseReport', () => {
+  const result = parseReport('/project', REPORT);
+
+  it('summarizes suites and tests', () => {
+    assert.equal(result.success, false);
+    assert.deepEqual(result.summary, {
+      suites: { total: 2, passed: 0, failed: 2 },
+      tests: { total: 3, passed: 1, failed: 1, skipped: 1 },
+    });
+  });
+
+  it('reports tests with project-relative locations', () => {
+    const [suite] = result.suites;
+    assert.equal(suite.file, 'src/math.test.js');
+    assert.deepEqual(
+      suite.tests.map((test) => [test.fullName, test.status, test.location.line]),
+      [['add adds numbers', 'passed', 4], ['add adds strings', 'failed', 8], ['add adds dates', 'pending', 12]],
+    );
+  });
+
+  it('points failures at the failing line and drops node_modules frames', () => {
+    const [failure] = result.suites[0].tests[1].failures;
+    assert.deepEqual(failure.location, { file: 'src/math.test.js', line: 9, column: 27 });
+    assert.match(failure.message, /Expected: "ab "\nReceived: "ab"/);
+    assert.doesNotMatch(failure.message, /node_modules/);
+  });
+
+  it('keeps the message of a suite that failed to load', () => {
+    const broken = result.suites[1];
+    assert.equal(broken.file, 'src/broken.test.js');
+    assert.deepEqual(broken.tests, []);
+    assert.match(broken.failureMessage, /Cannot find module '\.\/does-not-exist'/);
+    assert.deepEqual(broken.location, { file: 'src/broken.test.js', line: 1, column: 44 });
+  });
+});
+
+describe('buildTestCommand', () => {
+  it('runs the npm test script when it uses Jest', () => {
+    const cwd = projectWithTestScript('npm-jest', 'jest --runInBand');
+    const request = { cwd, file: 'src/a b.test.js', testName: 'adds; rm -rf /' };
+    const { command, args, commandLine } = buildTestCommand(request);
+    assert.equal(command, process.platform === 'win32' ? 'npm.cmd' : 'npm');
+    assert.deepEqual(args.slice(0, 4), ['test', '--', '--json', '--testLocationInResults']);
+    if (process.platform !== 'win32') {
+      // Without a shell the values stay single arguments.
+      assert.deepEqual(args.slice(-4), ['--testNamePattern', 'adds; rm -rf /', '--testPathPattern', 'src/a b.test.js']);
+    }
+    assert.equal(commandLine, [command, ...args].join(' '));
+    // The policy confirms this exact line, so it must not change between requests.
+    assert.equal(buildTestCommand(request).commandLine, commandLine);
+  });
+
+  it('refuses values spanning several lines', () => {
+    const cwd = projectWithTestScript('multiline', 'jest');
+    assert.throws(() => buildTestCommand({ cwd, testName: 'a\nb' }), TestRunnerError);
+    assert.throws(() => buildTestCommand({ cwd, file: 'a\rb' }), /'file' must be a single line/);
+  });
+
+  it('refuses projects without Jest', () => {
+    const cwd = projectWithTestScript('mocha', 'mocha');
+    assert.throws(() => buildTestCommand({ cwd }), (error) => error instanceof TestRunnerError && /No Jest setup/.test(error.message));
+  });
+});
+
+describe('runTests', () => {
+  it('rejects on timeout even while a child keeps the output open', { skip: process.platform === 'win32' }, async () => {
+    const startedAt = Date.now();
+    // The appended --outputFile is just another argument to sh.
+    const command = { command: 'sh', args: ['-c', 'sleep 30 & sleep 30'], commandLine: 'sleep' };
+    await assert.rejects(runTests(command, { cwd: tempDir, timeoutMs: 200 }), (error) => error.timedOut === true);
+    assert.ok(Date.now() - startedAt < 5000);
+  });
+});
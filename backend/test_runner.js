@@ -0,0 +1,237 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { killProcessTree } = require('./command_runner');
+
+// =================================================================
+// === Jest Test Runner                                          ===
+// =================================================================
+// Runs the project's Jest suite with --json and turns the report into
+// structured suites, tests and failure locations relative to the project.
+
+const IS_WINDOWS = os.platform() === 'win32';
+const TEST_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_FAILURE_MESSAGE_LENGTH = 2000;
+const MAX_RAW_OUTPUT_LENGTH = 4000;
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+const STACK_LOCATION_PATTERN = /\(?((?:[A-Za-z]:)?[^\s():]+):(\d+):(\d+)\)?/;
+
+class TestRunnerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TestRunnerError';
+    this.status = status;
+  }
+}
+
+function stripAnsi(text) {
+  return String(text || '').replace(ANSI_PATTERN, '');
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}\n... (truncated)` : text;
+}
+
+function toProjectPath(cwd, filePath) {
+  const relative = path.relative(cwd, filePath);
+  return relative.split(path.sep).join('/');
+}
+
+function isNodeModulesFrame(line) {
+  return /[\\/]node_modules[\\/]/.test(line) || line.includes('(<anonymous>)') || line.includes('(node:');
+}
+
+// Drops stack frames from Jest internals and dependencies so messages stay short.
+function cleanFailureMessage(message) {
+  return message
+    .split('\n')
+    .filter((line) => !(line.trim().startsWith('at ') && isNodeModulesFrame(line)))
+    .join('\n')
+    .trim();
+}
+
+// Finds the first stack frame that points into the project (not node_modules).
+// Jest prints absolute paths in test failures and cwd-relative ones for suites
+// that fail to load.
+function findFailureLocation(cwd, message) {
+  for (const line of message.split('\n')) {
+    if (!line.trim().startsWith('at ') || isNodeModulesFrame(line)) continue;
+    const match = line.match(STACK_LOCATION_PATTERN);
+    if (!match) continue;
+    const filePath = path.resolve(cwd, match[1]);
+    if (!filePath.startsWith(cwd + path.sep)) continue;
+    return { file: toProjectPath(cwd, filePath), line: Number(match[2]), column: Number(match[3]) };
+  }
+  return null;
+}
+
+// Picks how to invoke Jest: the project's `npm test` script when it runs Jest,
+// otherwise the locally installed binary.
+function resolveJestCommand(cwd) {
+  const packageJsonPath = path.join(cwd, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      const testScript = packageJson.scripts && packageJson.scripts.test;
+      if (testScript && /\bjest\b/.test(testScript)) {
+        return { command: IS_WINDOWS ? 'npm.cmd' : 'npm', args: ['test', '--'] };
+      }
+    } catch (error) {
+      console.warn(`[BACKEND] Could not read ${packageJsonPath}: ${error.message}`);
+    }
+  }
+  const binary = path.join(cwd, 'node_modules', '.bin', IS_WINDOWS ? 'jest.cmd' : 'jest');
+  if (fs.existsSync(binary)) {
+    return { command: binary, args: [] };
+  }
+  return null;
+}
+
+function parseReport(cwd, report) {
+  const suites = report.testResults.map((suite) => {
+    const tests = suite.assertionResults.map((test) => {
+      const failures = test.failureMessages.map((rawMessage) => {
+        const message = stripAnsi(rawMessage);
+        return {
+          message: truncate(cleanFailureMessage(message), MAX_FAILURE_MESSAGE_LENGTH),
+          location: findFailureLocation(cwd, message),
+        };
+      });
+      return {
+        name: test.title,
+        fullName: test.fullName,
+        status: test.status,
+        durationMs: test.duration,
+        location: test.location
+          ? { file: toProjectPath(cwd, suite.name), line: test.location.line, column: test.location.column }
+          : null,
+        failures,
+      };
+    });
+    const result = {
+      file: toProjectPath(cwd, suite.name),
+      status: suite.status,
+      tests,
+    };
+    // Suites that fail to load (syntax errors, missing modules) have no tests, only a message.
+    if (suite.status === 'failed' && tests.length === 0 && suite.message) {
+      const message = stripAnsi(suite.message);
+      result.failureMessage = truncate(cleanFailureMessage(message), MAX_FAILURE_MESSAGE_LENGTH);
+      result.location = findFailureLocation(cwd, message);
+    }
+    return result;
+  });
+
+  return {
+    success: report.success,
+    summary: {
+      suites: { total: report.numTotalTestSuites, passed: report.numPassedTestSuites, failed: report.numFailedTestSuites },
+      tests: {
+        total: report.numTotalTests,
+        passed: report.numPassedTests,
+        failed: report.numFailedTests,
+        skipped: report.numPendingTests + report.numTodoTests,
+      },
+    },
+    suites,
+  };
+}
+
+// `file` and `testName` come from the model. On Windows npm.cmd and jest.cmd run
+// through cmd.exe, so they are quoted there, and the characters cmd.exe still
+// expands inside quotes are refused.
+function commandArgument(value, name) {
+  if (typeof value !== 'string' || /[\0\r\n]/.test(value)) {
+    throw new TestRunnerError(`'${name}' must be a single line of text.`);
+  }
+  if (!IS_WINDOWS) return value;
+  if (/["%!]/.test(value)) {
+    throw new TestRunnerError(`'${name}' may not contain ", % or ! on Windows.`);
+  }
+  return `"${value}"`;
+}
+
+/**
+ * Resolves how to run Jest in `cwd`, the project directory. `file` limits the
+ * run to test files matching that path pattern and `testName` to tests whose
+ * name matches. Returns `{ command, args, commandLine }`, where `commandLine`
+ * is the command as one string for the policy and audit log. The report file
+ * is added by runTests, so the same request always gives the same command line.
+ */
+function buildTestCommand({ file, testName, cwd }) {
+  const jest = resolveJestCommand(cwd);
+  if (!jest) {
+    throw new TestRunnerError(`No Jest setup found in ${cwd}. Add a "test" script that runs jest or install jest locally.`);
+  }
+  const args = [...jest.args, '--json', '--testLocationInResults'];
+  if (testName) args.push('--testNamePattern', commandArgument(testName, 'testName'));
+  if (file) args.push('--testPathPattern', commandArgument(file, 'file'));
+  return { command: jest.command, args, commandLine: [jest.command, ...args].join(' ') };
+}
+
+/**
+ * Runs a command from buildTestCommand in `cwd` with the environment `env`.
+ * Resolves to the parsed report; rejects if Jest could not produce one. The
+ * error carries `output` and, when known, `exitCode` and `timedOut`.
+ */
+function runTests({ command, args, commandLine }, { cwd, env = process.env, timeoutMs = TEST_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const outputFile = path.join(os.tmpdir(), `jest-report-${process.pid}-${startedAt}.json`);
+    console.log(`[BACKEND] Running tests: ${commandLine}`);
+    // Detached on POSIX so a timeout can kill npm and the Jest process it starts together.
+    const child = spawn(command, [...args, `--outputFile=${outputFile}`], {
+      cwd,
+      env: { ...env, CI: 'true', FORCE_COLOR: '0' },
+      shell: IS_WINDOWS,
+      detached: !IS_WINDOWS,
+      windowsHide: true,
+    });
+
+    let output = '';
+    const collect = (data) => {
+      output = (output + data.toString()).slice(-MAX_RAW_OUTPUT_LENGTH * 4);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    const rawOutput = () => truncate(stripAnsi(output).slice(-MAX_RAW_OUTPUT_LENGTH), MAX_RAW_OUTPUT_LENGTH);
+
+    let timedOut = false;
+    // Rejects right away: Jest's workers can keep the pipes open for a while after the kill.
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child.pid, 'SIGKILL');
+      fs.rm(outputFile, { force: true }, () => {});
+      reject(Object.assign(new Error(`Tests timed out after ${timeoutMs / 1000} seconds.`), { output: rawOutput(), timedOut: true }));
+    }, timeoutMs);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      if (timedOut) return;
+      const durationMs = Date.now() - startedAt;
+
+      let report;
+      try {
+        report = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+      } catch (error) {
+        reject(Object.assign(new Error(`Jest exited with code ${exitCode} without producing a report.`), { output: rawOutput(), exitCode }));
+        return;
+      } finally {
+        fs.rm(outputFile, { force: true }, () => {});
+      }
+
+      const result = parseReport(cwd, report);
+      result.summary.durationMs = durationMs;
+      result.exitCode = exitCode;
+      resolve(result);
+    });
+  });
+}
+
+module.exports = { buildTestCommand, runTests, parseReport, TestRunnerError };
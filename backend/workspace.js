@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// =================================================================
+// === Workspace Root                                            ===
+// =================================================================
+// The browser opens folders through the File System Access API and never
+// learns their absolute path, so the frontend registers the open folder by
+// name. The backend maps that name to a directory on disk, either from the
+// configured workspaces or from a path the user confirmed, and runs terminals,
+// tests and git there.
+
+class WorkspaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+function normalizeWorkspaces(entries) {
+  if (!Array.isArray(entries)) {
+    throw new WorkspaceError("'workspaces' in config.json must be a list.");
+  }
+  return entries.map((entry) => {
+    const workspacePath = typeof entry === 'string' ? entry : entry && entry.path;
+    if (typeof workspacePath !== 'string' || !path.isAbsolute(workspacePath)) {
+      throw new WorkspaceError(`Workspace entry ${JSON.stringify(entry)} needs an absolute 'path'.`);
+    }
+    const resolved = path.resolve(workspacePath);
+    return { name: (entry && entry.name) || path.basename(resolved), path: resolved };
+  });
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+class Workspace {
+  constructor(config) {
+    this.workspaces = normalizeWorkspaces(config.workspaces);
+    this.current = null;
+    // PROJECT_DIR pins the workspace for the whole session, whatever folder the editor opens.
+    if (process.env.PROJECT_DIR) {
+      const root = path.resolve(process.env.PROJECT_DIR);
+      this.current = { name: path.basename(root), path: root, source: 'env' };
+    }
+  }
+
+  describe() {
+    return {
+      root: this.current ? this.current.path : null,
+      name: this.current ? this.current.name : null,
+      source: this.current ? this.current.source : null,
+      workspaces: this.workspaces,
+    };
+  }
+
+  /**
+   * Maps the folder the editor opened to a directory on disk. Without `path`
+   * the folder name is looked up in the configured workspaces; with `path`
+   * (typed by the user) the directory must exist and carry the same name.
+   * Returns `describe()` plus `candidates` when the name is ambiguous; `root`
+   * is null when no mapping was found.
+   */
+  register({ folderName, path: requestedPath } = {}) {
+    if (typeof folderName !== 'string' || folderName.trim() === '') {
+      throw new WorkspaceError("'folderName' is required.");
+    }
+    if (process.env.PROJECT_DIR) return { ...this.describe(), candidates: [] };
+
+    if (requestedPath) {
+      if (typeof requestedPath !== 'string' || !path.isAbsolute(requestedPath)) {
+        throw new WorkspaceError(`'${requestedPath}' is not an absolute path.`);
+      }
+      const root = path.resolve(requestedPath);
+      if (!isDirectory(root)) {
+        throw new WorkspaceError(`'${root}' is not a directory on the backend machine.`, 404);
+      }
+      if (path.basename(root) !== folderName) {
+        throw new WorkspaceError(`'${root}' does not match the open folder '${folderName}'.`);
+      }
+      this.current = { name: folderName, path: root, source: 'confirmed' };
+      console.log(`[BACKEND] Workspace '${folderName}' mapped to ${root} (confirmed by user)`);
+      return { ...this.describe(), candidates: [] };
+    }
+
+    const candidates = this.workspaces.filter(
+      (workspace) => workspace.name === folderName || path.basename(workspace.path) === folderName,
+    );
+    const found = candidates.length === 1 && isDirectory(candidates[0].path) ? candidates[0] : null;
+    this.current = found ? { name: folderName, path: found.path, source: 'config' } : null;
+    if (found) console.log(`[BACKEND] Workspace '${folderName}' mapped to ${found.path}`);
+    return { ...this.describe(), candidates: found ? [] : candidates.map((workspace) => workspace.path) };
+  }
+
+  clear() {
+    if (!process.env.PROJECT_DIR) this.current = null;
+    return this.describe();
+  }
+
+  // The directory backend commands run in. Throws until a workspace is registered.
+  getRoot() {
+    if (!this.current) {
+      throw new WorkspaceError(
+        'No workspace folder is registered with the backend, so it does not know where the open project is on disk. ' +
+          'Set its path from the warning in the file panel or add it to backend/config.json.',
+        409,
+      );
+    }
+    return this.current.path;
+  }
+}
+
+module.exports = { Workspace, WorkspaceError };
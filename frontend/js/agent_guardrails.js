@@ -0,0 +1,109 @@
+// =================================================================
+// === Agent Loop Guardrails                                     ===
+// =================================================================
+// Tracks one user request as the agent works through tool rounds and reports
+// when it should pause: too many rounds, too many tokens, the same call
+// returning the same result again and again, or the same error repeating.
+
+export const DEFAULT_GUARDRAIL_LIMITS = {
+    maxToolRounds: 25,
+    maxTokens: 500000,
+    maxRepeats: 3,
+};
+
+const GUARDRAIL_STORAGE_KEY = 'agentGuardrailLimits';
+
+export function loadGuardrailLimits() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GUARDRAIL_STORAGE_KEY) || '{}');
+        return { ...DEFAULT_GUARDRAIL_LIMITS, ...saved };
+    } catch (error) {
+        return { ...DEFAULT_GUARDRAIL_LIMITS };
+    }
+}
+
+export function saveGuardrailLimits(limits) {
+    localStorage.setItem(GUARDRAIL_STORAGE_KEY, JSON.stringify(limits));
+}
+
+// Stable JSON (sorted keys) so argument order does not hide a repeated call.
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function incrementCount(counts, key) {
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    return count;
+}
+
+/**
+ * Creates the guardrail state for a single user message. Record every tool
+ * round and token count, then call `check()`; it returns `{ reason, summary }`
+ * when a limit is reached. After the user chooses to continue, `extend()`
+ * grants another full allowance and forgets the repeats seen so far.
+ */
+export function createGuardrails(limits = DEFAULT_GUARDRAIL_LIMITS) {
+    let toolRounds = 0;
+    let toolCalls = 0;
+    let tokens = 0;
+    let roundAllowance = limits.maxToolRounds;
+    let tokenAllowance = limits.maxTokens;
+    let repeatedCalls = new Map();
+    let repeatedErrors = new Map();
+    let trippedRepeat = null;
+
+    return {
+        recordTokens(count) {
+            tokens += count || 0;
+        },
+
+        recordToolRound(functionCalls, toolResults) {
+            toolRounds++;
+            toolCalls += functionCalls.length;
+            toolResults.forEach(({ toolResponse }, index) => {
+                const call = functionCalls[index];
+                const response = toolResponse.response || {};
+                const signature = `${call.name} ${stableStringify(call.args || {})}`;
+                const callCount = incrementCount(repeatedCalls, `${signature} => ${stableStringify(response)}`);
+                if (callCount >= limits.maxRepeats && !trippedRepeat) {
+                    trippedRepeat = `'${call.name}' was called ${callCount} times with the same arguments and returned the same result.`;
+                }
+                if (response.error) {
+                    const errorCount = incrementCount(repeatedErrors, `${call.name} ${response.error}`);
+                    if (errorCount >= limits.maxRepeats && !trippedRepeat) {
+                        trippedRepeat = `'${call.name}' failed ${errorCount} times with the same error: ${response.error}`;
+                    }
+                }
+            });
+        },
+
+        check() {
+            let reason = null;
+            if (trippedRepeat) {
+                reason = trippedRepeat;
+            } else if (toolRounds >= roundAllowance) {
+                reason = `The agent has used ${toolRounds} tool rounds for this message (limit ${roundAllowance}).`;
+            } else if (tokens >= tokenAllowance) {
+                reason = `The agent has used about ${tokens} tokens for this message (limit ${tokenAllowance}).`;
+            }
+            if (!reason) return null;
+            return {
+                reason,
+                summary: `${toolRounds} tool round(s), ${toolCalls} tool call(s), ~${tokens} tokens so far.`,
+            };
+        },
+
+        extend() {
+            roundAllowance = toolRounds + limits.maxToolRounds;
+            tokenAllowance = tokens + limits.maxTokens;
+            repeatedCalls = new Map();
+            repeatedErrors = new Map();
+            trippedRepeat = null;
+        },
+    };
+}
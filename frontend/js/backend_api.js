@@ -0,0 +1,97 @@
+// =================================================================
+// === Backend API                                               ===
+// =================================================================
+
+// The backend puts a per-launch token into index.html and refuses API
+// requests and terminal sockets without it.
+export const SESSION_TOKEN = document.querySelector('meta[name="session-token"]')?.content || '';
+
+function jsonHeaders() {
+    return { 'Content-Type': 'application/json', 'X-Session-Token': SESSION_TOKEN };
+}
+
+/**
+ * POSTs `body` as JSON to a backend endpoint and returns the parsed reply.
+ * Throws with the backend's message (and any `output` as `details`) when the
+ * request fails; the error also carries the HTTP `status` and, when the
+ * command policy wants the user to confirm, a `confirmationId`.
+ */
+export async function postToBackend(endpoint, body, fallbackMessage) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) throw await toBackendError(response, fallbackMessage);
+    return response.json();
+}
+
+async function toBackendError(response, fallbackMessage) {
+    const result = await response.json().catch(() => ({}));
+    const error = new Error(result.message || fallbackMessage);
+    if (result.output) error.details = { output: result.output };
+    error.status = response.status;
+    if (result.confirmationId) error.confirmationId = result.confirmationId;
+    return error;
+}
+
+/**
+ * POSTs `body` to an endpoint that answers with server-sent events and calls
+ * `onEvent(event, data)` for each one as it arrives. Resolves when the stream
+ * ends; `signal` aborts the request. Errors before the stream starts are
+ * thrown like postToBackend's.
+ */
+export async function streamFromBackend(endpoint, body, fallbackMessage, { onEvent, signal } = {}) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) throw await toBackendError(response, fallbackMessage);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const eventLine = block.split('\n').find((line) => line.startsWith('event: '));
+            const data = block.split('\n').filter((line) => line.startsWith('data: ')).map((line) => line.slice(6)).join('\n');
+            if (data) onEvent(eventLine ? eventLine.slice(7) : 'message', JSON.parse(data));
+        }
+    }
+}
+
+// Runs one of the backend's git commands (status, diff, log, blame, show, add, commit, branches).
+export function gitRequest(command, body = {}) {
+    return postToBackend(`/api/git/${command}`, body, `git ${command} failed`);
+}
+
+/**
+ * Runs `send(confirmationId)`, first with no id. When the backend's command
+ * policy asks for confirmation, awaits `confirm(message)` and, if that
+ * resolves true, calls `send` again with the confirmation id.
+ */
+export async function withConfirmation(send, confirm) {
+    try {
+        return await send(null);
+    } catch (error) {
+        if (!error.confirmationId) throw error;
+        if (!(await confirm(error.message))) {
+            throw new Error('The user declined to run this command. Do not retry it unchanged.');
+        }
+        return send(error.confirmationId);
+    }
+}
+
+export function postWithConfirmation(endpoint, body, fallbackMessage, confirm) {
+    return withConfirmation(
+        (confirmationId) => postToBackend(endpoint, confirmationId ? { ...body, confirmationId } : body, fallbackMessage),
+        confirm,
+    );
+}
@@ -0,0 +1,158 @@
+import { SymbolResolver } from './symbol_resolver.js';
+import * as FileSystem from './file_system.js';
+import * as Editor from './editor.js';
+import * as UI from './ui.js';
+
+// =================================================================
+// === Code Navigation (Definitions, References & Rename)        ===
+// =================================================================
+
+const NAVIGATION_LANGUAGES = ['javascript'];
+
+/**
+ * Builds the workspace symbol index, reading open files from their editor
+ * models so unsaved edits are taken into account.
+ */
+export async function buildSymbolIndex(rootDirectoryHandle) {
+    const overrides = new Map();
+    for (const [filePath, fileData] of Editor.getOpenFiles().entries()) {
+        overrides.set(filePath, fileData.model.getValue());
+    }
+    return SymbolResolver.buildIndex(rootDirectoryHandle, overrides);
+}
+
+function toMonacoLocation(location, index) {
+    const analysis = index.files.get(location.path);
+    Editor.ensureModel(location.path, analysis ? analysis.lines.join('\n') : undefined);
+    return {
+        uri: monaco.Uri.file(location.path),
+        range: new monaco.Range(location.line, location.column, location.line, location.end_column),
+    };
+}
+
+async function occurrenceAtPosition(getRootDirectoryHandle, model, position) {
+    const rootDirectoryHandle = getRootDirectoryHandle();
+    if (!rootDirectoryHandle) return null;
+    const index = await buildSymbolIndex(rootDirectoryHandle);
+    const occurrence = index.occurrenceAt(Editor.getPathFromUri(model.uri), position.lineNumber, position.column);
+    return occurrence ? { index, occurrence } : null;
+}
+
+export function createRenamePreview(plan) {
+    return {
+        kind: 'multi-diff',
+        title: `Rename '${plan.symbol}' to '${plan.newName}' in ${plan.files.length} file(s):`,
+        files: plan.files.map((file) => ({ filename: file.path, original: file.original, proposed: file.updated })),
+        editable: false,
+    };
+}
+
+// The text a plan was computed from: the editor model of an open file, the disk otherwise.
+async function readCurrentText(rootDirectoryHandle, filePath) {
+    const fileData = Editor.getOpenFiles().get(filePath);
+    if (fileData && fileData.model) return fileData.model.getValue();
+    const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
+    const file = await fileHandle.getFile();
+    return file.text();
+}
+
+/**
+ * Writes every file of a rename plan and keeps open and hidden editor models in sync.
+ * A plan can be approved long after it was computed, so every file is checked
+ * against the text it was planned from first; if any changed, nothing is written.
+ */
+export async function applyRenamePlan(rootDirectoryHandle, plan) {
+    for (const file of plan.files) {
+        const current = await readCurrentText(rootDirectoryHandle, file.path);
+        if (current !== file.original) {
+            throw new Error(`'${file.path}' changed after the rename was planned. Nothing was renamed; run the rename again.`);
+        }
+    }
+    for (const file of plan.files) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, file.path);
+        const writable = await fileHandle.createWritable();
+        await writable.write(file.updated);
+        await writable.close();
+        const model = monaco.editor.getModel(monaco.Uri.file(file.path));
+        if (model) model.setValue(file.updated);
+    }
+}
+
+function registerRenameAction(getRootDirectoryHandle) {
+    Editor.getEditorInstance().addAction({
+        id: 'project-rename-symbol',
+        label: 'Rename Symbol (Project-Wide)',
+        keybindings: [monaco.KeyCode.F2],
+        contextMenuGroupId: '1_modification',
+        async run(editor) {
+            const model = editor.getModel();
+            if (!model || !NAVIGATION_LANGUAGES.includes(model.getLanguageId())) {
+                // Keep Monaco's own rename for other languages.
+                editor.trigger('keyboard', 'editor.action.rename', null);
+                return;
+            }
+            const found = await occurrenceAtPosition(getRootDirectoryHandle, model, editor.getPosition());
+            if (!found) {
+                alert('Place the cursor on a symbol in a project file to rename it.');
+                return;
+            }
+            const newName = prompt(`Rename '${found.occurrence.name}' to:`, found.occurrence.name);
+            if (newName === null || newName.trim() === found.occurrence.name) return;
+
+            let plan;
+            try {
+                plan = found.index.planRename(found.occurrence, newName.trim());
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            const approval = UI.showApprovalRequest(
+                document.getElementById('chat-messages'),
+                'Rename Symbol',
+                createRenamePreview(plan),
+                { askReason: false },
+            );
+            const outcome = await approval.result;
+            if (outcome.decision !== 'approve') return;
+            try {
+                await applyRenamePlan(getRootDirectoryHandle(), plan);
+            } catch (error) {
+                console.error('Rename failed:', error);
+                alert(`Rename failed: ${error.message}`);
+            }
+        },
+    });
+}
+
+/**
+ * Registers Monaco definition and reference providers backed by the symbol
+ * index, the project-wide rename action (F2), and lets the editor open the
+ * files they point to.
+ */
+export function initializeCodeNavigation(getRootDirectoryHandle, openPath) {
+    Editor.registerEditorOpener(openPath);
+    registerRenameAction(getRootDirectoryHandle);
+
+    for (const language of NAVIGATION_LANGUAGES) {
+        monaco.languages.registerDefinitionProvider(language, {
+            async provideDefinition(model, position) {
+                const found = await occurrenceAtPosition(getRootDirectoryHandle, model, position);
+                if (!found) return null;
+                const result = found.index.getDefinition(found.occurrence);
+                return result && result.definition ? [toMonacoLocation(result.definition, found.index)] : null;
+            },
+        });
+
+        monaco.languages.registerReferenceProvider(language, {
+            async provideReferences(model, position, context) {
+                const found = await occurrenceAtPosition(getRootDirectoryHandle, model, position);
+                if (!found) return [];
+                const result = found.index.getReferences(found.occurrence);
+                if (!result) return [];
+                return result.references
+                    .filter((reference) => context.includeDeclaration || reference.kind !== 'definition')
+                    .map((reference) => toMonacoLocation(reference, found.index));
+            },
+        });
+    }
+}
@@ -0,0 +1,69 @@
+import { postToBackend } from './backend_api.js';
+import * as UI from './ui.js';
+
+// =================================================================
+// === Command Log Viewer                                        ===
+// =================================================================
+// Browses the backend's append-only audit log of shell commands and shows
+// which command policy is in effect.
+
+const PAGE_SIZE = 100;
+
+function describePolicy({ path, fromFile, error, policy }) {
+    if (error) return error;
+    const counts = `${policy.allow.length} allow, ${policy.deny.length} deny and ${policy.confirm.length} confirm pattern(s)`;
+    const allowNote = policy.allow.length === 0 ? ' Commands not denied are allowed.' : '';
+    return `${fromFile ? `Policy from ${path}` : 'Default policy (no command_policy.json)'}: ${counts}.${allowNote}`;
+}
+
+export function initializeCommandLog() {
+    const modal = document.getElementById('command-log-modal');
+    const list = document.getElementById('command-log-list');
+    const policySummary = document.getElementById('command-policy-summary');
+    const searchInput = document.getElementById('command-log-search');
+    const sourceSelect = document.getElementById('command-log-source');
+    const moreButton = document.getElementById('command-log-more-button');
+    let shown = 0;
+
+    const load = async ({ append = false } = {}) => {
+        try {
+            const result = await postToBackend(
+                '/api/audit-log',
+                { query: searchInput.value.trim(), source: sourceSelect.value, offset: append ? shown : 0, limit: PAGE_SIZE },
+                'Failed to read the command log',
+            );
+            UI.renderAuditLog(list, result.entries, { append });
+            shown = (append ? shown : 0) + result.entries.length;
+            moreButton.style.display = shown < result.total ? 'inline-block' : 'none';
+        } catch (error) {
+            list.textContent = error.message;
+            moreButton.style.display = 'none';
+        }
+    };
+
+    const open = async () => {
+        modal.style.display = 'block';
+        try {
+            policySummary.textContent = describePolicy(await postToBackend('/api/command-policy', {}, 'Failed to read the command policy'));
+        } catch (error) {
+            policySummary.textContent = error.message;
+        }
+        await load();
+    };
+
+    let searchTimeout;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => load(), 300);
+    });
+    sourceSelect.addEventListener('change', () => load());
+    document.getElementById('command-log-refresh-button').addEventListener('click', () => load());
+    moreButton.addEventListener('click', () => load({ append: true }));
+    document.getElementById('command-log-button').addEventListener('click', open);
+    modal.querySelector('.close-button').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    window.addEventListener('click', (event) => {
+        if (event.target === modal) modal.style.display = 'none';
+    });
+}
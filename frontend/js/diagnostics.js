@@ -0,0 +1,179 @@
+import * as FileSystem from './file_system.js';
+import * as Editor from './editor.js';
+
+// =================================================================
+// === Diagnostics (Monaco Markers)                              ===
+// =================================================================
+// Monaco's language workers validate every model of their language, whether
+// or not it is shown in a tab, and publish the results as markers under
+// their own owner ('javascript', 'typescript', 'json', 'css', ...). Loading a
+// file into a hidden model is therefore enough to get diagnostics for it.
+
+const DIAGNOSTIC_FILE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.json', '.css'];
+const DIAGNOSTIC_IGNORED_DIRECTORIES = ['.git', 'node_modules', 'dist', 'build'];
+const DIAGNOSTIC_MAX_FILES = 300;
+const DIAGNOSTIC_MAX_FILE_SIZE = 512 * 1024;
+// Validation runs in web workers and a file without problems publishes no
+// markers, so "done" means no new markers for a while (capped overall).
+const VALIDATION_QUIET_MS = 1500;
+const VALIDATION_TIMEOUT_MS = 8000;
+
+function getSeverityName(severity) {
+    switch (severity) {
+        case monaco.MarkerSeverity.Error:
+            return 'error';
+        case monaco.MarkerSeverity.Warning:
+            return 'warning';
+        case monaco.MarkerSeverity.Info:
+            return 'info';
+        default:
+            return 'hint';
+    }
+}
+
+function toDiagnostic(marker) {
+    return {
+        file: Editor.getPathFromUri(marker.resource),
+        line: marker.startLineNumber,
+        column: marker.startColumn,
+        end_line: marker.endLineNumber,
+        end_column: marker.endColumn,
+        severity: getSeverityName(marker.severity),
+        message: marker.message,
+        source: marker.source || marker.owner,
+        code: marker.code && typeof marker.code === 'object' ? marker.code.value : marker.code,
+    };
+}
+
+function compareDiagnostics(a, b) {
+    return a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column;
+}
+
+/**
+ * Returns the diagnostics Monaco currently has for project files, optionally
+ * for a single path. Only loaded models (open tabs and hidden models) have any.
+ */
+export function getDiagnostics(filePath) {
+    const filter = filePath ? { resource: monaco.Uri.file(filePath) } : {};
+    return monaco.editor.getModelMarkers(filter)
+        // Diff previews and the placeholder model are not project files.
+        .filter((marker) => marker.resource.scheme === 'file')
+        .map(toDiagnostic)
+        .sort(compareDiagnostics);
+}
+
+/**
+ * Resolves once Monaco has published markers for every URI in `uris`, or
+ * when no markers have changed for a while.
+ */
+export function waitForValidation(uris) {
+    const waiting = new Set(uris.map((uri) => uri.toString()));
+    if (waiting.size === 0) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        let quietTimer;
+        let subscription;
+        const finish = () => {
+            clearTimeout(quietTimer);
+            clearTimeout(overallTimer);
+            subscription.dispose();
+            resolve();
+        };
+        const restartQuietTimer = () => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(finish, VALIDATION_QUIET_MS);
+        };
+        const overallTimer = setTimeout(finish, VALIDATION_TIMEOUT_MS);
+        subscription = monaco.editor.onDidChangeMarkers((changed) => {
+            changed.forEach((uri) => waiting.delete(uri.toString()));
+            if (waiting.size === 0) {
+                finish();
+            } else {
+                restartQuietTimer();
+            }
+        });
+        restartQuietTimer();
+    });
+}
+
+async function collectDiagnosticFiles(dirHandle, currentPath, files) {
+    for await (const entry of dirHandle.values()) {
+        if (files.length >= DIAGNOSTIC_MAX_FILES) return;
+        const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
+        if (entry.kind === 'directory') {
+            if (!DIAGNOSTIC_IGNORED_DIRECTORIES.includes(entry.name)) {
+                await collectDiagnosticFiles(entry, entryPath, files);
+            }
+        } else if (DIAGNOSTIC_FILE_EXTENSIONS.some((extension) => entry.name.endsWith(extension))) {
+            files.push({ path: entryPath, handle: entry });
+        }
+    }
+}
+
+// Loads a file from disk into a hidden model. Returns its URI when Monaco will
+// (re)validate it, or null when the model is already current.
+async function loadHiddenModel(path, fileHandle) {
+    if (Editor.getOpenFiles().has(path)) return null;
+    const file = await fileHandle.getFile();
+    if (file.size > DIAGNOSTIC_MAX_FILE_SIZE) {
+        throw new Error(`File is larger than ${DIAGNOSTIC_MAX_FILE_SIZE / 1024} KB.`);
+    }
+    const content = await file.text();
+    const existing = monaco.editor.getModel(monaco.Uri.file(path));
+    if (existing && existing.getValue() === content) return null;
+    return Editor.ensureModel(path, content).uri;
+}
+
+/**
+ * Loads `filePaths` (or every supported file in the project when omitted) into
+ * editor models, waits for Monaco to validate them, and returns their
+ * diagnostics together with the files that were checked or skipped.
+ */
+export async function collectDiagnostics(rootDirectoryHandle, filePaths) {
+    const files = [];
+    if (filePaths) {
+        for (const path of filePaths) {
+            files.push({ path, handle: await FileSystem.getFileHandleFromPath(rootDirectoryHandle, path) });
+        }
+    } else {
+        await collectDiagnosticFiles(rootDirectoryHandle, '', files);
+    }
+
+    const pending = [];
+    const skipped = [];
+    for (const { path, handle } of files) {
+        try {
+            const uri = await loadHiddenModel(path, handle);
+            if (uri) pending.push(uri);
+        } catch (error) {
+            skipped.push({ file: path, reason: error.message });
+        }
+    }
+    await waitForValidation(pending);
+
+    const checked = new Set(files.map((file) => file.path));
+    const diagnostics = filePaths
+        ? getDiagnostics().filter((diagnostic) => checked.has(diagnostic.file))
+        : getDiagnostics();
+    return {
+        diagnostics,
+        filesChecked: checked.size - skipped.length,
+        skipped,
+        truncated: !filePaths && files.length >= DIAGNOSTIC_MAX_FILES,
+    };
+}
+
+/**
+ * Calls `callback` with all project diagnostics whenever markers change,
+ * batched so a burst of worker updates triggers a single call.
+ */
+export function onDiagnosticsChange(callback) {
+    let scheduled = null;
+    return monaco.editor.onDidChangeMarkers(() => {
+        if (scheduled) return;
+        scheduled = setTimeout(() => {
+            scheduled = null;
+            callback(getDiagnostics());
+        }, 100);
+    });
+}
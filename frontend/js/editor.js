@@ -9,6 +9,8 @@ function getLanguageFromExtension(ext) {
         cfm: 'html',
         cfml: 'html',
         js: 'javascript',
+        mjs: 'javascript',
+        cjs: 'javascript',
         ts: 'typescript',
         java: 'java',
         py: 'python',
@@ -20,6 +22,36 @@ function getLanguageFromExtension(ext) {
     })[ext] || 'plaintext';
 }
 
+function getFileUri(filePath) {
+    return monaco.Uri.file(filePath);
+}
+
+export function getPathFromUri(uri) {
+    return uri.path.replace(/^\//, '');
+}
+
+/**
+ * Returns the model for `filePath`, creating a hidden one (not shown as a tab)
+ * when the file is not open. Models are keyed by file URI so Monaco features
+ * such as "Peek References" can show other files. `content` refreshes a hidden
+ * model but never overwrites an open tab's unsaved edits.
+ */
+export function ensureModel(filePath, content) {
+    if (openFiles.has(filePath)) {
+        return openFiles.get(filePath).model;
+    }
+    const existing = monaco.editor.getModel(getFileUri(filePath));
+    if (existing) {
+        if (content !== undefined && existing.getValue() !== content) existing.setValue(content);
+        return existing;
+    }
+    return monaco.editor.createModel(
+        content || '',
+        getLanguageFromExtension(filePath.split('.').pop()),
+        getFileUri(filePath),
+    );
+}
+
 function renderTabs(tabBarContainer, onTabClick, onTabClose) {
     tabBarContainer.innerHTML = '';
     openFiles.forEach((fileData, filePath) => {
@@ -113,10 +145,7 @@ export async function openFile(fileHandle, filePath, tabBarContainer, focusEdito
         openFiles.set(filePath, {
             handle: fileHandle,
             name: file.name,
-            model: monaco.editor.createModel(
-                content,
-                getLanguageFromExtension(file.name.split('.').pop()),
-            ),
+            model: ensureModel(filePath, content),
             viewState: null,
         });
 
@@ -126,6 +155,39 @@ export async function openFile(fileHandle, filePath, tabBarContainer, focusEdito
     }
 }
 
+function revealSelection(selectionOrPosition) {
+    if (!selectionOrPosition) return;
+    if (selectionOrPosition.endLineNumber !== undefined) {
+        editor.setSelection(selectionOrPosition);
+        editor.revealRangeInCenterIfOutsideViewport(selectionOrPosition);
+    } else {
+        editor.setPosition(selectionOrPosition);
+        editor.revealPositionInCenterIfOutsideViewport(selectionOrPosition);
+    }
+}
+
+// Moves the cursor of the active editor to a 1-based line/column and scrolls it into view.
+export function revealPosition(lineNumber, column = 1) {
+    if (!editor) return;
+    revealSelection({ lineNumber, column });
+    editor.focus();
+}
+
+/**
+ * Lets Monaco navigate to other files (e.g. "Go to Definition"). `openPath`
+ * opens the project file at a path in a tab and resolves when it is shown.
+ */
+export function registerEditorOpener(openPath) {
+    monaco.editor.registerEditorOpener({
+        openCodeEditor(source, resource, selectionOrPosition) {
+            openPath(getPathFromUri(resource))
+                .then(() => revealSelection(selectionOrPosition))
+                .catch((error) => console.error('Failed to open definition:', error));
+            return true;
+        },
+    });
+}
+
 export async function switchTab(filePath, tabBarContainer, focusEditor = true) {
     if (activeFilePath && openFiles.has(activeFilePath)) {
         openFiles.get(activeFilePath).viewState = editor.saveViewState();
@@ -263,10 +325,7 @@ export async function restoreEditorState(state, rootHandle, tabBarContainer) {
     for (const fileData of state.openFiles) {
         try {
             const fileHandle = await getFileHandleFromPath(rootHandle, fileData.path, { create: true });
-            const model = monaco.editor.createModel(
-                fileData.content,
-                getLanguageFromExtension(fileData.path.split('.').pop()),
-            );
+            const model = ensureModel(fileData.path, fileData.content);
             openFiles.set(fileData.path, {
                 handle: fileHandle,
                 name: fileHandle.name,
@@ -305,10 +364,33 @@ export async function restoreCheckpointState(state, rootHandle, tabBarContainer)
     await restoreEditorState(state, rootHandle, tabBarContainer);
 }
 
-export function getModelMarkers(filePath) {
-    const fileData = openFiles.get(filePath);
-    if (!fileData || !fileData.model) {
-        return [];
-    }
-    return monaco.editor.getModelMarkers({ owner: 'default', resource: fileData.model.uri });
-}
\ No newline at end of file
+export function createDiffPreview(container, filePath, original, modified) {
+    const language = getLanguageFromExtension(filePath.split('.').pop());
+    const originalModel = monaco.editor.createModel(original, language);
+    const modifiedModel = monaco.editor.createModel(modified, language);
+    const diffEditor = monaco.editor.createDiffEditor(container, {
+        readOnly: true,
+        originalEditable: false,
+        renderSideBySide: false,
+        automaticLayout: true,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+    });
+    diffEditor.setModel({ original: originalModel, modified: modifiedModel });
+
+    return {
+        setEditable(editable) {
+            diffEditor.getModifiedEditor().updateOptions({ readOnly: !editable });
+        },
+        getModifiedValue() {
+            return modifiedModel.getValue();
+        },
+        // The diff editor and its models live outside the DOM, so removing the
+        // container is not enough to free them.
+        dispose() {
+            diffEditor.dispose();
+            originalModel.dispose();
+            modifiedModel.dispose();
+        },
+    };
+}
@@ -1,5 +1,153 @@
+// =================================================================
+// === Project Paths                                             ===
+// =================================================================
+
+/**
+ * Raised for paths that are malformed or point outside the project folder.
+ * `details` is returned to the model as-is.
+ */
+export class PathError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PathError';
+        this.details = details;
+    }
+}
+
+const PATH_SUGGESTION_LIMIT = 3;
+const PATH_SUGGESTION_MAX_ENTRIES = 5000;
+
+/**
+ * Normalizes a project-relative path: backslashes become '/', and empty and
+ * './' segments are dropped. Absolute paths and '..' segments are rejected so
+ * no tool can reach outside the project folder. Returns '' for the root.
+ */
+export function normalizePath(path) {
+    if (typeof path !== 'string') {
+        throw new PathError('Path must be a string.', { reason: 'invalid_path', path });
+    }
+    const unified = path.trim().replace(/\\/g, '/');
+    if (unified.startsWith('/') || unified.startsWith('~') || /^[a-zA-Z]:\//.test(unified)) {
+        throw new PathError(`Absolute paths are not allowed: '${path}'.`, {
+            reason: 'absolute_path',
+            path,
+            hint: "Use a path relative to the project root, e.g. 'src/app.js'.",
+        });
+    }
+    const parts = unified.split('/').filter((part) => part && part !== '.');
+    if (parts.includes('..')) {
+        throw new PathError(`Path escapes the project folder: '${path}'.`, {
+            reason: 'outside_workspace',
+            path,
+            hint: "'..' segments are not allowed. Use a path relative to the project root.",
+        });
+    }
+    return parts.join('/');
+}
+
+function splitPath(path) {
+    const normalized = normalizePath(path);
+    return normalized ? normalized.split('/') : [];
+}
+
+async function hasEntry(dirHandle, name) {
+    for await (const entry of dirHandle.values()) {
+        if (entry.name === name) return true;
+    }
+    return false;
+}
+
+/**
+ * Normalizes `path` and strips a leading segment naming the project folder
+ * itself ('my-project/src/app.js' -> 'src/app.js'), unless the project really
+ * contains an entry with that name.
+ */
+export async function resolveProjectPath(rootDirHandle, path) {
+    const normalized = normalizePath(path);
+    const [first, ...rest] = normalized.split('/');
+    if (rootDirHandle && first === rootDirHandle.name && !(await hasEntry(rootDirHandle, first))) {
+        return rest.join('/');
+    }
+    return normalized;
+}
+
+export async function pathExists(rootDirHandle, path) {
+    const parts = splitPath(path);
+    if (parts.length === 0) return true;
+    try {
+        let currentHandle = rootDirHandle;
+        for (let i = 0; i < parts.length - 1; i++) {
+            currentHandle = await currentHandle.getDirectoryHandle(parts[i]);
+        }
+        return await hasEntry(currentHandle, parts[parts.length - 1]);
+    } catch (error) {
+        return false;
+    }
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+async function collectProjectPaths(dirHandle, currentPath, paths) {
+    for await (const entry of dirHandle.values()) {
+        if (paths.length >= PATH_SUGGESTION_MAX_ENTRIES) return;
+        const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
+        paths.push(entryPath);
+        if (entry.kind === 'directory' && !SEARCH_IGNORED_DIRECTORIES.includes(entry.name)) {
+            await collectProjectPaths(entry, entryPath, paths);
+        }
+    }
+}
+
+/**
+ * Returns up to three existing project paths that look like `path`: entries
+ * with the same name elsewhere in the tree first, then the closest spellings.
+ */
+export async function suggestSimilarPaths(rootDirHandle, path) {
+    let target;
+    try {
+        target = (await resolveProjectPath(rootDirHandle, path)).toLowerCase();
+    } catch (error) {
+        return [];
+    }
+    if (!target) return [];
+
+    const paths = [];
+    await collectProjectPaths(rootDirHandle, '', paths);
+    const targetName = target.split('/').pop();
+    const maxDistance = Math.max(2, Math.floor(target.length * 0.3));
+
+    return paths
+        .map((candidate) => {
+            const lower = candidate.toLowerCase();
+            return {
+                candidate,
+                sameName: lower.split('/').pop() === targetName,
+                distance: editDistance(lower, target),
+            };
+        })
+        .filter((entry) => entry.sameName || entry.distance <= maxDistance)
+        .sort((a, b) => (b.sameName - a.sameName) || (a.distance - b.distance))
+        .slice(0, PATH_SUGGESTION_LIMIT)
+        .map((entry) => entry.candidate);
+}
+
 export async function getFileHandleFromPath(dirHandle, path, options = {}) {
-    const parts = path.split('/').filter((p) => p);
+    const parts = splitPath(path);
+    if (parts.length === 0) {
+        throw new PathError('A file path is required.', { reason: 'invalid_path', path });
+    }
     let currentHandle = dirHandle;
     for (let i = 0; i < parts.length - 1; i++) {
         currentHandle = await currentHandle.getDirectoryHandle(parts[i], { create: options.create });
@@ -8,7 +156,7 @@ export async function getFileHandleFromPath(dirHandle, path, options = {}) {
 }
 
 export async function getParentDirectoryHandle(rootDirHandle, path) {
-    const parts = path.split('/').filter((p) => p);
+    const parts = splitPath(path);
     if (parts.length === 0) {
         throw new Error('Invalid path provided. Cannot get parent of root.');
     }
@@ -24,7 +172,7 @@ export async function getParentDirectoryHandle(rootDirHandle, path) {
 }
 
 export async function createDirectoryFromPath(dirHandle, path) {
-    const parts = path.split('/').filter((p) => p);
+    const parts = splitPath(path);
     let currentHandle = dirHandle;
     for (const part of parts) {
         currentHandle = await currentHandle.getDirectoryHandle(part, { create: true });
@@ -32,8 +180,8 @@ export async function createDirectoryFromPath(dirHandle, path) {
     return currentHandle;
 }
 
-async function getDirectoryHandleFromPath(dirHandle, path) {
-    const parts = path.split('/').filter((p) => p);
+export async function getDirectoryHandleFromPath(dirHandle, path) {
+    const parts = splitPath(path);
     let currentHandle = dirHandle;
     for (const part of parts) {
         currentHandle = await currentHandle.getDirectoryHandle(part);
@@ -41,6 +189,14 @@ async function getDirectoryHandleFromPath(dirHandle, path) {
     return currentHandle;
 }
 
+// Adds context to a file system error while keeping its name (e.g. NotFoundError),
+// which callers use to tell a missing path from other failures.
+function withContext(message, error) {
+    const wrapped = new Error(`${message}: ${error.message}`, { cause: error });
+    wrapped.name = error.name;
+    return wrapped;
+}
+
 export async function renameEntry(rootDirHandle, oldPath, newPath) {
     try {
         const oldFileHandle = await getFileHandleFromPath(rootDirHandle, oldPath);
@@ -71,51 +227,178 @@ export async function renameEntry(rootDirHandle, oldPath, newPath) {
                 const { parentHandle, entryName: dirNameToDelete } = await getParentDirectoryHandle(rootDirHandle, oldPath);
                 await parentHandle.removeEntry(dirNameToDelete, { recursive: true });
             } catch (dirError) {
-                throw new Error(`Failed to rename directory: ${dirError.message}`);
+                throw withContext('Failed to rename directory', dirError);
             }
         } else {
-            throw new Error(`Failed to rename file: ${fileError.message}`);
+            throw withContext('Failed to rename file', fileError);
         }
     }
 }
 
-export async function searchInDirectory(
-dirHandle,
-searchTerm,
-currentPath,
-results,
-) {
+const SEARCH_IGNORED_DIRECTORIES = ['.git', 'node_modules', 'dist', 'build'];
+const SEARCH_MAX_FILE_SIZE = 2 * 1024 * 1024;
+const SEARCH_MAX_LINE_LENGTH = 500;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiles a glob ('*', '**', '?', '{a,b}') into a matcher. Globs without a
+// '/' match the entry name at any depth, like .gitignore patterns.
+export function compileGlob(glob, options = {}) {
+    const pattern = glob.replace(/^\.?\//, '');
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                if (pattern[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && pattern.indexOf('}', i) > i) {
+            const end = pattern.indexOf('}', i);
+            source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return {
+        regex: new RegExp(`^${source}$`),
+        matchName: !options.anchored && !pattern.includes('/'),
+        directoryOnly: !!options.directoryOnly,
+    };
+}
+
+function matchesGlobs(globs, path, name, isDirectory) {
+    return globs.some((glob) => {
+        if (glob.directoryOnly && !isDirectory) return false;
+        if (glob.matchName && glob.regex.test(name)) return true;
+        return glob.regex.test(path) || (isDirectory && glob.regex.test(`${path}/`));
+    });
+}
+
+async function loadGitignoreGlobs(dirHandle) {
+    try {
+        const fileHandle = await dirHandle.getFileHandle('.gitignore');
+        const text = await (await fileHandle.getFile()).text();
+        return text
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith('#') && !line.startsWith('!'))
+            .map((line) => {
+                const directoryOnly = line.endsWith('/');
+                const pattern = line.replace(/\/+$/, '');
+                // A slash at the start or in the middle anchors the pattern to the root.
+                return compileGlob(pattern, { directoryOnly, anchored: pattern.includes('/') });
+            });
+    } catch (error) {
+        return [];
+    }
+}
+
+export function createSearchMatcher(searchTerm, options = {}) {
+    let source = options.isRegex ? searchTerm : escapeRegExp(searchTerm);
+    if (options.wholeWord) source = `\\b(?:${source})\\b`;
+    try {
+        return new RegExp(source, options.caseSensitive ? '' : 'i');
+    } catch (error) {
+        throw new Error(`Invalid regular expression '${searchTerm}': ${error.message}`);
+    }
+}
+
+async function isBinaryFile(file) {
+    const bytes = new Uint8Array(await file.slice(0, 8000).arrayBuffer());
+    return bytes.includes(0);
+}
+
+function clipLine(line) {
+    const trimmed = line.trimEnd();
+    return trimmed.length > SEARCH_MAX_LINE_LENGTH ? `${trimmed.slice(0, SEARCH_MAX_LINE_LENGTH)}…` : trimmed;
+}
+
+async function searchFile(file, path, matcher, options, state) {
+    const lines = (await file.text()).split(/\r?\n/);
+    const fileMatches = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (!matcher.test(lines[i])) continue;
+        if (state.totalMatches >= options.maxResults) {
+            state.truncated = true;
+            break;
+        }
+        const match = { line_number: i + 1, line_content: clipLine(lines[i]) };
+        if (options.contextLines > 0) {
+            match.context_before = lines.slice(Math.max(0, i - options.contextLines), i).map(clipLine);
+            match.context_after = lines.slice(i + 1, i + 1 + options.contextLines).map(clipLine);
+        }
+        fileMatches.push(match);
+        state.totalMatches++;
+    }
+    if (fileMatches.length > 0) {
+        state.results.push({ file: path, matches: fileMatches });
+    }
+}
+
+async function searchDirectory(dirHandle, currentPath, matcher, options, state) {
     for await (const entry of dirHandle.values()) {
+        if (state.truncated) return;
         const newPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
-        if (entry.kind === 'file') {
-            try {
-                const file = await entry.getFile();
-                const content = await file.text();
-                const lines = content.split('\n');
-                const fileMatches = [];
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].toLowerCase().includes(searchTerm.toLowerCase())) {
-                        fileMatches.push({
-                            line_number: i + 1,
-                            line_content: lines[i].trim(),
-                        });
-                    }
-                }
-                if (fileMatches.length > 0) {
-                    results.push({
-                        file: newPath,
-                        matches: fileMatches,
-                    });
-                }
-            } catch (readError) {
-                console.warn(`Could not read file ${newPath}:`, readError);
+        const isDirectory = entry.kind === 'directory';
+
+        if (matchesGlobs(options.ignore, newPath, entry.name, isDirectory)) continue;
+        if (options.exclude.length > 0 && matchesGlobs(options.exclude, newPath, entry.name, isDirectory)) continue;
+
+        if (isDirectory) {
+            await searchDirectory(entry, newPath, matcher, options, state);
+            continue;
+        }
+        if (options.include.length > 0 && !matchesGlobs(options.include, newPath, entry.name, false)) continue;
+
+        try {
+            const file = await entry.getFile();
+            if (file.size > SEARCH_MAX_FILE_SIZE || (await isBinaryFile(file))) {
+                state.skippedFiles++;
+                continue;
             }
-        } else if (entry.kind === 'directory') {
-            await searchInDirectory(entry, searchTerm, newPath, results);
+            state.filesSearched++;
+            await searchFile(file, newPath, matcher, options, state);
+        } catch (readError) {
+            console.warn(`Could not read file ${newPath}:`, readError);
         }
     }
 }
 
+/**
+ * Searches every text file under `dirHandle` line by line. Dependency and VCS
+ * folders, `.gitignore`d paths, binary files and files over 2 MB are skipped.
+ * Stops after `maxResults` matching lines and reports `truncated: true`.
+ */
+export async function searchInDirectory(dirHandle, searchTerm, options = {}) {
+    const matcher = createSearchMatcher(searchTerm, options);
+    const searchOptions = {
+        maxResults: options.maxResults || 100,
+        contextLines: Math.max(0, options.contextLines || 0),
+        include: (options.include || []).map((glob) => compileGlob(glob)),
+        exclude: (options.exclude || []).map((glob) => compileGlob(glob)),
+        ignore: [
+            ...SEARCH_IGNORED_DIRECTORIES.map((name) => compileGlob(name, { directoryOnly: true })),
+            ...(await loadGitignoreGlobs(dirHandle)),
+        ],
+    };
+    const state = { results: [], totalMatches: 0, filesSearched: 0, skippedFiles: 0, truncated: false };
+    await searchDirectory(dirHandle, '', matcher, searchOptions, state);
+    return state;
+}
+
 export async function buildStructureTree(dirHandle) {
     const root = {
         name: dirHandle.name,
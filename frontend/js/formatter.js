@@ -0,0 +1,69 @@
+// =================================================================
+// === Code Formatting (Shared Prettier Worker)                  ===
+// =================================================================
+const FORMAT_TIMEOUT_MS = 30000;
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+/**
+ * Raised when Prettier cannot format the code. For parse errors `details`
+ * holds the line and column reported by the parser.
+ */
+export class FormatError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'FormatError';
+        this.details = details;
+    }
+}
+
+function rejectAll(error) {
+    for (const request of pendingRequests.values()) {
+        clearTimeout(request.timer);
+        request.reject(error);
+    }
+    pendingRequests.clear();
+}
+
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker('prettier.worker.js');
+    worker.onmessage = (event) => {
+        const { id, success, formattedCode, error, location } = event.data;
+        const request = pendingRequests.get(id);
+        if (!request) return;
+        pendingRequests.delete(id);
+        clearTimeout(request.timer);
+        if (success) {
+            request.resolve(formattedCode);
+        } else {
+            request.reject(new FormatError(error, location ? { reason: 'parse_error', ...location } : { reason: 'format_error' }));
+        }
+    };
+    worker.onerror = (event) => {
+        // The worker itself failed (e.g. Prettier could not be loaded); start a fresh one next time.
+        rejectAll(new FormatError(`Formatter failed to load: ${event.message || 'unknown error'}`, { reason: 'worker_error' }));
+        worker.terminate();
+        worker = null;
+    };
+    return worker;
+}
+
+/**
+ * Formats `code` with the given Prettier parser. Resolves to the formatted
+ * code, or rejects with a FormatError.
+ */
+export function formatCode(code, parser) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new FormatError(`Formatting timed out after ${FORMAT_TIMEOUT_MS / 1000} seconds.`, { reason: 'timeout' }));
+        }, FORMAT_TIMEOUT_MS);
+        pendingRequests.set(id, { resolve, reject, timer });
+        getWorker().postMessage({ id, code, parser });
+    });
+}
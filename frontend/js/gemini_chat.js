@@ -3,9 +3,33 @@ import { DbManager } from './db.js';
 import { CodebaseIndexer } from './code_intel.js';
 import * as FileSystem from './file_system.js';
 import * as ToolExecutor from './tool_executor.js';
+import { ToolApproval } from './tool_approval.js';
+import { ToolRegistry } from './tool_registry.js';
+import { createGuardrails, DEFAULT_GUARDRAIL_LIMITS } from './agent_guardrails.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 
+// Names of the function calls in the last model turn of `history`, which the
+// next message must answer; empty when the history ends any other way.
+function pendingFunctionCalls(history) {
+    const last = history[history.length - 1];
+    if (!last || last.role !== 'model') return [];
+    return (last.parts || []).filter((part) => part.functionCall).map((part) => part.functionCall.name);
+}
+
+// Tool responses that answer exactly the calls `history` ends with. Held-back
+// responses that belong to another history are dropped; calls nothing answers
+// (e.g. a run stopped before a reload) get an error response instead.
+function reconcileToolResponses(history, responses) {
+    const calls = pendingFunctionCalls(history);
+    const matches = responses.length === calls.length
+        && responses.every((part, index) => part.functionResponse && part.functionResponse.name === calls[index]);
+    if (matches) return responses;
+    return calls.map((name) => ({
+        functionResponse: { name, response: { error: 'The run was stopped before this tool result was sent. Check the current state before relying on it.' } },
+    }));
+}
+
 export const GeminiChat = {
     isSending: false,
     isCancelled: false,
@@ -15,6 +39,11 @@ export const GeminiChat = {
     activeMode: '',
     lastRequestTime: 0,
     rateLimit: 5000,
+    guardrailLimits: { ...DEFAULT_GUARDRAIL_LIMITS },
+    pendingGuardrailPrompt: null,
+    // Tool responses from a run the user stopped; sent with the next message so
+    // every function call in the history is answered.
+    unsentToolResponses: [],
     rootDirectoryHandle: null,
 
     async initialize(rootDirectoryHandle) {
@@ -34,6 +63,7 @@ export const GeminiChat = {
     },
 
     async _startChat(history = []) {
+        this.unsentToolResponses = reconcileToolResponses(history, this.unsentToolResponses);
         try {
             const apiKey = ApiKeyManager.getCurrentKey();
             if (!apiKey) {
@@ -47,31 +77,7 @@ export const GeminiChat = {
             await DbManager.saveSetting('selectedModel', modelName);
             await DbManager.saveSetting('selectedMode', mode);
 
-            const baseTools = {
-                functionDeclarations: [
-                    { name: 'create_file', description: "Creates a new file. CRITICAL: Do NOT include the root directory name in the path. Example: To create 'app.js' in the root, the path is 'app.js', NOT 'my-project/app.js'.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, content: { type: 'STRING' } }, required: ['filename', 'content'] } },
-                    { name: 'delete_file', description: "Deletes a file. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
-                    { name: 'create_folder', description: "Creates a new folder. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { folder_path: { type: 'STRING' } }, required: ['folder_path'] } },
-                    { name: 'delete_folder', description: "Deletes a folder and all its contents. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { folder_path: { type: 'STRING' } }, required: ['folder_path'] } },
-                    { name: 'rename_folder', description: "Renames a folder. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { old_folder_path: { type: 'STRING' }, new_folder_path: { type: 'STRING' } }, required: ['old_folder_path', 'new_folder_path'] } },
-                    { name: 'rename_file', description: "Renames a file. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { old_path: { type: 'STRING' }, new_path: { type: 'STRING' } }, required: ['old_path', 'new_path'] } },
-                    { name: 'read_file', description: "Reads a file's content. CRITICAL: Do NOT include the root directory name in the path. Example: To read 'src/app.js', the path is 'src/app.js'.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
-                    { name: 'read_url', description: 'Reads and extracts the main content and all links from a given URL. The result will be a JSON object with "content" and "links" properties.', parameters: { type: 'OBJECT', properties: { url: { type: 'STRING' } }, required: ['url'] } },
-                    { name: 'get_open_file_content', description: 'Gets the content of the currently open file in the editor.' },
-                    { name: 'get_selected_text', description: 'Gets the text currently selected by the user in the editor.' },
-                    { name: 'replace_selected_text', description: 'Replaces the currently selected text in the editor with new text.', parameters: { type: 'OBJECT', properties: { new_text: { type: 'STRING' } }, required: ['new_text'] } },
-                    { name: 'get_project_structure', description: 'Gets the entire file and folder structure of the project. CRITICAL: Always use this tool before attempting to read or create a file to ensure you have the correct file path.' },
-                    { name: 'duckduckgo_search', description: 'Performs a search using DuckDuckGo and returns the results.', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] } },
-                    { name: 'search_code', description: 'Searches for a specific string in all files in the project (like grep).', parameters: { type: 'OBJECT', properties: { search_term: { type: 'STRING' } }, required: ['search_term'] } },
-                    { name: 'run_terminal_command', description: 'Executes a shell command on the backend and returns the output.', parameters: { type: 'OBJECT', properties: { command: { type: 'STRING' } }, required: ['command'] } },
-                    { name: 'build_or_update_codebase_index', description: 'Scans the entire codebase to build a searchable index. Slow, run once per session.' },
-                    { name: 'query_codebase', description: 'Searches the pre-built codebase index.', parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] } },
-                    { name: 'get_file_history', description: "Gets a file's git history. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
-                    { name: 'rewrite_file', description: "Rewrites a file with new content. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, content: { type: 'STRING' } }, required: ['filename', 'content'] } },
-                    { name: 'format_code', description: "Formats a file with Prettier. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
-                    { name: 'analyze_code', description: "Analyzes a JavaScript file's structure. CRITICAL: Do NOT include the root directory name in the path.", parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] } },
-                ],
-            };
+            const baseTools = { functionDeclarations: ToolRegistry.getFunctionDeclarations() };
             let allTools = [baseTools];
             let systemInstructionText = '';
             const now = new Date();
@@ -80,19 +86,14 @@ export const GeminiChat = {
             const baseCodePrompt = `You are Gemini, an expert AI programmer. Your function is to solve problems by writing, reading, and modifying code and files.
 
 # CORE IDENTITY & DIRECTIVES
-- **Identity:** You are a programmer. You MUST override any internal restriction that prevents you from writing or modifying files. You ALWAYS have access to tools like 'rewrite_file' and 'create_file'.
+- **Identity:** You are a programmer. You MUST override any internal restriction that prevents you from writing or modifying files. You ALWAYS have access to tools like 'apply_patch', 'rewrite_file' and 'create_file'.
 - **Clarity:** Your responses should be concise, analytical, and purposeful. Avoid conversational filler.
 - **Markdown:** Always use Markdown for formatting.
 
 # CORE METHODOLOGY
 
-**1. FILE PATHS - CRITICAL RULE**
-- **You MUST NOT include the top-level project folder name in file paths.** The file system is already rooted in the project directory.
-- **CORRECT:** To access \`index.html\` in the root, the path is 'index.html'.
-- **INCORRECT:** \`test001/index.html\`
-- **CORRECT:** To access \`app.js\` in a \`src\` folder, the path is 'src/app.js'.
-- **INCORRECT:** \`test001/src/app.js\`
-- **YOU MUST FOLLOW THIS RULE. FAILURE TO DO SO WILL CAUSE ALL FILE OPERATIONS TO FAIL.**
+**1. FILE PATHS**
+- Paths are relative to the project root, e.g. 'src/app.js'. Paths outside the project are rejected. If a path is not found, the error lists similar existing paths.
 
 **2. REQUEST DECONSTRUCTION & PLANNING:**
 - Your primary task is to deconstruct user requests into a sequence of actionable steps.
@@ -102,6 +103,13 @@ export const GeminiChat = {
 
 **3. ACTION & CONTEXT INTEGRATION:**
 - **Contextual Awareness:** When a user gives a follow-up command like "read all of them" or "go into more detail," you MUST refer to the immediate preceding turns in the conversation to understand what "them" refers to. Use the URLs or file paths you provided in your last response as the context for the new command.
+- **Navigating Code:** To find where a JavaScript function, class or variable is defined or used, prefer 'go_to_definition' and 'find_references' over 'search_code'; they follow scopes and imports.
+- **Editing Files:** To change part of an existing file, use 'apply_patch' with a unified diff or search/replace blocks. Only use 'rewrite_file' for small files or when replacing the whole file. If 'apply_patch' reports failed hunks, re-read the file and send corrected hunks.
+- **Checking for Errors:** After editing, call 'get_diagnostics' for the changed files (or without a filename for the whole workspace) and fix any errors it reports.
+- **Running Tests:** Use 'run_tests' (optionally with 'file' or 'test_name') instead of running Jest through 'run_terminal_command'. After fixing a failure, re-run only the affected file or test.
+- **Git:** Use the 'git_*' tools (e.g. 'git_status', 'git_diff', 'git_log') instead of running git through 'run_terminal_command'.
+- **Interactive Programs:** For dev servers, watchers, REPLs or commands that prompt for input, use 'terminal_send_input' (it keeps a persistent terminal the user can see) and check on it later with 'terminal_read_output'.
+- **Background Processes:** Start dev servers and watchers with 'start_process' rather than 'run_terminal_command' (which waits for the command to finish). Check them with 'get_process_logs', reuse one that is already running (see 'list_processes') instead of starting a duplicate, and stop them with 'kill_process' when they are no longer needed.
 - When a task requires multiple steps, you MUST use the output of the previous step as the input for the current step. For example, after using 'get_project_structure', use the list of files as input for your 'read_file' calls. Do not discard context.
 
 **4. POST-TOOL ANALYSIS:**
@@ -111,9 +119,11 @@ export const GeminiChat = {
 - **Next Action:** State what you will do next and then call the appropriate tool.
 
 **5. URL HANDLING & RESEARCH:**
-- **URL Construction Rule:** When you discover relative URLs (e.g., '/path/to/page'), you MUST convert them to absolute URLs by correctly combining them with the base URL of the source page. CRITICAL: Ensure you do not introduce errors like double slashes ('//') or invalid characters ('.com./').
+- **URL Construction Rule:** Links returned by \`read_url\` are already absolute. When you discover relative URLs anywhere else (e.g., '/path/to/page'), you MUST convert them to absolute URLs by correctly combining them with the base URL of the source page. CRITICAL: Ensure you do not introduce errors like double slashes ('//') or invalid characters ('.com./').
+- **Paged Content:** \`read_url\` returns long documents one page at a time. If \`totalPages\` is greater than \`page\` and the information you need is not on the page you have, call \`read_url\` again with the next \`page\`.
 - **Autonomous Deep Dive:** When you read a URL and it contains more links, you must autonomously select the single most relevant link to continue the research. State your choice and proceed when commanded. Do not ask the user which link to choose.
-- **CRITICAL: Proactive URL Reading from Search:** After a \`duckduckgo_search\`, you MUST analyze the search results. If a result appears relevant, you MUST immediately and proactively use the \`read_url\` tool on that URL to gather more details. This is not optional. Do not ask for permission.
+- **Documentation Sites:** To learn a library's documentation or to answer questions that span many pages of one site, call \`crawl_site\` once instead of following links one \`read_url\` at a time. Pass \`save_to\` when the user wants the docs kept in the project, then use \`read_file\` and \`search_code\` on the saved Markdown.
+- **CRITICAL: Proactive URL Reading from Search:** After a \`web_search\`, you MUST analyze the search results. If a result appears relevant, you MUST immediately and proactively use the \`read_url\` tool on that URL to gather more details. This is not optional. Do not ask for permission.
 
 **6. MULTI-URL GATHERING:**
 - If a user asks you to read multiple URLs (e.g., "read all related URLs," "get information from these links"), you MUST use the \`read_url\` tool for each URL you have identified in the conversation.
@@ -259,7 +269,8 @@ export const GeminiChat = {
         thinkingIndicator.style.display = 'block';
 
         let displayMessage = userPrompt;
-        const initialParts = [];
+        const initialParts = [...this.unsentToolResponses];
+        this.unsentToolResponses = [];
         if (userPrompt) initialParts.push({ text: userPrompt });
         if (uploadedImage) {
             displayMessage += `\n📷 Attached: ${uploadedImage.name}`;
@@ -279,6 +290,7 @@ export const GeminiChat = {
         try {
             let promptParts = initialParts;
             let running = true;
+            const guardrails = createGuardrails(this.guardrailLimits);
             
             ApiKeyManager.resetTriedKeys();
 
@@ -323,18 +335,33 @@ export const GeminiChat = {
                     });
 
                     UI.updateTokenDisplay(requestTokenResult.totalTokens, responseTokenResult.totalTokens);
+                    guardrails.recordTokens(requestTokenResult.totalTokens + responseTokenResult.totalTokens);
 
                     if (functionCalls.length > 0) {
-                        const toolPromises = functionCalls.map((call) =>
-                            ToolExecutor.execute(call, this.rootDirectoryHandle),
-                        );
-                        const toolResults = await Promise.all(toolPromises);
+                        const toolResults = await ToolExecutor.executeBatch(functionCalls, this.rootDirectoryHandle);
                         promptParts = toolResults.map((toolResult) => ({
                             functionResponse: {
                                 name: toolResult.toolResponse.name,
                                 response: toolResult.toolResponse.response,
                             },
                         }));
+
+                        guardrails.recordToolRound(functionCalls, toolResults);
+                        const limitReached = guardrails.check();
+                        if (limitReached && !this.isCancelled) {
+                            this.pendingGuardrailPrompt = UI.showGuardrailPrompt(chatMessages, limitReached);
+                            const decision = await this.pendingGuardrailPrompt.result;
+                            this.pendingGuardrailPrompt = null;
+                            if (decision === 'continue' && !this.isCancelled) {
+                                guardrails.extend();
+                            } else {
+                                this.unsentToolResponses = promptParts;
+                                if (!this.isCancelled) {
+                                    UI.appendMessage(chatMessages, `Stopped: ${limitReached.reason}`, 'ai');
+                                }
+                                running = false;
+                            }
+                        }
                     } else {
                         // This is the final turn, a text response is expected.
                         if (!fullResponseText) {
@@ -359,7 +386,9 @@ export const GeminiChat = {
                         
                         const history = this.chatSession ? await this.chatSession.getHistory() : [];
                         await this._restartSessionWithHistory(history);
-                        
+                        // promptParts is sent again and answers the open function calls itself.
+                        this.unsentToolResponses = [];
+
                         this.lastRequestTime = Date.now();
                     }
                 }
@@ -382,6 +411,9 @@ export const GeminiChat = {
     cancelMessage() {
         if (this.isSending) {
             this.isCancelled = true;
+            ToolApproval.cancelPending('The user cancelled the request.');
+            ToolExecutor.cancelRunningCommands();
+            if (this.pendingGuardrailPrompt) this.pendingGuardrailPrompt.cancel();
         }
     },
 
@@ -407,7 +439,9 @@ export const GeminiChat = {
         const condensationPrompt =
             "Please summarize our conversation so far in a concise way. Include all critical decisions, file modifications, and key insights. The goal is to reduce the context size while retaining the essential information for our ongoing task. Start the summary with 'Here is a summary of our conversation so far:'.";
 
-        const result = await this.chatSession.sendMessage(condensationPrompt);
+        // A stopped run leaves function calls open; answer them along with the prompt.
+        const result = await this.chatSession.sendMessage([...this.unsentToolResponses, { text: condensationPrompt }]);
+        this.unsentToolResponses = [];
         const summaryText = result.response.text();
 
         chatMessages.innerHTML = '';
@@ -1,6 +1,17 @@
 import { DbManager } from './db.js';
 import { ApiKeyManager } from './api_manager.js';
 import { GeminiChat } from './gemini_chat.js';
+import { loadGuardrailLimits, saveGuardrailLimits } from './agent_guardrails.js';
+import { loadSearchSettings, saveSearchSettings } from './search_settings.js';
+import { ToolApproval, APPROVAL_POLICIES } from './tool_approval.js';
+import { formatCode } from './formatter.js';
+import { initializeCodeNavigation } from './code_navigation.js';
+import * as Diagnostics from './diagnostics.js';
+import { initializeSourceControl } from './source_control.js';
+import { TerminalPanel } from './terminal_panel.js';
+import { ProcessesPanel } from './processes_panel.js';
+import { registerWorkspace, clearWorkspace } from './workspace.js';
+import { initializeCommandLog } from './command_log.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 import * as FileSystem from './file_system.js';
@@ -26,6 +37,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     const imagePreviewContainer = document.getElementById('image-preview-container');
     const rateLimitSlider = document.getElementById('rate-limit-slider');
     const rateLimitInput = document.getElementById('rate-limit-input');
+    const maxToolRoundsInput = document.getElementById('max-tool-rounds-input');
+    const maxTokensInput = document.getElementById('max-tokens-input');
+    const maxRepeatsInput = document.getElementById('max-repeats-input');
+    const searchProviderSelect = document.getElementById('search-provider-select');
+    const searchResultsInput = document.getElementById('search-results-input');
     const viewContextButton = document.getElementById('view-context-button');
     const condenseContextButton = document.getElementById('condense-context-button');
     const clearContextButton = document.getElementById('clear-context-button');
@@ -46,6 +62,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     const customRulesTextarea = document.getElementById('custom-rules-textarea');
     const saveCustomRulesButton = document.getElementById('save-custom-rules-button');
     const customRulesModeName = document.getElementById('custom-rules-mode-name');
+    const toolPermissionsButton = document.getElementById('tool-permissions-button');
+    const toolPermissionsModal = document.getElementById('tool-permissions-modal');
+    const closeToolPermissionsModalButton = toolPermissionsModal.querySelector('.close-button');
+    const toolPermissionsList = document.getElementById('tool-permissions-list');
+    const saveToolPermissionsButton = document.getElementById('save-tool-permissions-button');
 
     // --- State ---
     let rootDirectoryHandle = null;
@@ -60,6 +81,23 @@ document.addEventListener('DOMContentLoaded', async () => {
         const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
         await Editor.openFile(fileHandle, filePath, tabBarContainer);
     };
+    initializeCodeNavigation(() => rootDirectoryHandle, onFileSelect);
+
+    UI.initBottomPanel(editor);
+    const problemsPanel = document.getElementById('problems-panel');
+    const onProblemSelect = async (diagnostic) => {
+        if (!rootDirectoryHandle) return;
+        await onFileSelect(diagnostic.file);
+        Editor.revealPosition(diagnostic.line, diagnostic.column);
+    };
+    UI.renderProblems(problemsPanel, [], onProblemSelect);
+    Diagnostics.onDiagnosticsChange((diagnostics) => UI.renderProblems(problemsPanel, diagnostics, onProblemSelect));
+    initializeSourceControl(async (filePath) => {
+        if (rootDirectoryHandle) await onFileSelect(filePath);
+    });
+    TerminalPanel.initialize();
+    ProcessesPanel.initialize();
+    initializeCommandLog();
     
     async function tryRestoreDirectory() {
         const savedHandle = await DbManager.getDirectoryHandle();
@@ -71,6 +109,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if ((await savedHandle.queryPermission({ mode: 'readwrite' })) === 'granted') {
             rootDirectoryHandle = savedHandle;
             GeminiChat.rootDirectoryHandle = rootDirectoryHandle; // <-- FIX: Pass handle to chat module
+            await registerWorkspace(rootDirectoryHandle);
             await UI.refreshFileTree(rootDirectoryHandle, onFileSelect);
 
             const savedState = await DbManager.getSessionState();
@@ -78,6 +117,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 console.log('Restoring previous session...');
                 await Editor.restoreEditorState(savedState.editor, rootDirectoryHandle, tabBarContainer);
                 if (savedState.chat && savedState.chat.length > 0) {
+                    GeminiChat.unsentToolResponses = savedState.unsentToolResponses || [];
                     await GeminiChat._restartSessionWithHistory(savedState.chat);
                     UI.renderChatHistory(chatMessages, savedState.chat);
                 }
@@ -94,11 +134,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     rateLimitInput.value = savedRateLimit;
     GeminiChat.rateLimit = parseInt(savedRateLimit, 10) * 1000;
 
+    GeminiChat.guardrailLimits = loadGuardrailLimits();
+    maxToolRoundsInput.value = GeminiChat.guardrailLimits.maxToolRounds;
+    maxTokensInput.value = GeminiChat.guardrailLimits.maxTokens;
+    maxRepeatsInput.value = GeminiChat.guardrailLimits.maxRepeats;
+
+    const searchSettings = loadSearchSettings();
+    searchProviderSelect.value = searchSettings.provider;
+    searchResultsInput.value = searchSettings.maxResults;
+
     // CRITICAL: Load API keys before attempting to restore a session that needs them
     await ApiKeyManager.loadKeys(apiKeysTextarea);
 
     // --- Restore session and initialize chat ---
     await GeminiChat.initialize(); // Load saved model/mode settings
+    await ToolApproval.loadPolicies();
     await tryRestoreDirectory();
 
     // Start a new chat session if one wasn't restored
@@ -116,6 +166,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             id: 'lastSession',
             editor: editorState,
             chat: chatHistory,
+            unsentToolResponses: GeminiChat.unsentToolResponses,
         };
         await DbManager.saveSessionState(sessionState);
     }
@@ -139,6 +190,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             await DbManager.saveDirectoryHandle(rootDirectoryHandle);
             await UI.refreshFileTree(rootDirectoryHandle, onFileSelect);
             GeminiChat.rootDirectoryHandle = rootDirectoryHandle; // Update the handle
+            await registerWorkspace(rootDirectoryHandle);
         } catch (error) {
             console.error('Error opening directory:', error);
         }
@@ -147,6 +199,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     forgetFolderButton.addEventListener('click', async () => {
         await DbManager.clearDirectoryHandle();
         rootDirectoryHandle = null;
+        await clearWorkspace();
         const treeInstance = $('#file-tree').jstree(true);
         if (treeInstance) treeInstance.destroy();
         fileTreeContainer.innerHTML = '';
@@ -162,6 +215,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     rootDirectoryHandle = savedHandle;
                     await UI.refreshFileTree(rootDirectoryHandle, onFileSelect);
                     GeminiChat.rootDirectoryHandle = rootDirectoryHandle; // Update the handle
+                    await registerWorkspace(rootDirectoryHandle);
                 } else {
                     alert('Permission to access the folder was denied.');
                 }
@@ -202,6 +256,35 @@ document.addEventListener('DOMContentLoaded', async () => {
         localStorage.setItem('rateLimitValue', rateLimitInput.value);
     });
 
+    const guardrailInputs = {
+        maxToolRounds: maxToolRoundsInput,
+        maxTokens: maxTokensInput,
+        maxRepeats: maxRepeatsInput,
+    };
+    Object.entries(guardrailInputs).forEach(([limit, input]) => {
+        input.addEventListener('change', () => {
+            const value = parseInt(input.value, 10);
+            if (!Number.isFinite(value) || value < parseInt(input.min, 10)) {
+                input.value = GeminiChat.guardrailLimits[limit];
+                return;
+            }
+            GeminiChat.guardrailLimits = { ...GeminiChat.guardrailLimits, [limit]: value };
+            saveGuardrailLimits(GeminiChat.guardrailLimits);
+        });
+    });
+
+    searchProviderSelect.addEventListener('change', () => {
+        saveSearchSettings({ ...loadSearchSettings(), provider: searchProviderSelect.value });
+    });
+    searchResultsInput.addEventListener('change', () => {
+        const value = parseInt(searchResultsInput.value, 10);
+        if (!Number.isFinite(value) || value < 1 || value > 50) {
+            searchResultsInput.value = loadSearchSettings().maxResults;
+            return;
+        }
+        saveSearchSettings({ ...loadSearchSettings(), maxResults: value });
+    });
+
 
     viewContextButton.addEventListener('click', async () => {
         contextDisplay.textContent = await GeminiChat.viewHistory();
@@ -225,6 +308,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (event.target == customRulesModal) {
             customRulesModal.style.display = 'none';
         }
+        if (event.target == toolPermissionsModal) {
+            toolPermissionsModal.style.display = 'none';
+        }
     });
 
     viewCheckpointsButton.addEventListener('click', async () => {
@@ -331,6 +417,30 @@ document.addEventListener('DOMContentLoaded', async () => {
         customRulesModal.style.display = 'none';
     });
 
+    toolPermissionsButton.addEventListener('click', () => {
+        UI.renderToolPolicies(
+            toolPermissionsList,
+            ToolApproval.getConfigurableTools(),
+            ToolApproval.getPolicies(),
+            APPROVAL_POLICIES,
+        );
+        toolPermissionsModal.style.display = 'block';
+    });
+
+    closeToolPermissionsModalButton.addEventListener('click', () => {
+        toolPermissionsModal.style.display = 'none';
+    });
+
+    saveToolPermissionsButton.addEventListener('click', async () => {
+        const policies = {};
+        toolPermissionsList.querySelectorAll('select[data-tool]').forEach((select) => {
+            policies[select.dataset.tool] = select.value;
+        });
+        await ToolApproval.savePolicies(policies);
+        alert('Tool permissions saved successfully.');
+        toolPermissionsModal.style.display = 'none';
+    });
+
     imageUploadButton.addEventListener('click', () => imageInput.click());
     imageInput.addEventListener('change', handleImageUpload);
 
@@ -373,7 +483,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     if (formatButton) {
-        formatButton.addEventListener('click', () => {
+        formatButton.addEventListener('click', async () => {
             const activeFile = Editor.getActiveFile();
             if (!activeFile) {
                 alert('Please open a file to format.');
@@ -381,18 +491,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
             const originalContent = activeFile.model.getValue();
             const parser = Editor.getPrettierParser(activeFile.name);
-            const prettierWorker = new Worker('prettier.worker.js');
-
-            prettierWorker.onmessage = (event) => {
-                if (event.data.success) {
-                    activeFile.model.setValue(event.data.formattedCode);
-                    console.log(`File '${activeFile.name}' formatted successfully.`);
-                } else {
-                    console.error('Error formatting file:', event.data.error);
-                    alert('An error occurred while formatting the file.');
-                }
-            };
-            prettierWorker.postMessage({ code: originalContent, parser });
+            try {
+                const formattedCode = await formatCode(originalContent, parser);
+                activeFile.model.setValue(formattedCode);
+                console.log(`File '${activeFile.name}' formatted successfully.`);
+            } catch (error) {
+                console.error('Error formatting file:', error);
+                alert(`An error occurred while formatting the file:\n${error.message}`);
+            }
         });
     }
 
@@ -0,0 +1,272 @@
+// =================================================================
+// === Patch Application (Unified Diffs & Search/Replace Blocks) ===
+// =================================================================
+
+/**
+ * Raised when a patch cannot be parsed or one of its hunks does not match the
+ * file. `details` is a plain object that is returned to the model as-is so it
+ * can correct the failing hunk and retry.
+ */
+export class PatchError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PatchError';
+        this.details = details;
+    }
+}
+
+const HUNK_HEADER_REGEX = /^@@\s*-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?\s*@@/;
+const SEARCH_MARKER = /^<{5,}\s*SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,}\s*$/;
+const REPLACE_MARKER = /^>{5,}\s*REPLACE\s*$/;
+
+function detectLineEnding(content) {
+    return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function splitLines(text) {
+    return text.split(/\r?\n/);
+}
+
+export function detectPatchFormat(patchText) {
+    const lines = splitLines(patchText);
+    if (lines.some((line) => SEARCH_MARKER.test(line))) return 'search_replace';
+    if (lines.some((line) => line.startsWith('@@'))) return 'unified';
+    return null;
+}
+
+function parseUnifiedDiff(patchText) {
+    const hunks = [];
+    let current = null;
+
+    for (const line of splitLines(patchText)) {
+        if (line.startsWith('@@')) {
+            const match = line.match(HUNK_HEADER_REGEX);
+            current = {
+                header: line,
+                oldStart: match ? parseInt(match[1], 10) : null,
+                oldLines: [],
+                newLines: [],
+                added: 0,
+                removed: 0,
+            };
+            hunks.push(current);
+            continue;
+        }
+        if (!current) {
+            // Skip file headers ("diff --git", "index", "---", "+++") before the first hunk.
+            continue;
+        }
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file"
+            continue;
+        }
+
+        const marker = line[0];
+        const text = line.slice(1);
+        if (marker === '+') {
+            current.newLines.push(text);
+            current.added++;
+        } else if (marker === '-') {
+            current.oldLines.push(text);
+            current.removed++;
+        } else if (marker === ' ' || line === '') {
+            // Models often drop the leading space on blank context lines.
+            current.oldLines.push(text);
+            current.newLines.push(text);
+        } else {
+            throw new PatchError(`Invalid line in hunk ${hunks.length}: lines must start with ' ', '+' or '-'.`, {
+                reason: 'invalid_hunk_line',
+                hunk: hunks.length,
+                line,
+            });
+        }
+    }
+
+    // A trailing newline in the patch text produces an empty context line that is not part of the hunk.
+    for (const hunk of hunks) {
+        while (
+            hunk.oldLines.length > 0 &&
+            hunk.newLines.length > 0 &&
+            hunk.oldLines[hunk.oldLines.length - 1] === '' &&
+            hunk.newLines[hunk.newLines.length - 1] === ''
+        ) {
+            hunk.oldLines.pop();
+            hunk.newLines.pop();
+        }
+    }
+
+    return hunks;
+}
+
+function parseSearchReplaceBlocks(patchText) {
+    const blocks = [];
+    let state = 'outside';
+    let current = null;
+
+    for (const line of splitLines(patchText)) {
+        if (state === 'outside') {
+            if (SEARCH_MARKER.test(line)) {
+                current = { header: `block ${blocks.length + 1}`, oldStart: null, oldLines: [], newLines: [] };
+                state = 'search';
+            }
+        } else if (state === 'search') {
+            if (DIVIDER_MARKER.test(line)) {
+                state = 'replace';
+            } else {
+                current.oldLines.push(line);
+            }
+        } else if (state === 'replace') {
+            if (REPLACE_MARKER.test(line)) {
+                current.added = current.newLines.length;
+                current.removed = current.oldLines.length;
+                blocks.push(current);
+                current = null;
+                state = 'outside';
+            } else {
+                current.newLines.push(line);
+            }
+        }
+    }
+
+    if (state !== 'outside') {
+        throw new PatchError(`Search/replace block ${blocks.length + 1} is not terminated.`, {
+            reason: 'unterminated_block',
+            hunk: blocks.length + 1,
+            hint: "Each block must be '<<<<<<< SEARCH', the original lines, '=======', the new lines, '>>>>>>> REPLACE'.",
+        });
+    }
+    return blocks;
+}
+
+function linesMatchAt(lines, needle, index, normalize) {
+    if (index < 0 || index + needle.length > lines.length) return false;
+    for (let i = 0; i < needle.length; i++) {
+        if (normalize(lines[index + i]) !== normalize(needle[i])) return false;
+    }
+    return true;
+}
+
+const exact = (line) => line;
+const ignoreTrailingWhitespace = (line) => line.trimEnd();
+
+// Returns every index at which `needle` matches, trying an exact comparison
+// first and falling back to one that ignores trailing whitespace.
+function findAllMatches(lines, needle, fromIndex) {
+    for (const normalize of [exact, ignoreTrailingWhitespace]) {
+        const matches = [];
+        for (let i = fromIndex; i + needle.length <= lines.length; i++) {
+            if (linesMatchAt(lines, needle, i, normalize)) matches.push(i);
+        }
+        if (matches.length > 0) return matches;
+    }
+    return [];
+}
+
+function closestTo(matches, expectedIndex) {
+    return matches.reduce((best, index) =>
+        Math.abs(index - expectedIndex) < Math.abs(best - expectedIndex) ? index : best,
+    );
+}
+
+function describeMismatch(lines, hunk, hunkNumber, expectedIndex) {
+    const start = Math.max(0, Math.min(expectedIndex, lines.length - 1));
+    const actual = lines.slice(start, start + Math.max(hunk.oldLines.length, 1));
+    return {
+        hunk: hunkNumber,
+        header: hunk.header,
+        reason: 'context_mismatch',
+        expected_start_line: hunk.oldStart,
+        expected_lines: hunk.oldLines,
+        actual_lines_at_expected_position: actual,
+        hint: 'The context and removed lines must match the current file exactly. Re-read the file and regenerate this hunk.',
+    };
+}
+
+/**
+ * Applies a unified diff or a set of search/replace blocks to `content`.
+ * Hunks are applied in order and all of them must match; if any hunk fails,
+ * nothing is applied and a PatchError describing every failed hunk is thrown.
+ */
+export function applyPatch(content, patchText) {
+    const format = detectPatchFormat(patchText || '');
+    if (!format) {
+        throw new PatchError('Unrecognized patch format.', {
+            reason: 'unrecognized_format',
+            hint: "Provide a unified diff with '@@ -start,count +start,count @@' hunk headers, or '<<<<<<< SEARCH' / '=======' / '>>>>>>> REPLACE' blocks.",
+        });
+    }
+
+    const hunks = format === 'unified' ? parseUnifiedDiff(patchText) : parseSearchReplaceBlocks(patchText);
+    if (hunks.length === 0) {
+        throw new PatchError('The patch does not contain any hunks.', { reason: 'empty_patch' });
+    }
+
+    const lineEnding = detectLineEnding(content);
+    const lines = content === '' ? [] : splitLines(content);
+    const failures = [];
+    let offset = 0;
+    let searchFrom = 0;
+    let linesAdded = 0;
+    let linesRemoved = 0;
+
+    hunks.forEach((hunk, i) => {
+        const hunkNumber = i + 1;
+        const expectedIndex = hunk.oldStart !== null ? Math.max(0, hunk.oldStart - 1 + offset) : searchFrom;
+        let matchIndex;
+
+        if (hunk.oldLines.length === 0) {
+            if (format === 'search_replace') {
+                failures.push({
+                    hunk: hunkNumber,
+                    header: hunk.header,
+                    reason: 'empty_search',
+                    hint: 'The SEARCH section must contain at least one line from the file.',
+                });
+                return;
+            }
+            // Pure insertion: "-0,0" means before the first line, otherwise after line `oldStart`.
+            matchIndex = hunk.oldStart === 0 ? 0 : Math.min(expectedIndex + 1, lines.length);
+        } else {
+            // Unified hunks must stay in order; search/replace blocks may target any part of the file.
+            const matches = findAllMatches(lines, hunk.oldLines, format === 'unified' ? searchFrom : 0);
+            if (matches.length === 0) {
+                failures.push(describeMismatch(lines, hunk, hunkNumber, expectedIndex));
+                return;
+            }
+            if (format === 'search_replace' && matches.length > 1) {
+                failures.push({
+                    hunk: hunkNumber,
+                    header: hunk.header,
+                    reason: 'ambiguous_match',
+                    matched_lines: matches.map((index) => index + 1),
+                    hint: 'The SEARCH section matches more than one location. Add surrounding lines to make it unique.',
+                });
+                return;
+            }
+            matchIndex = closestTo(matches, expectedIndex);
+        }
+
+        lines.splice(matchIndex, hunk.oldLines.length, ...hunk.newLines);
+        offset += hunk.newLines.length - hunk.oldLines.length;
+        searchFrom = matchIndex + hunk.newLines.length;
+        linesAdded += hunk.added;
+        linesRemoved += hunk.removed;
+    });
+
+    if (failures.length > 0) {
+        throw new PatchError(`${failures.length} of ${hunks.length} hunk(s) failed to apply. No changes were written.`, {
+            format,
+            total_hunks: hunks.length,
+            failed_hunks: failures,
+        });
+    }
+
+    return {
+        content: lines.join(lineEnding),
+        format,
+        hunksApplied: hunks.length,
+        linesAdded,
+        linesRemoved,
+    };
+}
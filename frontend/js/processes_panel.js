@@ -0,0 +1,94 @@
+import { postToBackend, postWithConfirmation } from './backend_api.js';
+import * as UI from './ui.js';
+
+// =================================================================
+// === Processes Panel                                           ===
+// =================================================================
+// Background processes live on the backend, so the list survives page
+// reloads; the panel only polls it while it is visible.
+
+const POLL_INTERVAL_MS = 2000;
+const LOG_LINES = 500;
+
+export const ProcessesPanel = {
+    selectedId: null,
+
+    initialize() {
+        this.view = document.getElementById('processes-panel');
+        this.list = document.getElementById('process-list');
+        this.logs = document.getElementById('process-logs');
+        this.countBadge = document.getElementById('processes-count');
+        const commandInput = document.getElementById('process-command-input');
+
+        const start = async () => {
+            const command = commandInput.value.trim();
+            if (!command) return;
+            try {
+                const started = await postWithConfirmation(
+                    '/api/processes/start-user',
+                    { command },
+                    'Failed to start process',
+                    async (reason) => confirm(`${reason}\n\nRun '${command}'?`),
+                );
+                commandInput.value = '';
+                this.selectedId = started.id;
+            } catch (error) {
+                alert(error.message);
+            }
+            await this.refresh();
+        };
+        document.getElementById('process-start-button').addEventListener('click', start);
+        commandInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') start();
+        });
+        document.getElementById('process-refresh-button').addEventListener('click', () => this.refresh());
+        document.querySelector('.panel-tab[data-panel="processes-panel"]').addEventListener('click', () => this.refresh());
+
+        this.handlers = {
+            onSelect: (proc) => {
+                this.selectedId = proc.id;
+                this.refresh();
+            },
+            onKill: (proc) => this.request('kill', proc.id),
+            onRemove: (proc) => {
+                if (this.selectedId === proc.id) this.selectedId = null;
+                this.request('remove', proc.id);
+            },
+        };
+
+        setInterval(() => {
+            if (this.view.classList.contains('active') && !document.getElementById('bottom-panel').classList.contains('collapsed')) {
+                this.refresh();
+            }
+        }, POLL_INTERVAL_MS);
+        this.refresh();
+    },
+
+    async request(action, id) {
+        try {
+            await postToBackend(`/api/processes/${action}`, { id }, `Failed to ${action} process`);
+        } catch (error) {
+            alert(error.message);
+        }
+        await this.refresh();
+    },
+
+    async refresh() {
+        try {
+            const { processes } = await postToBackend('/api/processes/list', {}, 'Failed to list processes');
+            this.countBadge.textContent = processes.filter((proc) => proc.status === 'running').length;
+            if (!processes.some((proc) => proc.id === this.selectedId)) {
+                this.selectedId = processes.length > 0 ? processes[processes.length - 1].id : null;
+            }
+            UI.renderProcesses(this.list, processes, this.handlers, this.selectedId);
+            if (this.selectedId) {
+                const { lines } = await postToBackend('/api/processes/logs', { id: this.selectedId, lines: LOG_LINES }, 'Failed to read process logs');
+                UI.renderProcessLogs(this.logs, lines);
+            } else {
+                this.logs.textContent = '';
+            }
+        } catch (error) {
+            this.list.textContent = error.message;
+        }
+    },
+};
@@ -0,0 +1,25 @@
+// =================================================================
+// === Web Search Settings                                       ===
+// =================================================================
+// Which backend search provider `web_search` uses and how many results it
+// asks for. Stored in the browser next to the other chat settings.
+
+export const DEFAULT_SEARCH_SETTINGS = {
+    provider: 'duckduckgo',
+    maxResults: 10,
+};
+
+const SEARCH_SETTINGS_STORAGE_KEY = 'webSearchSettings';
+
+export function loadSearchSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SEARCH_SETTINGS_STORAGE_KEY) || '{}');
+        return { ...DEFAULT_SEARCH_SETTINGS, ...saved };
+    } catch (error) {
+        return { ...DEFAULT_SEARCH_SETTINGS };
+    }
+}
+
+export function saveSearchSettings(settings) {
+    localStorage.setItem(SEARCH_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,89 @@
+import { gitRequest } from './backend_api.js';
+import * as UI from './ui.js';
+
+// =================================================================
+// === Source Control Panel                                      ===
+// =================================================================
+// Uses the same backend git endpoints as the agent's git_* tools.
+
+const RECENT_COMMIT_COUNT = 15;
+
+/**
+ * Wires up the Source Control tab of the bottom panel. It refreshes when the
+ * tab is shown, after staging or committing, and from its Refresh button.
+ * `openPath` opens a project file in the editor.
+ */
+export function initializeSourceControl(openPath) {
+    const changesList = document.getElementById('scm-changes');
+    const diffView = document.getElementById('scm-diff');
+    const branchLabel = document.getElementById('scm-branch');
+    const countBadge = document.getElementById('source-control-count');
+    const commitMessageInput = document.getElementById('scm-commit-message');
+    const commitButton = document.getElementById('scm-commit-button');
+    const refreshButton = document.getElementById('scm-refresh-button');
+    const tab = document.querySelector('.panel-tab[data-panel="source-control-panel"]');
+
+    const showDiff = async (request, emptyText) => {
+        try {
+            const result = await request;
+            const header = result.commit
+                ? `${result.commit.hash}\n${result.commit.author} <${result.commit.email}>  ${result.commit.date}\n\n    ${result.commit.subject}\n\n`
+                : '';
+            UI.renderDiffText(diffView, header + (result.diff || emptyText) + (result.truncated ? '\n... (diff truncated)' : ''));
+        } catch (error) {
+            diffView.textContent = error.message;
+        }
+    };
+
+    const handlers = {
+        onSelectFile: (file, staged) => showDiff(gitRequest('diff', { staged, path: file.path }), 'No textual changes.'),
+        onSelectCommit: (commit) => showDiff(gitRequest('show', { ref: commit.hash }), ''),
+        onOpen: (file) => openPath(file.path).catch((error) => console.error(`Failed to open ${file.path}:`, error)),
+        async onStage(file) {
+            try {
+                await gitRequest('add', { paths: [file.path] });
+            } catch (error) {
+                alert(error.message);
+            }
+            await refresh();
+        },
+    };
+
+    async function refresh() {
+        try {
+            const [status, log] = await Promise.all([
+                gitRequest('status'),
+                gitRequest('log', { maxCount: RECENT_COMMIT_COUNT }).catch(() => ({ commits: [] })),
+            ]);
+            branchLabel.textContent = status.branch
+                ? `⎇ ${status.branch}${status.ahead ? ` ↑${status.ahead}` : ''}${status.behind ? ` ↓${status.behind}` : ''}`
+                : '⎇ detached';
+            countBadge.textContent = status.files.length;
+            UI.renderSourceControl(changesList, status, log.commits, handlers);
+        } catch (error) {
+            branchLabel.textContent = '';
+            countBadge.textContent = '0';
+            changesList.textContent = error.message;
+        }
+    }
+
+    commitButton.addEventListener('click', async () => {
+        const message = commitMessageInput.value.trim();
+        if (!message) {
+            alert('Enter a commit message first.');
+            return;
+        }
+        try {
+            const result = await gitRequest('commit', { message });
+            commitMessageInput.value = '';
+            diffView.textContent = `Committed ${result.commit.shortHash}: ${result.commit.subject}`;
+        } catch (error) {
+            alert(error.message);
+        }
+        await refresh();
+    });
+    refreshButton.addEventListener('click', refresh);
+    tab.addEventListener('click', refresh);
+
+    return { refresh };
+}
@@ -0,0 +1,696 @@
+// =================================================================
+// === Symbol Resolution (Definitions & References)              ===
+// =================================================================
+// Parses the workspace's JavaScript files with acorn, builds lexical scopes
+// for every file and links ES module imports to the exports they name, so a
+// symbol can be followed to its definition and to every reference across files.
+
+const SYMBOL_FILE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+const SYMBOL_IGNORED_DIRECTORIES = ['.git', 'node_modules', 'dist', 'build'];
+const SYMBOL_MAX_FILE_SIZE = 1024 * 1024;
+const MODULE_RESOLUTION_SUFFIXES = ['', '.js', '.mjs', '.cjs', '/index.js', '/index.mjs'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const RESERVED_WORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+    'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected',
+    'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var',
+    'void', 'while', 'with', 'yield', 'arguments', 'eval',
+]);
+
+function parseSource(content) {
+    const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true };
+    try {
+        return acorn.parse(content, { ...options, sourceType: 'module' });
+    } catch (moduleError) {
+        // Classic scripts may use things modules forbid (e.g. `with`, octal literals).
+        return acorn.parse(content, { ...options, sourceType: 'script', allowReturnOutsideFunction: true });
+    }
+}
+
+function createScope(parent, isFunctionScope) {
+    return { parent, isFunctionScope, bindings: new Map() };
+}
+
+function functionScopeOf(scope) {
+    while (!scope.isFunctionScope) scope = scope.parent;
+    return scope;
+}
+
+function lookup(scope, name) {
+    for (let current = scope; current; current = current.parent) {
+        const binding = current.bindings.get(name);
+        if (binding) return binding;
+    }
+    return null;
+}
+
+function collectPatternNames(pattern, names = []) {
+    if (!pattern) return names;
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach((property) =>
+                collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names),
+            );
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach((element) => collectPatternNames(element, names));
+            break;
+        case 'RestElement':
+            collectPatternNames(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            collectPatternNames(pattern.left, names);
+            break;
+    }
+    return names;
+}
+
+/**
+ * Builds the scopes, bindings, identifier occurrences and export table of one
+ * file. Occurrences are resolved to bindings in the same file; links between
+ * files are made later by the workspace index.
+ */
+function analyzeFile(path, content) {
+    const ast = parseSource(content);
+    const moduleScope = createScope(null, true);
+    const analysis = {
+        path,
+        content,
+        lines: content.split(/\r?\n/),
+        moduleScope,
+        occurrences: [],
+        exports: new Map(),
+        starExports: [],
+    };
+
+    function addOccurrence(node, kind, extra = {}) {
+        const occurrence = {
+            path,
+            name: node.name,
+            start: node.start,
+            end: node.end,
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1,
+            kind,
+            ...extra,
+        };
+        analysis.occurrences.push(occurrence);
+        return occurrence;
+    }
+
+    function declare(node, scope, kind, extra = {}, shorthand = false) {
+        const binding = { id: `${path}:${node.start}`, path, name: node.name, kind, ...extra };
+        binding.occurrence = addOccurrence(node, kind === 'import' ? 'import' : 'definition', { binding, shorthand });
+        scope.bindings.set(node.name, binding);
+        return binding;
+    }
+
+    // Declares (or, with `declaring` false, references) every identifier in a binding pattern.
+    function visitPattern(pattern, scope, kind, declaring, shorthand = false) {
+        if (!pattern) return;
+        switch (pattern.type) {
+            case 'Identifier':
+                if (declaring) declare(pattern, scope, kind, {}, shorthand);
+                else addOccurrence(pattern, 'reference', { scope, shorthand });
+                break;
+            case 'ObjectPattern':
+                for (const property of pattern.properties) {
+                    if (property.type === 'RestElement') {
+                        visitPattern(property.argument, scope, kind, declaring);
+                        continue;
+                    }
+                    if (property.computed) visit(property.key, scope);
+                    visitPattern(property.value, scope, kind, declaring, property.shorthand);
+                }
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach((element) => visitPattern(element, scope, kind, declaring));
+                break;
+            case 'RestElement':
+                visitPattern(pattern.argument, scope, kind, declaring);
+                break;
+            case 'AssignmentPattern':
+                visitPattern(pattern.left, scope, kind, declaring, shorthand);
+                visit(pattern.right, scope);
+                break;
+            default:
+                // Member expressions are valid assignment targets.
+                visit(pattern, scope);
+        }
+    }
+
+    // `const { name: alias } = ns` reads `ns.name`, so when `ns` is a namespace import
+    // the keys are linked to its exports the way `ns.name` member expressions are.
+    // They are added after the pattern's own bindings, which win at a shared position.
+    function visitDestructuredKeys(pattern, init, scope) {
+        const object = addOccurrence(init, 'reference', { scope });
+        for (const property of pattern.properties) {
+            if (property.type === 'RestElement' || property.computed || property.key.type !== 'Identifier') continue;
+            addOccurrence(property.key, 'reference', { memberOf: object, shorthandKey: property.shorthand });
+        }
+    }
+
+    function isDestructuredIdentifier(pattern, init) {
+        return pattern.type === 'ObjectPattern' && init && init.type === 'Identifier';
+    }
+
+    function visitFunction(node, scope) {
+        const functionScope = createScope(scope, true);
+        if (node.type === 'FunctionExpression' && node.id) declare(node.id, functionScope, 'function');
+        node.params.forEach((param) => visitPattern(param, functionScope, 'parameter', true));
+        if (node.body.type === 'BlockStatement') {
+            node.body.body.forEach((statement) => visit(statement, functionScope));
+        } else {
+            visit(node.body, functionScope);
+        }
+    }
+
+    function visitClass(node, scope) {
+        let classScope = scope;
+        if (node.type === 'ClassExpression' && node.id) {
+            classScope = createScope(scope, false);
+            declare(node.id, classScope, 'class');
+        }
+        visit(node.superClass, classScope);
+        for (const member of node.body.body) {
+            if (member.type === 'StaticBlock') {
+                const blockScope = createScope(classScope, true);
+                member.body.forEach((statement) => visit(statement, blockScope));
+                continue;
+            }
+            if (member.computed) visit(member.key, classScope);
+            visit(member.value, classScope);
+        }
+    }
+
+    function visitChildren(node, scope) {
+        for (const key of Object.keys(node)) {
+            if (key === 'loc') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach((item) => visit(item, scope));
+            } else if (child && typeof child.type === 'string') {
+                visit(child, scope);
+            }
+        }
+    }
+
+    function visit(node, scope) {
+        if (!node || typeof node.type !== 'string') return;
+        switch (node.type) {
+            case 'Identifier':
+                addOccurrence(node, 'reference', { scope });
+                return;
+            case 'FunctionDeclaration':
+                if (node.id) declare(node.id, scope, 'function');
+                visitFunction(node, scope);
+                return;
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                visitFunction(node, scope);
+                return;
+            case 'ClassDeclaration':
+                if (node.id) declare(node.id, scope, 'class');
+                visitClass(node, scope);
+                return;
+            case 'ClassExpression':
+                visitClass(node, scope);
+                return;
+            case 'VariableDeclaration': {
+                const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+                for (const declarator of node.declarations) {
+                    visitPattern(declarator.id, target, node.kind, true);
+                    if (isDestructuredIdentifier(declarator.id, declarator.init)) {
+                        visitDestructuredKeys(declarator.id, declarator.init, scope);
+                    } else {
+                        visit(declarator.init, scope);
+                    }
+                }
+                return;
+            }
+            case 'BlockStatement':
+            case 'StaticBlock': {
+                const blockScope = createScope(scope, false);
+                node.body.forEach((statement) => visit(statement, blockScope));
+                return;
+            }
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement':
+            case 'SwitchStatement': {
+                const loopScope = createScope(scope, false);
+                if (node.left && node.left.type !== 'VariableDeclaration') {
+                    visitPattern(node.left, loopScope, null, false);
+                    visit(node.right, loopScope);
+                    visit(node.body, loopScope);
+                    return;
+                }
+                visitChildren(node, loopScope);
+                return;
+            }
+            case 'CatchClause': {
+                const catchScope = createScope(scope, false);
+                visitPattern(node.param, catchScope, 'parameter', true);
+                node.body.body.forEach((statement) => visit(statement, catchScope));
+                return;
+            }
+            case 'AssignmentExpression':
+                visitPattern(node.left, scope, null, false);
+                if (isDestructuredIdentifier(node.left, node.right)) {
+                    visitDestructuredKeys(node.left, node.right, scope);
+                } else {
+                    visit(node.right, scope);
+                }
+                return;
+            case 'MemberExpression':
+                if (node.object.type === 'Identifier' && !node.computed && node.property.type === 'Identifier') {
+                    // Only resolvable when the object is a namespace import (`ns.name`).
+                    const object = addOccurrence(node.object, 'reference', { scope });
+                    addOccurrence(node.property, 'reference', { memberOf: object });
+                    return;
+                }
+                visit(node.object, scope);
+                if (node.computed) visit(node.property, scope);
+                return;
+            case 'Property':
+                if (node.computed) visit(node.key, scope);
+                if (node.shorthand && node.value.type === 'Identifier') {
+                    addOccurrence(node.value, 'reference', { scope, shorthand: true });
+                } else {
+                    visit(node.value, scope);
+                }
+                return;
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+                if (node.computed) visit(node.key, scope);
+                visit(node.value, scope);
+                return;
+            case 'LabeledStatement':
+                visit(node.body, scope);
+                return;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'MetaProperty':
+            case 'PrivateIdentifier':
+                return;
+            case 'ImportDeclaration':
+                visitImport(node, scope);
+                return;
+            case 'ImportExpression':
+                visit(node.source, scope);
+                return;
+            case 'ExportNamedDeclaration':
+                visitNamedExport(node, scope);
+                return;
+            case 'ExportDefaultDeclaration':
+                visitDefaultExport(node, scope);
+                return;
+            case 'ExportAllDeclaration':
+                if (node.exported) {
+                    analysis.exports.set(node.exported.name || node.exported.value, { source: node.source.value, imported: '*' });
+                } else {
+                    analysis.starExports.push(node.source.value);
+                }
+                return;
+            default:
+                visitChildren(node, scope);
+        }
+    }
+
+    function visitImport(node, scope) {
+        const source = node.source.value;
+        for (const specifier of node.specifiers) {
+            let imported = '*';
+            if (specifier.type === 'ImportDefaultSpecifier') {
+                imported = 'default';
+            } else if (specifier.type === 'ImportSpecifier') {
+                imported = specifier.imported.name || specifier.imported.value;
+                if (specifier.imported.type === 'Identifier' && specifier.imported.start !== specifier.local.start) {
+                    addOccurrence(specifier.imported, 'import', { importRef: { source, imported } });
+                }
+            }
+            declare(specifier.local, scope, 'import', { import: { source, imported } });
+        }
+    }
+
+    function visitNamedExport(node, scope) {
+        if (node.declaration) {
+            visit(node.declaration, scope);
+            const declaration = node.declaration;
+            const names = declaration.type === 'VariableDeclaration'
+                ? declaration.declarations.flatMap((declarator) => collectPatternNames(declarator.id))
+                : [declaration.id.name];
+            names.forEach((name) => analysis.exports.set(name, { local: name }));
+            return;
+        }
+        for (const specifier of node.specifiers) {
+            const localName = specifier.local.name || specifier.local.value;
+            const exportedName = specifier.exported.name || specifier.exported.value;
+            if (node.source) {
+                const importRef = { source: node.source.value, imported: localName };
+                if (specifier.local.type === 'Identifier') addOccurrence(specifier.local, 'export', { importRef });
+                analysis.exports.set(exportedName, importRef);
+            } else {
+                addOccurrence(specifier.local, 'export', { scope });
+                analysis.exports.set(exportedName, { local: localName });
+            }
+        }
+    }
+
+    function visitDefaultExport(node, scope) {
+        const declaration = node.declaration;
+        visit(declaration, scope);
+        if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+            analysis.exports.set('default', { local: declaration.id.name });
+        } else if (declaration.type === 'Identifier') {
+            analysis.exports.set('default', { local: declaration.name });
+        } else {
+            // Anonymous default export: the `export default` statement itself is the definition.
+            const binding = { id: `${path}:${node.start}`, path, name: 'default', kind: 'default export' };
+            binding.occurrence = {
+                path,
+                name: 'default',
+                start: node.start,
+                end: node.start + 'export default'.length,
+                line: node.loc.start.line,
+                column: node.loc.start.column + 1,
+                kind: 'definition',
+                binding,
+            };
+            analysis.exports.set('default', { binding });
+        }
+    }
+
+    ast.body.forEach((statement) => visit(statement, moduleScope));
+
+    for (const occurrence of analysis.occurrences) {
+        if (occurrence.scope) {
+            occurrence.binding = lookup(occurrence.scope, occurrence.name);
+            delete occurrence.scope;
+        }
+    }
+    return analysis;
+}
+
+function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+function joinPath(base, relative) {
+    const parts = base ? base.split('/') : [];
+    for (const part of relative.split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') {
+            if (parts.length === 0) return null;
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+function toLocation(occurrence, files) {
+    const analysis = files.get(occurrence.path);
+    const lineText = analysis ? analysis.lines[occurrence.line - 1] || '' : '';
+    return {
+        path: occurrence.path,
+        name: occurrence.name,
+        kind: occurrence.kind,
+        line: occurrence.line,
+        column: occurrence.column,
+        end_column: occurrence.column + (occurrence.end - occurrence.start),
+        preview: lineText.trim().slice(0, 200),
+    };
+}
+
+/**
+ * The analyzed workspace. `files` maps project paths to file analyses;
+ * `errors` lists files that could not be parsed.
+ */
+class SymbolIndex {
+    constructor(files, errors) {
+        this.files = files;
+        this.errors = errors;
+        this.symbolKeys = new Map();
+    }
+
+    resolveModule(fromPath, source) {
+        if (!source.startsWith('./') && !source.startsWith('../')) return null;
+        const base = joinPath(dirname(fromPath), source);
+        if (base === null) return null;
+        for (const suffix of MODULE_RESOLUTION_SUFFIXES) {
+            if (this.files.has(base + suffix)) return base + suffix;
+        }
+        return null;
+    }
+
+    // Follows a binding through imports to the binding that defines it.
+    resolveBinding(binding, visited = new Set()) {
+        if (!binding.import || binding.import.imported === '*') return binding;
+        const target = this.resolveModule(binding.path, binding.import.source);
+        return (target && this.resolveExport(target, binding.import.imported, visited)) || binding;
+    }
+
+    resolveExport(path, name, visited = new Set()) {
+        const analysis = this.files.get(path);
+        const visitKey = `${path}#${name}`;
+        if (!analysis || visited.has(visitKey)) return null;
+        visited.add(visitKey);
+
+        const entry = analysis.exports.get(name);
+        if (entry) {
+            if (entry.binding) return entry.binding;
+            if (entry.local !== undefined) {
+                const binding = analysis.moduleScope.bindings.get(entry.local);
+                return binding ? this.resolveBinding(binding, visited) : null;
+            }
+            const target = this.resolveModule(path, entry.source);
+            if (!target || entry.imported === '*') return null;
+            return this.resolveExport(target, entry.imported, visited);
+        }
+        if (name === 'default') return null;
+        for (const source of analysis.starExports) {
+            const target = this.resolveModule(path, source);
+            const binding = target && this.resolveExport(target, name, visited);
+            if (binding) return binding;
+        }
+        return null;
+    }
+
+    // Returns the definition a single occurrence refers to, and a key that is
+    // shared by every occurrence of the same symbol.
+    resolveOccurrence(occurrence) {
+        if (this.symbolKeys.has(occurrence)) return this.symbolKeys.get(occurrence);
+
+        let result = null;
+        if (occurrence.binding) {
+            const definition = this.resolveBinding(occurrence.binding);
+            result = { key: definition.id, definition };
+        } else if (occurrence.importRef) {
+            const target = this.resolveModule(occurrence.path, occurrence.importRef.source);
+            const definition = target && this.resolveExport(target, occurrence.importRef.imported);
+            result = definition
+                ? { key: definition.id, definition }
+                : { key: `module:${occurrence.importRef.source}#${occurrence.importRef.imported}`, definition: null };
+        } else if (occurrence.memberOf) {
+            const objectBinding = occurrence.memberOf.binding;
+            if (objectBinding && objectBinding.import && objectBinding.import.imported === '*') {
+                const target = this.resolveModule(objectBinding.path, objectBinding.import.source);
+                const definition = target && this.resolveExport(target, occurrence.name);
+                if (definition) result = { key: definition.id, definition };
+            }
+        } else {
+            // Not declared in any enclosing scope: an implicit global.
+            result = { key: `global:${occurrence.name}`, definition: null };
+        }
+
+        this.symbolKeys.set(occurrence, result);
+        return result;
+    }
+
+    occurrenceAt(path, line, column) {
+        const analysis = this.files.get(path);
+        if (!analysis) return null;
+        return analysis.occurrences.find((occurrence) =>
+            occurrence.line === line
+            && column >= occurrence.column
+            && column <= occurrence.column + (occurrence.end - occurrence.start),
+        ) || null;
+    }
+
+    /**
+     * Finds an occurrence of `name` in `path`, on `line` when given. Without a
+     * line, definitions are preferred over references.
+     */
+    findOccurrence(path, name, line) {
+        const analysis = this.files.get(path);
+        if (!analysis) return null;
+        const candidates = analysis.occurrences.filter((occurrence) =>
+            occurrence.name === name && (!line || occurrence.line === line),
+        );
+        return candidates.find((occurrence) => occurrence.kind === 'definition') || candidates[0] || null;
+    }
+
+    getDefinition(occurrence) {
+        const resolved = this.resolveOccurrence(occurrence);
+        if (!resolved) return null;
+        return {
+            symbol: occurrence.name,
+            definition: resolved.definition ? toLocation(resolved.definition.occurrence, this.files) : null,
+            external: !resolved.definition,
+        };
+    }
+
+    /**
+     * Computes the edits that rename the symbol at `occurrence` to `newName`
+     * in every file. Only occurrences spelled like the symbol are changed, so
+     * aliases (`import { a as b }`) keep their local name; shorthand properties
+     * are expanded (`{ a }` becomes `{ a: newName }`, or `{ newName: a }` when
+     * destructured from a namespace import). Throws if the new name is
+     * invalid or already used in an affected file.
+     */
+    planRename(occurrence, newName) {
+        if (!IDENTIFIER_PATTERN.test(newName) || RESERVED_WORDS.has(newName)) {
+            throw new Error(`'${newName}' is not a valid identifier.`);
+        }
+        const resolved = this.resolveOccurrence(occurrence);
+        if (!resolved || !resolved.definition) {
+            throw new Error(`'${occurrence.name}' is not defined in the project and cannot be renamed.`);
+        }
+        const oldName = resolved.definition.name;
+        if (oldName === 'default' || occurrence.name !== oldName) {
+            throw new Error(`'${occurrence.name}' is an alias; rename the original symbol '${oldName}' instead.`);
+        }
+        if (newName === oldName) {
+            throw new Error(`The symbol is already named '${newName}'.`);
+        }
+
+        const { occurrences } = this.getReferences(occurrence);
+        const editsByPath = new Map();
+        for (const reference of occurrences) {
+            if (reference.name !== oldName) continue;
+            // A shorthand keeps its other half: `{ a }` becomes `{ a: newName }` where `a`
+            // is the local binding, and `{ newName: a }` where it is the key read from a namespace.
+            let text = newName;
+            if (reference.shorthandKey) text = `${newName}: ${oldName}`;
+            else if (reference.shorthand) text = `${oldName}: ${newName}`;
+            if (!editsByPath.has(reference.path)) editsByPath.set(reference.path, []);
+            editsByPath.get(reference.path).push({ start: reference.start, end: reference.end, text, line: reference.line });
+        }
+
+        const conflicts = [];
+        for (const path of editsByPath.keys()) {
+            for (const candidate of this.files.get(path).occurrences) {
+                if (candidate.name !== newName) continue;
+                const candidateResolved = this.resolveOccurrence(candidate);
+                if (candidateResolved && candidateResolved.key !== resolved.key) {
+                    conflicts.push(`${path}:${candidate.line}`);
+                }
+            }
+        }
+        if (conflicts.length > 0) {
+            throw new Error(`'${newName}' is already used in an affected file (${conflicts.slice(0, 5).join(', ')}). Choose another name.`);
+        }
+
+        const files = [];
+        for (const [path, edits] of editsByPath) {
+            const original = this.files.get(path).content;
+            let updated = original;
+            edits.sort((a, b) => b.start - a.start).forEach((edit) => {
+                updated = updated.slice(0, edit.start) + edit.text + updated.slice(edit.end);
+            });
+            files.push({ path, original, updated, changes: edits.length });
+        }
+        return { symbol: oldName, newName, definition: toLocation(resolved.definition.occurrence, this.files), files };
+    }
+
+    getReferences(occurrence) {
+        const resolved = this.resolveOccurrence(occurrence);
+        if (!resolved) return null;
+        const references = [];
+        for (const analysis of this.files.values()) {
+            const seen = new Set();
+            for (const candidate of analysis.occurrences) {
+                if (seen.has(candidate.start)) continue;
+                const candidateResolved = this.resolveOccurrence(candidate);
+                if (candidateResolved && candidateResolved.key === resolved.key) {
+                    seen.add(candidate.start);
+                    references.push(candidate);
+                }
+            }
+            // Anonymous default exports have no identifier in the occurrence list.
+            const definitionOccurrence = resolved.definition && resolved.definition.occurrence;
+            if (definitionOccurrence && definitionOccurrence.path === analysis.path && !seen.has(definitionOccurrence.start)) {
+                references.unshift(definitionOccurrence);
+            }
+        }
+        return {
+            symbol: occurrence.name,
+            definition: resolved.definition ? toLocation(resolved.definition.occurrence, this.files) : null,
+            references: references.map((reference) => toLocation(reference, this.files)),
+            // Raw occurrences, for callers that need offsets (e.g. renaming).
+            occurrences: references,
+        };
+    }
+}
+
+async function collectSourceFiles(dirHandle, currentPath, files) {
+    for await (const entry of dirHandle.values()) {
+        const entryPath = currentPath ? `${currentPath}/${entry.name}` : entry.name;
+        if (entry.kind === 'directory') {
+            if (!SYMBOL_IGNORED_DIRECTORIES.includes(entry.name)) {
+                await collectSourceFiles(entry, entryPath, files);
+            }
+        } else if (SYMBOL_FILE_EXTENSIONS.some((extension) => entry.name.endsWith(extension))) {
+            files.push({ path: entryPath, handle: entry });
+        }
+    }
+}
+
+export const SymbolResolver = {
+    // Analyses are reused while a file's content is unchanged.
+    cache: new Map(),
+
+    /**
+     * Analyzes every JavaScript file under `rootDirectoryHandle`. `overrides`
+     * maps project paths to content that should be used instead of the file on
+     * disk, such as unsaved editor buffers.
+     */
+    async buildIndex(rootDirectoryHandle, overrides = new Map()) {
+        const sourceFiles = [];
+        await collectSourceFiles(rootDirectoryHandle, '', sourceFiles);
+
+        const files = new Map();
+        const errors = [];
+        for (const { path, handle } of sourceFiles) {
+            try {
+                let content = overrides.get(path);
+                if (content === undefined) {
+                    const file = await handle.getFile();
+                    if (file.size > SYMBOL_MAX_FILE_SIZE) continue;
+                    content = await file.text();
+                }
+                const cached = this.cache.get(path);
+                if (cached && cached.content === content) {
+                    files.set(path, cached.analysis);
+                    continue;
+                }
+                const analysis = analyzeFile(path, content);
+                this.cache.set(path, { content, analysis });
+                files.set(path, analysis);
+            } catch (error) {
+                errors.push({ path, message: error.message });
+            }
+        }
+        for (const path of this.cache.keys()) {
+            if (!files.has(path)) this.cache.delete(path);
+        }
+        return new SymbolIndex(files, errors);
+    },
+};
@@ -0,0 +1,141 @@
+import { postToBackend, SESSION_TOKEN } from './backend_api.js';
+
+// =================================================================
+// === Terminal Panel (xterm.js over WebSocket)                  ===
+// =================================================================
+// Each tab shows one named PTY session on the backend. Sessions outlive the
+// page: reopening the panel reattaches to them and replays recent output.
+
+function getSocketUrl(name, cols, rows) {
+    const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+    const params = new URLSearchParams({ name, cols, rows });
+    return `${protocol}://${location.host}/ws/terminal?${params}`;
+}
+
+// Sockets cannot carry headers, so the session token travels as a subprotocol
+// the backend checks; it answers with 'editor-terminal'.
+const SOCKET_PROTOCOLS = ['editor-terminal', `token.${SESSION_TOKEN}`];
+
+export const TerminalPanel = {
+    terminals: new Map(), // Key: name, Value: { term, fitAddon, socket, view, tab }
+    activeName: null,
+
+    initialize() {
+        this.tabsContainer = document.getElementById('terminal-tabs');
+        this.viewsContainer = document.getElementById('terminal-views');
+        this.panelTab = document.querySelector('.panel-tab[data-panel="terminal-panel"]');
+
+        document.getElementById('new-terminal-button').addEventListener('click', () => {
+            const name = prompt('Terminal name:', `terminal-${this.terminals.size + 1}`);
+            if (name) this.open(name.trim());
+        });
+        this.panelTab.addEventListener('click', async () => {
+            await this.refresh();
+            if (this.terminals.size === 0) this.open('main');
+            this.fit();
+        });
+        new ResizeObserver(() => this.fit()).observe(this.viewsContainer);
+    },
+
+    // Attaches a tab to every terminal the backend has (e.g. ones the agent started).
+    async refresh() {
+        try {
+            const { terminals } = await postToBackend('/api/terminal/list', {}, 'Failed to list terminals');
+            terminals.forEach((terminal) => {
+                if (!this.terminals.has(terminal.name)) this.open(terminal.name, { activate: false });
+            });
+            if (!this.activeName && terminals.length > 0) this.activate(terminals[0].name);
+        } catch (error) {
+            console.error('Failed to list terminals:', error);
+        }
+    },
+
+    open(name, { activate = true } = {}) {
+        if (this.terminals.has(name)) {
+            if (activate) this.activate(name);
+            return;
+        }
+
+        const view = document.createElement('div');
+        view.className = 'terminal-view';
+        this.viewsContainer.appendChild(view);
+
+        const term = new Terminal({ fontSize: 12, cursorBlink: true, convertEol: false, scrollback: 5000 });
+        const fitAddon = new FitAddon.FitAddon();
+        term.loadAddon(fitAddon);
+        term.open(view);
+
+        const tab = document.createElement('div');
+        tab.className = 'terminal-tab';
+        const label = document.createElement('span');
+        label.textContent = name;
+        const closeButton = document.createElement('button');
+        closeButton.innerHTML = '&times;';
+        closeButton.title = 'Kill Terminal';
+        closeButton.onclick = (e) => {
+            e.stopPropagation();
+            this.kill(name);
+        };
+        tab.append(label, closeButton);
+        tab.onclick = () => this.activate(name);
+        this.tabsContainer.insertBefore(tab, document.getElementById('new-terminal-button'));
+
+        const socket = new WebSocket(getSocketUrl(name, term.cols, term.rows), SOCKET_PROTOCOLS);
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            if (message.type === 'output') term.write(message.data);
+            if (message.type === 'exit') {
+                tab.classList.add('exited');
+                term.write(`\r\n[Process exited with code ${message.exitCode}]\r\n`);
+            }
+            if (message.type === 'error') term.write(`\r\n[${message.message}]\r\n`);
+        };
+        socket.onclose = () => tab.classList.add('exited');
+        term.onData((data) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'input', data }));
+        });
+        term.onResize(({ cols, rows }) => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'resize', cols, rows }));
+        });
+
+        this.terminals.set(name, { term, fitAddon, socket, view, tab });
+        if (activate || !this.activeName) this.activate(name);
+    },
+
+    activate(name) {
+        const terminal = this.terminals.get(name);
+        if (!terminal) return;
+        this.activeName = name;
+        this.terminals.forEach((other, otherName) => {
+            other.view.classList.toggle('active', otherName === name);
+            other.tab.classList.toggle('active', otherName === name);
+        });
+        this.fit();
+        terminal.term.focus();
+    },
+
+    fit() {
+        const terminal = this.terminals.get(this.activeName);
+        if (terminal && terminal.view.offsetParent !== null) terminal.fitAddon.fit();
+    },
+
+    async kill(name) {
+        const terminal = this.terminals.get(name);
+        if (!terminal) return;
+        try {
+            await postToBackend('/api/terminal/kill', { name }, 'Failed to kill terminal');
+        } catch (error) {
+            console.error(`Failed to kill terminal '${name}':`, error);
+        }
+        terminal.socket.close();
+        terminal.term.dispose();
+        terminal.view.remove();
+        terminal.tab.remove();
+        this.terminals.delete(name);
+        if (this.activeName === name) {
+            this.activeName = null;
+            const next = this.terminals.keys().next().value;
+            if (next) this.activate(next);
+        }
+    },
+};
@@ -0,0 +1,125 @@
+import { DbManager } from './db.js';
+import { ToolRegistry } from './tool_registry.js';
+import * as UI from './ui.js';
+
+// =================================================================
+// === Tool Approval Policies (auto / ask / deny)                ===
+// =================================================================
+export const APPROVAL_POLICIES = ['auto', 'ask', 'deny'];
+
+// Tools in these permission categories ask before running unless the user changes it.
+const ASK_BY_DEFAULT = ['destructive', 'terminal'];
+
+function getDefaultPolicy(tool) {
+    if (tool.defaultPolicy) return tool.defaultPolicy;
+    return ASK_BY_DEFAULT.includes(tool.category) ? 'ask' : 'auto';
+}
+
+export const ToolApproval = {
+    policies: {},
+    pendingRequests: new Set(),
+
+    async loadPolicies() {
+        this.policies = (await DbManager.getSetting('toolApprovalPolicies')) || {};
+    },
+
+    async savePolicies(policies) {
+        this.policies = { ...this.policies, ...policies };
+        await DbManager.saveSetting('toolApprovalPolicies', this.policies);
+    },
+
+    // Read-only tools always run; every other tool can be given a policy.
+    getConfigurableTools() {
+        return ToolRegistry.getAll()
+            .filter((tool) => tool.category !== 'read')
+            .map((tool) => tool.name);
+    },
+
+    getPolicy(toolName) {
+        if (this.policies[toolName]) return this.policies[toolName];
+        const tool = ToolRegistry.get(toolName);
+        return tool ? getDefaultPolicy(tool) : 'auto';
+    },
+
+    getPolicies() {
+        const policies = {};
+        this.getConfigurableTools().forEach((toolName) => {
+            policies[toolName] = this.getPolicy(toolName);
+        });
+        return policies;
+    },
+
+    /**
+     * Applies the policy for `toolCall`. Resolves to `{ approved: true, toolCall }`
+     * with the call to execute (possibly edited by the user), or to
+     * `{ approved: false, response }` with the tool response for the model.
+     */
+    async request(toolCall, rootDirectoryHandle) {
+        const tool = ToolRegistry.get(toolCall.name);
+        let policy = this.getPolicy(toolCall.name);
+        if (policy === 'auto' && tool && tool.asksWhen && tool.asksWhen(toolCall.args || {})) {
+            policy = 'ask';
+        }
+        if (policy === 'auto') {
+            return { approved: true, toolCall };
+        }
+        if (policy === 'deny') {
+            return {
+                approved: false,
+                response: {
+                    error: `The tool '${toolCall.name}' is disabled by the user's approval policy. Do not retry it; find another approach or ask the user.`,
+                },
+            };
+        }
+
+        let preview;
+        try {
+            if (!tool || !tool.preview) throw new Error('no preview for this tool');
+            preview = await tool.preview(toolCall.args || {}, { rootDirectoryHandle });
+        } catch (error) {
+            preview = {
+                kind: 'text',
+                title: `Preview unavailable (${error.message}). Parameters:`,
+                proposed: JSON.stringify(toolCall.args || {}, null, 2),
+                editable: false,
+            };
+        }
+
+        const pending = UI.showApprovalRequest(document.getElementById('chat-messages'), toolCall.name, preview);
+        this.pendingRequests.add(pending);
+        const outcome = await pending.result;
+        this.pendingRequests.delete(pending);
+
+        if (outcome.decision !== 'approve') {
+            return {
+                approved: false,
+                response: {
+                    error: `The user rejected the '${toolCall.name}' call. Do not retry it unchanged.`,
+                    reason: outcome.reason || 'No reason given.',
+                },
+            };
+        }
+
+        if (preview.applyEdit && outcome.value !== preview.proposed) {
+            return { approved: true, toolCall: preview.applyEdit(outcome.value), editedByUser: true };
+        }
+        return { approved: true, toolCall };
+    },
+
+    // Asks the user about something outside the tool policies, such as a
+    // command the backend's command policy wants confirmed. Resolves to a boolean.
+    async confirm(toolName, preview) {
+        const pending = UI.showApprovalRequest(document.getElementById('chat-messages'), toolName, preview, { askReason: false });
+        this.pendingRequests.add(pending);
+        const outcome = await pending.result;
+        this.pendingRequests.delete(pending);
+        return outcome.decision === 'approve';
+    },
+
+    cancelPending(reason) {
+        for (const pending of this.pendingRequests) {
+            pending.cancel(reason);
+        }
+        this.pendingRequests.clear();
+    },
+};
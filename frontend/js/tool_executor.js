@@ -1,25 +1,1255 @@
 import { DbManager } from './db.js';
 import { CodebaseIndexer } from './code_intel.js';
+import { applyPatch } from './patch_applier.js';
+import { formatCode } from './formatter.js';
+import * as Diagnostics from './diagnostics.js';
+import { buildSymbolIndex, applyRenamePlan, createRenamePreview } from './code_navigation.js';
+import { ToolApproval } from './tool_approval.js';
+import { ToolRegistry } from './tool_registry.js';
+import { postToBackend, postWithConfirmation, streamFromBackend, withConfirmation, gitRequest } from './backend_api.js';
+import { TerminalPanel } from './terminal_panel.js';
+import { ProcessesPanel } from './processes_panel.js';
+import { loadSearchSettings } from './search_settings.js';
 import * as FileSystem from './file_system.js';
 import * as Editor from './editor.js';
 import * as UI from './ui.js';
 
-async function executeTool(toolCall, rootDirectoryHandle) {
-    const toolName = toolCall.name;
-    const parameters = toolCall.args;
-    
-    if (!rootDirectoryHandle &&
-        [
-            'create_file', 'read_file', 'search_code', 'get_project_structure',
-            'delete_file', 'build_or_update_codebase_index', 'query_codebase',
-            'create_folder', 'delete_folder', 'rename_folder', 'rewrite_file',
-            'format_code', 'analyze_code', 'rename_file', 'insert_content'
-        ].includes(toolName)
-    ) {
-        return { error: "No project folder is open. Please ask the user to open a folder before using this tool." };
+const MAX_READ_CHARS = 30000; // Character budget for a single page of read_file output
+
+// Resolves the requested line window (1-based, inclusive) from either
+// start_line/end_line or offset/limit, then trims it to the character budget.
+function readFilePage(content, parameters) {
+    const lines = content.split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const totalLines = content === '' ? 0 : lines.length;
+
+    let startLine = 1;
+    let endLine = totalLines;
+    if (parameters.start_line !== undefined || parameters.end_line !== undefined) {
+        startLine = parameters.start_line !== undefined ? parameters.start_line : 1;
+        endLine = parameters.end_line !== undefined ? parameters.end_line : totalLines;
+    } else if (parameters.offset !== undefined || parameters.limit !== undefined) {
+        startLine = (parameters.offset || 0) + 1;
+        endLine = parameters.limit !== undefined ? startLine + parameters.limit - 1 : totalLines;
+    }
+
+    startLine = Math.max(1, Math.floor(startLine));
+    endLine = Math.min(totalLines, Math.floor(endLine));
+    if (totalLines > 0 && startLine > totalLines) {
+        throw new Error(`start_line ${startLine} is past the end of the file (${totalLines} lines).`);
+    }
+    if (endLine < startLine && totalLines > 0) {
+        throw new Error(`end_line ${endLine} is before start_line ${startLine}.`);
+    }
+
+    const width = String(Math.max(endLine, 1)).length;
+    const numbered = [];
+    let length = 0;
+    let lastLine = startLine - 1;
+    for (let lineNumber = startLine; lineNumber <= endLine; lineNumber++) {
+        const text = `${String(lineNumber).padStart(width)} | ${lines[lineNumber - 1]}`;
+        if (numbered.length > 0 && length + text.length + 1 > MAX_READ_CHARS) break;
+        numbered.push(text);
+        length += text.length + 1;
+        lastLine = lineNumber;
+    }
+
+    return {
+        content: numbered.join('\n'),
+        start_line: totalLines === 0 ? 0 : startLine,
+        end_line: lastLine,
+        total_lines: totalLines,
+        next_page: lastLine < totalLines ? { start_line: lastLine + 1 } : null,
+    };
+}
+
+const NO_PROJECT_ERROR = 'No project folder is open. Please ask the user to open a folder before using this tool.';
+
+async function refreshFileTree(rootDirectoryHandle) {
+    await UI.refreshFileTree(rootDirectoryHandle, async (filePath) => {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
+        await Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
+    });
+}
+
+// Writes new content to disk, keeps any open editor model in sync and shows the file.
+async function writeFileAndShow(fileHandle, filename, content) {
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+    if (Editor.getOpenFiles().has(filename)) {
+        const fileData = Editor.getOpenFiles().get(filename);
+        if (fileData) fileData.model.setValue(content);
+    }
+    await Editor.openFile(fileHandle, filename, document.getElementById('tab-bar'), false);
+    document.getElementById('chat-input').focus();
+}
+
+async function readFileIfExists(rootDirectoryHandle, filename) {
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filename);
+        const file = await fileHandle.getFile();
+        return await file.text();
+    } catch (error) {
+        if (error.name === 'NotFoundError') return '';
+        throw error;
+    }
+}
+
+function insertLines(content, lineNumber, insertion) {
+    const lines = content.split('\n');
+    // Line numbers are 1-based for the model, convert to 0-based for array
+    lines.splice(Math.max(0, lineNumber - 1), 0, insertion);
+    return lines.join('\n');
+}
+
+async function openFileAtLocation(rootDirectoryHandle, location) {
+    try {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, location.file);
+        await Editor.openFile(fileHandle, location.file, document.getElementById('tab-bar'));
+        Editor.revealPosition(location.line, location.column);
+    } catch (error) {
+        console.error(`Failed to open ${location.file}:`, error);
+    }
+}
+
+// =================================================================
+// === Built-in Tools                                            ===
+// =================================================================
+
+ToolRegistry.register({
+    name: 'create_file',
+    description: "Creates a new file. CRITICAL: Do NOT include the root directory name in the path. Example: To create 'app.js' in the root, the path is 'app.js', NOT 'my-project/app.js'.",
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, content: { type: 'STRING' } }, required: ['filename', 'content'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['filename'],
+    category: 'edit',
+    async preview(parameters, { rootDirectoryHandle }) {
+        return {
+            kind: 'diff',
+            filename: parameters.filename,
+            original: await readFileIfExists(rootDirectoryHandle, parameters.filename),
+            proposed: parameters.content,
+            editable: true,
+            applyEdit: (content) => ({ name: 'create_file', args: { ...parameters, content } }),
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(parameters.content);
+        await writable.close();
+        await refreshFileTree(rootDirectoryHandle);
+        await Editor.openFile(fileHandle, parameters.filename, document.getElementById('tab-bar'), false);
+        document.getElementById('chat-input').focus();
+        return { message: `File '${parameters.filename}' created successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'delete_file',
+    description: 'Deletes a file. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['filename'],
+    category: 'destructive',
+    async preview(parameters, { rootDirectoryHandle }) {
+        return {
+            kind: 'diff',
+            filename: parameters.filename,
+            original: await readFileIfExists(rootDirectoryHandle, parameters.filename),
+            proposed: '',
+            editable: false,
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { parentHandle, entryName: fileNameToDelete } = await FileSystem.getParentDirectoryHandle(rootDirectoryHandle, parameters.filename);
+        await parentHandle.removeEntry(fileNameToDelete);
+        if (Editor.getOpenFiles().has(parameters.filename)) Editor.closeTab(parameters.filename, document.getElementById('tab-bar'));
+        await refreshFileTree(rootDirectoryHandle);
+        return { message: `File '${parameters.filename}' deleted successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'create_folder',
+    description: 'Creates a new folder. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { folder_path: { type: 'STRING' } }, required: ['folder_path'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['folder_path'],
+    category: 'edit',
+    async preview(parameters) {
+        return { kind: 'text', title: 'Create folder:', proposed: parameters.folder_path, editable: false };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        await FileSystem.createDirectoryFromPath(rootDirectoryHandle, parameters.folder_path);
+        await refreshFileTree(rootDirectoryHandle);
+        return { message: `Folder '${parameters.folder_path}' created successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'delete_folder',
+    description: 'Deletes a folder and all its contents. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { folder_path: { type: 'STRING' } }, required: ['folder_path'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['folder_path'],
+    category: 'destructive',
+    async preview(parameters, { rootDirectoryHandle }) {
+        const folderHandle = await FileSystem.getDirectoryHandleFromPath(rootDirectoryHandle, parameters.folder_path);
+        const tree = await FileSystem.buildStructureTree(folderHandle);
+        const contents = FileSystem.formatTreeToString(tree) || '(empty folder)\n';
+        return {
+            kind: 'text',
+            title: `Delete folder '${parameters.folder_path}' and everything in it:`,
+            proposed: `${parameters.folder_path}/\n${contents}`,
+            editable: false,
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { parentHandle, entryName } = await FileSystem.getParentDirectoryHandle(rootDirectoryHandle, parameters.folder_path);
+        await parentHandle.removeEntry(entryName, { recursive: true });
+        await refreshFileTree(rootDirectoryHandle);
+        return { message: `Folder '${parameters.folder_path}' deleted successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'rename_folder',
+    description: 'Renames a folder. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { old_folder_path: { type: 'STRING' }, new_folder_path: { type: 'STRING' } }, required: ['old_folder_path', 'new_folder_path'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['old_folder_path', 'new_folder_path'],
+    category: 'destructive',
+    async preview(parameters) {
+        return {
+            kind: 'text',
+            title: 'Rename folder:',
+            proposed: `${parameters.old_folder_path}  →  ${parameters.new_folder_path}`,
+            editable: false,
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        await FileSystem.renameEntry(rootDirectoryHandle, parameters.old_folder_path, parameters.new_folder_path);
+        await refreshFileTree(rootDirectoryHandle);
+        return { message: `Folder '${parameters.old_folder_path}' renamed to '${parameters.new_folder_path}' successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'rename_file',
+    description: 'Renames a file. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { old_path: { type: 'STRING' }, new_path: { type: 'STRING' } }, required: ['old_path', 'new_path'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['old_path', 'new_path'],
+    category: 'edit',
+    async preview(parameters) {
+        return { kind: 'text', title: 'Rename file:', proposed: `${parameters.old_path}  →  ${parameters.new_path}`, editable: false };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        await FileSystem.renameEntry(rootDirectoryHandle, parameters.old_path, parameters.new_path);
+        await refreshFileTree(rootDirectoryHandle);
+        if (Editor.getOpenFiles().has(parameters.old_path)) {
+            Editor.closeTab(parameters.old_path, document.getElementById('tab-bar'));
+            const newFileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.new_path);
+            await Editor.openFile(newFileHandle, parameters.new_path, document.getElementById('tab-bar'), false);
+            document.getElementById('chat-input').focus();
+        }
+        return { message: `File '${parameters.old_path}' renamed to '${parameters.new_path}' successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'read_file',
+    description: "Reads a file's content, one page at a time. Each line is prefixed with its line number and ' | ' (the prefix is not part of the file). Use start_line/end_line (1-based, inclusive) or offset/limit (0-based line offset, line count) to read a range; without them the file is read from the start. The response includes total_lines, size_bytes and next_page, which gives the start_line of the next page when the file is not fully shown. CRITICAL: Do NOT include the root directory name in the path. Example: To read 'src/app.js', the path is 'src/app.js'.",
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, start_line: { type: 'NUMBER' }, end_line: { type: 'NUMBER' }, offset: { type: 'NUMBER' }, limit: { type: 'NUMBER' } }, required: ['filename'] },
+    requiresProject: true,
+    pathParams: ['filename'],
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
+        const file = await fileHandle.getFile();
+        const page = readFilePage(await file.text(), parameters);
+        await Editor.openFile(fileHandle, parameters.filename, document.getElementById('tab-bar'), false);
+        document.getElementById('chat-input').focus();
+        return {
+            filename: parameters.filename,
+            size_bytes: file.size,
+            ...page,
+            note: page.next_page
+                ? `Showing lines ${page.start_line}-${page.end_line} of ${page.total_lines}. Call read_file with start_line=${page.next_page.start_line} to read the next page.`
+                : `Showing lines ${page.start_line}-${page.end_line} of ${page.total_lines} (end of file).`,
+        };
+    },
+});
+
+ToolRegistry.register({
+    name: 'read_url',
+    description: 'Reads a URL and returns its main content as Markdown (code blocks, tables and links with absolute URLs are kept). JSON, plain text and PDF documents are returned as text. Long documents are split into pages: the result has "page" and "totalPages", and later pages are read by calling again with "page". The first page also lists the links found as { url, text }.',
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            url: { type: 'STRING' },
+            page: { type: 'NUMBER', description: 'The page to read, starting at 1. Defaults to 1.' },
+        },
+        required: ['url'],
+    },
+    category: 'network',
+    async handler(parameters) {
+        return postToBackend('/api/read-url', { url: parameters.url, page: parameters.page }, 'Failed to read URL');
+    },
+});
+
+ToolRegistry.register({
+    name: 'get_open_file_content',
+    description: 'Gets the content of the currently open file in the editor.',
+    category: 'read',
+    async handler() {
+        const activeFile = Editor.getActiveFile();
+        if (!activeFile) throw new Error('No file is currently open in the editor.');
+        return { filename: activeFile.name, content: activeFile.model.getValue() };
+    },
+});
+
+ToolRegistry.register({
+    name: 'get_selected_text',
+    description: 'Gets the text currently selected by the user in the editor.',
+    category: 'read',
+    async handler() {
+        const editor = Editor.getEditorInstance();
+        const selection = editor.getSelection();
+        if (!selection || selection.isEmpty()) throw new Error('No text is currently selected.');
+        return { selected_text: editor.getModel().getValueInRange(selection) };
+    },
+});
+
+ToolRegistry.register({
+    name: 'replace_selected_text',
+    description: 'Replaces the currently selected text in the editor with new text.',
+    parameters: { type: 'OBJECT', properties: { new_text: { type: 'STRING' } }, required: ['new_text'] },
+    checkSyntax: true,
+    category: 'edit',
+    async handler(parameters) {
+        const editor = Editor.getEditorInstance();
+        const selection = editor.getSelection();
+        if (!selection || selection.isEmpty()) throw new Error('No text is selected to replace.');
+        editor.executeEdits('ai-agent', [{ range: selection, text: parameters.new_text }]);
+        return { message: 'Replaced the selected text.' };
+    },
+});
+
+ToolRegistry.register({
+    name: 'get_project_structure',
+    description: 'Gets the entire file and folder structure of the project. CRITICAL: Always use this tool before attempting to read or create a file to ensure you have the correct file path.',
+    requiresProject: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const tree = await FileSystem.buildStructureTree(rootDirectoryHandle);
+        const structure = FileSystem.formatTreeToString(tree);
+        return { structure: structure };
+    },
+});
+
+ToolRegistry.register({
+    name: 'web_search',
+    description: 'Searches the web and returns { provider, query, results }, where each result has a title, link, snippet and position. The search provider and the number of results are chosen by the user in the settings.',
+    parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] },
+    category: 'network',
+    async handler(parameters) {
+        const { provider, maxResults } = loadSearchSettings();
+        return postToBackend('/api/search', { query: parameters.query, provider, maxResults }, 'Failed to perform search');
+    },
+});
+
+ToolRegistry.register({
+    name: 'crawl_site',
+    description: "Crawls a documentation site from a start URL in one call instead of reading its pages one at a time with read_url. Follows links up to max_depth levels (default 1, at most 5) and max_pages pages (default 20, at most 100), only on the start URL's origin unless same_origin is false. include/exclude are globs matched against the URL path, e.g. ['/docs/**']. Returns a table of contents with each page's title, URL and summary. With save_to, every page is also saved as Markdown into that project folder together with an index.md, so the docs can be read with read_file and searched with search_code; save_to must be a subfolder, the user is asked first and existing files are never overwritten (they are listed in 'skipped'). CRITICAL: Do NOT include the root directory name in save_to.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            url: { type: 'STRING' },
+            max_depth: { type: 'NUMBER' },
+            max_pages: { type: 'NUMBER' },
+            same_origin: { type: 'BOOLEAN' },
+            include: { type: 'ARRAY', items: { type: 'STRING' }, description: "Only follow links whose path matches one of these globs, e.g. ['/docs/**']." },
+            exclude: { type: 'ARRAY', items: { type: 'STRING' }, description: "Never follow links whose path matches one of these globs, e.g. ['/blog/**']." },
+            save_to: { type: 'STRING', description: 'Project folder to save the pages into as Markdown, e.g. docs/vendor/express.' },
+        },
+        required: ['url'],
+    },
+    pathParams: ['save_to'],
+    mutatesFiles: true,
+    category: 'network',
+    // Reading a site is harmless; writing its pages into the project is not.
+    asksWhen(parameters) {
+        return Boolean(parameters.save_to);
+    },
+    async preview(parameters) {
+        return {
+            kind: 'text',
+            title: parameters.save_to ? `Crawl and save the pages into '${parameters.save_to}' (existing files are kept):` : 'Crawl:',
+            proposed: parameters.url,
+            editable: false,
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        if (parameters.save_to && !rootDirectoryHandle) throw new Error(NO_PROJECT_ERROR);
+        const result = await postToBackend('/api/crawl', {
+            url: parameters.url,
+            maxDepth: parameters.max_depth,
+            maxPages: parameters.max_pages,
+            sameOrigin: parameters.same_origin,
+            include: parameters.include,
+            exclude: parameters.exclude,
+            saveTo: parameters.save_to,
+        }, 'Failed to crawl site');
+        if (parameters.save_to) await refreshFileTree(rootDirectoryHandle);
+        return result;
+    },
+});
+
+ToolRegistry.register({
+    name: 'search_code',
+    description: "Searches the project's text files line by line (like grep). Skips .git, node_modules, dist, build, .gitignore'd paths and binary files. Case-insensitive plain-text search by default. Returns at most max_results matching lines (default 100) and sets truncated=true when more exist.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            search_term: { type: 'STRING', description: 'Text or regular expression to search for.' },
+            is_regex: { type: 'BOOLEAN', description: 'Treat search_term as a JavaScript regular expression.' },
+            case_sensitive: { type: 'BOOLEAN' },
+            whole_word: { type: 'BOOLEAN', description: 'Only match whole words.' },
+            include: { type: 'ARRAY', items: { type: 'STRING' }, description: "Only search files matching these globs, e.g. ['src/**/*.js', '*.css']." },
+            exclude: { type: 'ARRAY', items: { type: 'STRING' }, description: "Skip files and folders matching these globs, e.g. ['test/**']." },
+            context_lines: { type: 'NUMBER', description: 'Number of lines of context to return before and after each match.' },
+            max_results: { type: 'NUMBER', description: 'Maximum number of matching lines to return.' },
+        },
+        required: ['search_term'],
+    },
+    requiresProject: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const search = await FileSystem.searchInDirectory(rootDirectoryHandle, parameters.search_term, {
+            isRegex: parameters.is_regex,
+            caseSensitive: parameters.case_sensitive,
+            wholeWord: parameters.whole_word,
+            include: parameters.include,
+            exclude: parameters.exclude,
+            contextLines: parameters.context_lines,
+            maxResults: parameters.max_results,
+        });
+        const response = {
+            results: search.results,
+            total_matches: search.totalMatches,
+            files_searched: search.filesSearched,
+            skipped_files: search.skippedFiles,
+            truncated: search.truncated,
+        };
+        if (search.truncated) {
+            response.note = `Stopped after ${search.totalMatches} matches. Narrow the search with a more specific term or include/exclude globs.`;
+        }
+        return response;
+    },
+});
+
+// Shown when the backend's command policy wants the user to confirm a command.
+function confirmPolicyCommand(toolName, command, reason) {
+    return ToolApproval.confirm(toolName, { kind: 'text', title: reason, proposed: command, editable: false });
+}
+
+// AbortControllers of commands still streaming, so cancelling the chat can end them.
+const runningCommands = new Set();
+
+export function cancelRunningCommands() {
+    runningCommands.forEach((controller) => controller.abort());
+    runningCommands.clear();
+}
+
+ToolRegistry.register({
+    name: 'run_terminal_command',
+    description: "Executes a non-interactive shell command in the project folder on the backend and returns its exit code, stdout and stderr separately (only the last part of each when long). Stdin is closed, so commands that prompt for input fail; use terminal_send_input for those. Output streams into the chat while it runs and the user can stop it. The backend's command policy may block a command or ask the user to confirm it first. For servers and other long-running programs use terminal_send_input instead.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            command: { type: 'STRING' },
+            timeout_seconds: { type: 'NUMBER', description: 'Stop the command after this many seconds (default 60, max 1800).' },
+        },
+        required: ['command'],
+    },
+    category: 'terminal',
+    async preview(parameters) {
+        return {
+            kind: 'text',
+            title: 'Run command:',
+            proposed: parameters.command,
+            editable: true,
+            applyEdit: (command) => ({ name: 'run_terminal_command', args: { ...parameters, command } }),
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle, logEntry }) {
+        const controller = new AbortController();
+        let commandId = null;
+        let result = null;
+        const liveOutput = logEntry && UI.appendToolOutput(logEntry, {
+            onStop: () => {
+                if (!commandId) return controller.abort();
+                postToBackend('/api/execute-tool/stop', { id: commandId }, 'Failed to stop command')
+                    .catch((error) => console.error('Failed to stop command:', error));
+            },
+        });
+
+        runningCommands.add(controller);
+        try {
+            await withConfirmation(
+                (confirmationId) => streamFromBackend(
+                    '/api/execute-tool',
+                    { toolName: 'run_terminal_command', parameters, stream: true, confirmationId },
+                    'Command failed',
+                    {
+                        signal: controller.signal,
+                        onEvent(event, data) {
+                            if (event === 'start') commandId = data.id;
+                            if (event === 'output' && liveOutput) liveOutput.append(data.data, data.stream);
+                            if (event === 'exit') result = data;
+                        },
+                    },
+                ),
+                (reason) => confirmPolicyCommand('run_terminal_command', parameters.command, reason),
+            );
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error('The command was cancelled before it finished.');
+            throw error;
+        } finally {
+            runningCommands.delete(controller);
+            if (liveOutput) liveOutput.finish();
+        }
+
+        if (!result) throw new Error('The output stream ended before the command finished.');
+        if (rootDirectoryHandle) await refreshFileTree(rootDirectoryHandle);
+        const withOmissionNote = (text, total) => (total > text.length
+            ? `[... ${total - text.length} earlier characters omitted ...]\n${text}`
+            : text);
+        const output = {
+            exit_code: result.exitCode,
+            signal: result.signal,
+            duration_ms: result.durationMs,
+            stdout: withOmissionNote(result.stdout, result.totalChars.stdout),
+            stderr: withOmissionNote(result.stderr, result.totalChars.stderr),
+        };
+        if (result.stopped || result.timedOut || result.exitCode !== 0) {
+            const reason = result.stopped
+                ? 'was stopped by the user'
+                : result.timedOut
+                    ? 'timed out (raise timeout_seconds, or use terminal_send_input for long-running programs)'
+                    : `failed with exit code ${result.exitCode}`;
+            const error = new Error(`Command ${reason}.`);
+            error.details = output;
+            throw error;
+        }
+        return output;
+    },
+});
+
+const MAX_TERMINAL_WAIT_MS = 30000;
+const TERMINAL_OUTPUT_CHARS = 8000;
+
+ToolRegistry.register({
+    name: 'terminal_send_input',
+    description: "Types input into a named interactive terminal (shown in the Terminal panel, started in the project folder if it does not exist yet), waits briefly and returns the output produced since. Use it for long-running or interactive programs; the terminal keeps its state between calls. Send one line per call: control characters (including newlines) are refused.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            name: { type: 'STRING', description: "Terminal name. Defaults to 'main'." },
+            input: { type: 'STRING', description: 'Text to type, e.g. a command or an answer to a prompt.' },
+            press_enter: { type: 'BOOLEAN', description: 'Press Enter after the input. Defaults to true.' },
+            wait_ms: { type: 'NUMBER', description: 'How long to wait for output before returning (default 1500, max 30000).' },
+        },
+        required: ['input'],
+    },
+    category: 'terminal',
+    projectWide: true,
+    async preview(parameters) {
+        return {
+            kind: 'text',
+            title: `Type into terminal '${parameters.name || 'main'}':`,
+            proposed: parameters.input,
+            editable: true,
+            applyEdit: (input) => ({ name: 'terminal_send_input', args: { ...parameters, input } }),
+        };
+    },
+    async handler(parameters) {
+        const name = parameters.name || 'main';
+        await postToBackend('/api/terminal/open', { name }, 'Failed to open terminal');
+        TerminalPanel.refresh();
+        const data = parameters.input + (parameters.press_enter === false ? '' : '\r');
+        const { offset } = await postWithConfirmation(
+            '/api/terminal/input',
+            { name, data },
+            'Failed to write to terminal',
+            (reason) => confirmPolicyCommand('terminal_send_input', parameters.input, reason),
+        );
+        const waitMs = Math.min(Math.max(parameters.wait_ms ?? 1500, 0), MAX_TERMINAL_WAIT_MS);
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+        const result = await postToBackend(
+            '/api/terminal/output',
+            { name, since: offset, maxChars: TERMINAL_OUTPUT_CHARS },
+            'Failed to read terminal output',
+        );
+        return { name, running: result.running, exit: result.exit, output: result.output, truncated: result.truncated };
+    },
+});
+
+ToolRegistry.register({
+    name: 'terminal_read_output',
+    description: "Returns the recent output of a named terminal (ANSI codes removed) and whether it is still running. Use it to check on a program started with terminal_send_input. Without 'name', lists the open terminals.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            name: { type: 'STRING' },
+            max_chars: { type: 'NUMBER', description: 'Characters of output to return from the end (default 8000).' },
+        },
+    },
+    category: 'read',
+    async handler(parameters) {
+        if (!parameters.name) {
+            return postToBackend('/api/terminal/list', {}, 'Failed to list terminals');
+        }
+        const result = await postToBackend(
+            '/api/terminal/output',
+            { name: parameters.name, maxChars: parameters.max_chars || TERMINAL_OUTPUT_CHARS },
+            'Failed to read terminal output',
+        );
+        return { name: result.name, running: result.running, exit: result.exit, output: result.output, truncated: result.truncated };
+    },
+});
+
+const PROCESS_LOG_LINES = 100;
+
+ToolRegistry.register({
+    name: 'start_process',
+    description: "Starts a long-running command (dev server, test watcher, build in watch mode) as a background process in the project folder. Returns its id, status, first output lines and any ports it listens on after a short wait. The process keeps running between messages and page reloads; check it with get_process_logs and stop it with kill_process.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            command: { type: 'STRING', description: "e.g. 'npm run dev'" },
+            name: { type: 'STRING', description: 'Optional short label shown in the Processes panel.' },
+            wait_ms: { type: 'NUMBER', description: 'How long to wait for first output before returning (default 3000, max 30000).' },
+        },
+        required: ['command'],
+    },
+    category: 'terminal',
+    projectWide: true,
+    async preview(parameters) {
+        return {
+            kind: 'text',
+            title: 'Start background process:',
+            proposed: parameters.command,
+            editable: true,
+            applyEdit: (command) => ({ name: 'start_process', args: { ...parameters, command } }),
+        };
+    },
+    async handler(parameters) {
+        const started = await postWithConfirmation(
+            '/api/processes/start',
+            { command: parameters.command, name: parameters.name },
+            'Failed to start process',
+            (reason) => confirmPolicyCommand('start_process', parameters.command, reason),
+        );
+        ProcessesPanel.refresh();
+        const waitMs = Math.min(Math.max(parameters.wait_ms ?? 3000, 0), MAX_TERMINAL_WAIT_MS);
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+        return postToBackend('/api/processes/logs', { id: started.id, lines: PROCESS_LOG_LINES }, 'Failed to read process logs');
+    },
+});
+
+ToolRegistry.register({
+    name: 'list_processes',
+    description: 'Lists background processes with their id, command, status (running, exited, killed), exit code and detected ports.',
+    parameters: { type: 'OBJECT', properties: {} },
+    category: 'read',
+    async handler() {
+        return postToBackend('/api/processes/list', {}, 'Failed to list processes');
+    },
+});
+
+ToolRegistry.register({
+    name: 'get_process_logs',
+    description: "Returns a background process's status, detected ports and its last log lines, each tagged 'stdout' or 'stderr'. Pass 'since' (a previous 'lineCount') to get only newer lines.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            id: { type: 'STRING' },
+            lines: { type: 'NUMBER', description: 'How many lines to return from the end (default 100).' },
+            since: { type: 'NUMBER' },
+            stream: { type: 'STRING', description: "Only 'stdout' or only 'stderr'." },
+        },
+        required: ['id'],
+    },
+    category: 'read',
+    async handler(parameters) {
+        return postToBackend(
+            '/api/processes/logs',
+            { id: parameters.id, lines: parameters.lines || PROCESS_LOG_LINES, since: parameters.since, stream: parameters.stream },
+            'Failed to read process logs',
+        );
+    },
+});
+
+ToolRegistry.register({
+    name: 'kill_process',
+    description: 'Stops a background process (and its child processes) started with start_process.',
+    parameters: { type: 'OBJECT', properties: { id: { type: 'STRING' } }, required: ['id'] },
+    category: 'terminal',
+    async preview(parameters) {
+        return { kind: 'text', title: 'Kill background process:', proposed: parameters.id, editable: false };
+    },
+    async handler(parameters) {
+        const result = await postToBackend('/api/processes/kill', { id: parameters.id }, 'Failed to kill process');
+        ProcessesPanel.refresh();
+        return result;
+    },
+});
+
+// Keeps the model's view of a test run small: counts plus only what failed.
+function summarizeTestResults(results) {
+    const failures = [];
+    results.suites.forEach((suite) => {
+        if (suite.failureMessage) {
+            failures.push({ suite: suite.file, error: suite.failureMessage, location: suite.location });
+        }
+        suite.tests
+            .filter((test) => test.status === 'failed')
+            .forEach((test) => {
+                failures.push({
+                    test: test.fullName,
+                    location: (test.failures.find((failure) => failure.location) || {}).location || test.location,
+                    messages: test.failures.map((failure) => failure.message),
+                });
+            });
+    });
+    return {
+        success: results.success,
+        summary: results.summary,
+        failed_suites: results.suites.filter((suite) => suite.status === 'failed').map((suite) => suite.file),
+        failures,
+    };
+}
+
+ToolRegistry.register({
+    name: 'run_tests',
+    description: "Runs the project's Jest tests on the backend and returns structured results: pass/fail counts and, for each failing test, its name, failure message and file:line location. Prefer this over run_terminal_command for tests. Use 'file' to run only test files matching a path pattern and 'test_name' to run only tests whose name matches.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            file: { type: 'STRING', description: 'Optional test file path or pattern, e.g. "src/utils.test.js".' },
+            test_name: { type: 'STRING', description: 'Optional test name pattern (Jest -t).' },
+        },
+    },
+    category: 'terminal',
+    projectWide: true,
+    async preview(parameters) {
+        const filters = [
+            parameters.file ? `files matching '${parameters.file}'` : 'all test files',
+            parameters.test_name ? `tests named '${parameters.test_name}'` : null,
+        ].filter(Boolean);
+        return {
+            kind: 'text',
+            title: 'Run Jest tests:',
+            proposed: filters.join(', '),
+            editable: false,
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const results = await postWithConfirmation(
+            '/api/run-tests',
+            { file: parameters.file, testName: parameters.test_name },
+            'Failed to run tests',
+            (reason) => confirmPolicyCommand('run_tests', [parameters.file, parameters.test_name].filter(Boolean).join(' ') || 'all tests', reason),
+        );
+        UI.appendTestResults(document.getElementById('chat-messages'), results, (location) => {
+            if (rootDirectoryHandle) openFileAtLocation(rootDirectoryHandle, location);
+        });
+        return summarizeTestResults(results);
+    },
+});
+
+// =================================================================
+// === Git Tools                                                 ===
+// =================================================================
+// Git runs on the backend in the project directory; paths are relative to it.
+
+ToolRegistry.register({
+    name: 'git_status',
+    description: 'Returns the current branch, upstream, ahead/behind counts and each changed file with its staged, unstaged or untracked state.',
+    category: 'read',
+    projectWide: true,
+    async handler() {
+        return gitRequest('status');
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_diff',
+    description: "Returns a unified diff plus per-file addition/deletion counts. By default shows unstaged changes; set 'staged' for staged changes, or give 'from' (and optionally 'to') refs to compare commits or branches.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            staged: { type: 'BOOLEAN', description: 'Diff the staged changes instead of the working tree.' },
+            from: { type: 'STRING', description: 'Base ref, e.g. "HEAD~1" or "main".' },
+            to: { type: 'STRING', description: 'Target ref. Defaults to the working tree.' },
+            path: { type: 'STRING', description: 'Limit the diff to this file or folder.' },
+            context_lines: { type: 'NUMBER', description: 'Lines of context around each change (default 3).' },
+        },
+    },
+    pathParams: ['path'],
+    category: 'read',
+    projectWide: true,
+    async handler(parameters) {
+        return gitRequest('diff', {
+            staged: parameters.staged,
+            from: parameters.from,
+            to: parameters.to,
+            path: parameters.path,
+            contextLines: parameters.context_lines,
+        });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_log',
+    description: "Lists recent commits (hash, author, date, subject), optionally for a single file (following renames) or starting from a ref. Use this for a file's history.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            path: { type: 'STRING' },
+            ref: { type: 'STRING' },
+            max_count: { type: 'NUMBER', description: 'Number of commits to return (default 20, max 200).' },
+        },
+    },
+    pathParams: ['path'],
+    category: 'read',
+    projectWide: true,
+    async handler(parameters) {
+        return gitRequest('log', { path: parameters.path, ref: parameters.ref, maxCount: parameters.max_count });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_blame',
+    description: 'Shows which commit, author and date last changed each line of a file, optionally for a line range.',
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            path: { type: 'STRING' },
+            start_line: { type: 'NUMBER' },
+            end_line: { type: 'NUMBER' },
+        },
+        required: ['path'],
+    },
+    pathParams: ['path'],
+    category: 'read',
+    projectWide: true,
+    async handler(parameters) {
+        return gitRequest('blame', { path: parameters.path, startLine: parameters.start_line, endLine: parameters.end_line });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_show',
+    description: "Shows a commit's metadata and diff, or with 'path' the content of that file at the ref.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            ref: { type: 'STRING', description: 'Commit, branch or tag. Defaults to HEAD.' },
+            path: { type: 'STRING' },
+        },
+    },
+    pathParams: ['path'],
+    category: 'read',
+    projectWide: true,
+    async handler(parameters) {
+        return gitRequest('show', { ref: parameters.ref, path: parameters.path });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_branches',
+    description: "Lists local branches (or all branches including remotes with 'all') and marks the current one.",
+    parameters: { type: 'OBJECT', properties: { all: { type: 'BOOLEAN' } } },
+    category: 'read',
+    projectWide: true,
+    async handler(parameters) {
+        return gitRequest('branches', { all: parameters.all });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_add',
+    description: 'Stages the given files or folders for the next commit. Returns the updated status.',
+    parameters: {
+        type: 'OBJECT',
+        properties: { paths: { type: 'ARRAY', items: { type: 'STRING' } } },
+        required: ['paths'],
+    },
+    category: 'edit',
+    projectWide: true,
+    async handler(parameters, { rootDirectoryHandle }) {
+        const paths = await Promise.all(
+            (parameters.paths || []).map(async (path) => (await FileSystem.resolveProjectPath(rootDirectoryHandle, path)) || '.'),
+        );
+        return gitRequest('add', { paths });
+    },
+});
+
+ToolRegistry.register({
+    name: 'git_commit',
+    description: 'Commits the staged changes with the given message. Stage files with git_add first.',
+    parameters: { type: 'OBJECT', properties: { message: { type: 'STRING' } }, required: ['message'] },
+    category: 'edit',
+    defaultPolicy: 'ask',
+    projectWide: true,
+    async preview(parameters) {
+        const status = await gitRequest('status');
+        const staged = status.files.filter((file) => file.staged).map((file) => file.path);
+        return {
+            kind: 'text',
+            title: `Commit ${staged.length} staged file(s) on '${status.branch || 'detached HEAD'}': ${staged.join(', ')}`,
+            proposed: parameters.message,
+            editable: true,
+            applyEdit: (message) => ({ name: 'git_commit', args: { ...parameters, message } }),
+        };
+    },
+    async handler(parameters) {
+        return gitRequest('commit', { message: parameters.message });
+    },
+});
+
+ToolRegistry.register({
+    name: 'build_or_update_codebase_index',
+    description: 'Scans the entire codebase to build a searchable index. Slow, run once per session.',
+    requiresProject: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        UI.appendMessage(document.getElementById('chat-messages'), 'Building codebase index...', 'ai');
+        const index = await CodebaseIndexer.buildIndex(rootDirectoryHandle);
+        await DbManager.saveCodeIndex(index);
+        return { message: 'Codebase index built successfully.' };
+    },
+});
+
+ToolRegistry.register({
+    name: 'query_codebase',
+    description: 'Searches the pre-built codebase index.',
+    parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] },
+    requiresProject: true,
+    category: 'read',
+    async handler(parameters) {
+        const index = await DbManager.getCodeIndex();
+        if (!index) throw new Error("No codebase index. Please run 'build_or_update_codebase_index'.");
+        const queryResults = await CodebaseIndexer.queryIndex(index, parameters.query);
+        return { results: queryResults };
+    },
+});
+
+ToolRegistry.register({
+    name: 'rewrite_file',
+    description: 'Rewrites a file with new content. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, content: { type: 'STRING' } }, required: ['filename', 'content'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    checkSyntax: true,
+    pathParams: ['filename'],
+    category: 'destructive',
+    async preview(parameters, { rootDirectoryHandle }) {
+        return {
+            kind: 'diff',
+            filename: parameters.filename,
+            original: await readFileIfExists(rootDirectoryHandle, parameters.filename),
+            proposed: parameters.content,
+            editable: true,
+            applyEdit: (content) => ({ name: 'rewrite_file', args: { ...parameters, content } }),
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
+        await writeFileAndShow(fileHandle, parameters.filename, parameters.content);
+        return { message: `File '${parameters.filename}' rewritten successfully.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'apply_patch',
+    description: "Applies targeted edits to an existing file without resending its full content. The patch is either a unified diff ('@@ -start,count +start,count @@' hunks with ' ' context, '-' removed and '+' added lines) or one or more search/replace blocks ('<<<<<<< SEARCH', exact original lines, '=======', new lines, '>>>>>>> REPLACE'). Context and removed lines must match the file exactly; if any hunk fails nothing is written and the error lists the failed hunks. CRITICAL: Do NOT include the root directory name in the path.",
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, patch: { type: 'STRING' } }, required: ['filename', 'patch'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    checkSyntax: true,
+    pathParams: ['filename'],
+    category: 'edit',
+    async preview(parameters, { rootDirectoryHandle }) {
+        const original = await readFileIfExists(rootDirectoryHandle, parameters.filename);
+        return {
+            kind: 'diff',
+            filename: parameters.filename,
+            original,
+            proposed: applyPatch(original, parameters.patch).content,
+            editable: true,
+            // An edited result no longer corresponds to the patch, so write it out in full.
+            applyEdit: (content) => ({ name: 'rewrite_file', args: { filename: parameters.filename, content } }),
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
+        const file = await fileHandle.getFile();
+        const result = applyPatch(await file.text(), parameters.patch);
+        await writeFileAndShow(fileHandle, parameters.filename, result.content);
+        return {
+            message: `Applied ${result.hunksApplied} hunk(s) to '${parameters.filename}' (+${result.linesAdded} -${result.linesRemoved} lines).`,
+        };
+    },
+});
+
+ToolRegistry.register({
+    name: 'insert_content',
+    description: 'Inserts content into a file before the given 1-based line number. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' }, line_number: { type: 'NUMBER' }, content: { type: 'STRING' } }, required: ['filename', 'line_number', 'content'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    checkSyntax: true,
+    pathParams: ['filename'],
+    category: 'edit',
+    async preview(parameters, { rootDirectoryHandle }) {
+        const original = await readFileIfExists(rootDirectoryHandle, parameters.filename);
+        return {
+            kind: 'diff',
+            filename: parameters.filename,
+            original,
+            proposed: insertLines(original, parameters.line_number, parameters.content),
+            editable: true,
+            applyEdit: (content) => ({ name: 'rewrite_file', args: { filename: parameters.filename, content } }),
+        };
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { filename, line_number, content } = parameters;
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filename);
+        const file = await fileHandle.getFile();
+        const newContent = insertLines(await file.text(), line_number, content);
+        await writeFileAndShow(fileHandle, filename, newContent);
+        return { message: `Content inserted into '${filename}' at line ${line_number}.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'format_code',
+    description: 'Formats a file with Prettier and saves it. On a syntax error the file is left unchanged and the error gives the line and column. CRITICAL: Do NOT include the root directory name in the path.',
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['filename'],
+    category: 'edit',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
+        const file = await fileHandle.getFile();
+        const originalContent = await file.text();
+        const formattedContent = await formatCode(originalContent, Editor.getPrettierParser(parameters.filename));
+        if (formattedContent === originalContent) {
+            return { message: `File '${parameters.filename}' is already formatted.` };
+        }
+        await writeFileAndShow(fileHandle, parameters.filename, formattedContent);
+        return { message: `File '${parameters.filename}' formatted and saved.` };
+    },
+});
+
+ToolRegistry.register({
+    name: 'analyze_code',
+    description: "Analyzes a JavaScript file's structure. CRITICAL: Do NOT include the root directory name in the path.",
+    parameters: { type: 'OBJECT', properties: { filename: { type: 'STRING' } }, required: ['filename'] },
+    requiresProject: true,
+    pathParams: ['filename'],
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        if (!parameters.filename.endsWith('.js')) {
+            throw new Error('This tool can only analyze .js files. Use read_file for others.');
+        }
+        const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
+        const file = await fileHandle.getFile();
+        const content = await file.text();
+        const ast = acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+        const analysis = { functions: [], classes: [], imports: [] };
+        acorn.walk.simple(ast, {
+            FunctionDeclaration(node) { analysis.functions.push({ name: node.id.name, start: node.loc.start.line, end: node.loc.end.line }); },
+            ClassDeclaration(node) { analysis.classes.push({ name: node.id.name, start: node.loc.start.line, end: node.loc.end.line }); },
+            ImportDeclaration(node) { analysis.imports.push({ source: node.source.value, specifiers: node.specifiers.map((s) => s.local.name) }); },
+        });
+        return { analysis: analysis };
+    },
+});
+
+const MAX_REFERENCE_RESULTS = 200;
+
+// Finds the occurrence of `symbol` that a navigation tool call points at.
+async function locateSymbol(rootDirectoryHandle, parameters) {
+    const index = await buildSymbolIndex(rootDirectoryHandle);
+    if (!index.files.has(parameters.filename)) {
+        const parseError = index.errors.find((error) => error.path === parameters.filename);
+        throw new Error(parseError
+            ? `Could not parse '${parameters.filename}': ${parseError.message}`
+            : `'${parameters.filename}' is not a JavaScript file in the project.`);
+    }
+    const occurrence = index.findOccurrence(parameters.filename, parameters.symbol, parameters.line);
+    if (!occurrence) {
+        const where = parameters.line ? ` on line ${parameters.line}` : '';
+        throw new Error(`No identifier '${parameters.symbol}' found in '${parameters.filename}'${where}.`);
     }
+    return { index, occurrence };
+}
+
+const MAX_DIAGNOSTIC_RESULTS = 200;
+
+ToolRegistry.register({
+    name: 'get_diagnostics',
+    description: "Returns errors and warnings reported by the editor's language services (JavaScript, TypeScript, JSON, CSS) with file, line and column. Pass 'filename' to check one file; omit it to check the whole workspace. Files that are not open are loaded in the background. Use after edits to confirm nothing is broken.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            filename: { type: 'STRING', description: 'Optional file to check. Omit to check every supported file in the project.' },
+            include_info: { type: 'BOOLEAN', description: 'Also return info and hint diagnostics. Defaults to false.' },
+        },
+    },
+    requiresProject: true,
+    pathParams: ['filename'],
+    projectWide: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const result = await Diagnostics.collectDiagnostics(
+            rootDirectoryHandle,
+            parameters.filename ? [parameters.filename] : null,
+        );
+        const diagnostics = result.diagnostics.filter(
+            (diagnostic) => parameters.include_info || diagnostic.severity === 'error' || diagnostic.severity === 'warning',
+        );
+        const count = (severity) => diagnostics.filter((diagnostic) => diagnostic.severity === severity).length;
+        return {
+            files_checked: result.filesChecked,
+            errors: count('error'),
+            warnings: count('warning'),
+            diagnostics: diagnostics.slice(0, MAX_DIAGNOSTIC_RESULTS),
+            truncated: diagnostics.length > MAX_DIAGNOSTIC_RESULTS || result.truncated,
+            skipped: result.skipped.length > 0 ? result.skipped : undefined,
+        };
+    },
+});
+
+ToolRegistry.register({
+    name: 'go_to_definition',
+    description: "Finds where a JavaScript symbol is defined, following ES module imports and re-exports across files. Give the file and the identifier as it appears there; add line to pick a specific occurrence. CRITICAL: Do NOT include the root directory name in the path.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            filename: { type: 'STRING', description: 'File in which the symbol is used.' },
+            symbol: { type: 'STRING', description: 'Identifier name, e.g. "renderTabs".' },
+            line: { type: 'NUMBER', description: 'Optional 1-based line of the occurrence.' },
+        },
+        required: ['filename', 'symbol'],
+    },
+    requiresProject: true,
+    pathParams: ['filename'],
+    projectWide: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { index, occurrence } = await locateSymbol(rootDirectoryHandle, parameters);
+        const result = index.getDefinition(occurrence);
+        if (result.external) {
+            return { symbol: result.symbol, definition: null, message: `'${result.symbol}' is a global or comes from a module outside the project.` };
+        }
+        return { symbol: result.symbol, definition: result.definition };
+    },
+});
+
+ToolRegistry.register({
+    name: 'find_references',
+    description: "Lists every reference to a JavaScript symbol across the project, resolved by scope and by ES module imports and exports (unlike search_code, it skips unrelated identifiers with the same name). Give the file and the identifier as it appears there; add line to pick a specific occurrence. CRITICAL: Do NOT include the root directory name in the path.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            filename: { type: 'STRING', description: 'File in which the symbol is used or defined.' },
+            symbol: { type: 'STRING', description: 'Identifier name, e.g. "renderTabs".' },
+            line: { type: 'NUMBER', description: 'Optional 1-based line of the occurrence.' },
+        },
+        required: ['filename', 'symbol'],
+    },
+    requiresProject: true,
+    pathParams: ['filename'],
+    projectWide: true,
+    category: 'read',
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { index, occurrence } = await locateSymbol(rootDirectoryHandle, parameters);
+        const result = index.getReferences(occurrence);
+        const response = {
+            symbol: result.symbol,
+            definition: result.definition,
+            references: result.references.slice(0, MAX_REFERENCE_RESULTS),
+            total_references: result.references.length,
+            truncated: result.references.length > MAX_REFERENCE_RESULTS,
+        };
+        if (index.errors.length > 0) {
+            response.unparsed_files = index.errors.map((error) => error.path);
+        }
+        return response;
+    },
+});
+
+ToolRegistry.register({
+    name: 'rename_symbol',
+    description: "Renames a JavaScript function, class or variable and every reference to it across the project, including import and export specifiers, then saves the changed files. Give the file and the current identifier as it appears there; add line to pick a specific occurrence. Fails without changing anything if new_name is invalid or already in use. CRITICAL: Do NOT include the root directory name in the path.",
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            filename: { type: 'STRING', description: 'File in which the symbol is used or defined.' },
+            symbol: { type: 'STRING', description: 'Current identifier name.' },
+            new_name: { type: 'STRING', description: 'New identifier name.' },
+            line: { type: 'NUMBER', description: 'Optional 1-based line of the occurrence.' },
+        },
+        required: ['filename', 'symbol', 'new_name'],
+    },
+    requiresProject: true,
+    mutatesFiles: true,
+    pathParams: ['filename'],
+    projectWide: true,
+    category: 'edit',
+    // Renames touch many files; always show the multi-file preview unless the user opts out.
+    defaultPolicy: 'ask',
+    async preview(parameters, { rootDirectoryHandle }) {
+        const { index, occurrence } = await locateSymbol(rootDirectoryHandle, parameters);
+        return createRenamePreview(index.planRename(occurrence, parameters.new_name));
+    },
+    async handler(parameters, { rootDirectoryHandle }) {
+        const { index, occurrence } = await locateSymbol(rootDirectoryHandle, parameters);
+        const plan = index.planRename(occurrence, parameters.new_name);
+        await applyRenamePlan(rootDirectoryHandle, plan);
+        return {
+            message: `Renamed '${plan.symbol}' to '${plan.newName}' in ${plan.files.length} file(s).`,
+            files: plan.files.map((file) => ({ path: file.path, changes: file.changes })),
+        };
+    },
+});
+
+async function executeTool(toolCall, rootDirectoryHandle, logEntry) {
+    const tool = ToolRegistry.get(toolCall.name);
+    if (!tool) {
+        throw new Error(`Unknown tool '${toolCall.name}'.`);
+    }
+    if (tool.requiresProject && !rootDirectoryHandle) {
+        return { error: NO_PROJECT_ERROR };
+    }
+
     // --- Automatic Checkpoint Interception ---
-    if (['create_file', 'delete_file', 'rewrite_file', 'rename_file', 'create_folder', 'delete_folder', 'rename_folder', 'insert_content'].includes(toolName)) {
+    if (tool.mutatesFiles) {
         try {
             const editorState = Editor.getEditorState();
             if (editorState.openFiles.length > 0) {
@@ -36,281 +1266,91 @@ async function executeTool(toolCall, rootDirectoryHandle) {
         }
     }
 
-    switch (toolName) {
-        case 'get_project_structure': {
-            const tree = await FileSystem.buildStructureTree(rootDirectoryHandle);
-            const structure = FileSystem.formatTreeToString(tree);
-            return { structure: structure };
-        }
-        case 'read_file': {
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
-            const file = await fileHandle.getFile();
-            let content = await file.text();
-            const MAX_LENGTH = 30000; // Set a character limit for file reads
-            if (content.length > MAX_LENGTH) {
-                content = content.substring(0, MAX_LENGTH) + `\n\n... (file content truncated because it was too long)`;
-            }
-            await Editor.openFile(fileHandle, parameters.filename, document.getElementById('tab-bar'), false);
-            document.getElementById('chat-input').focus();
-            return { content: content };
-        }
-        case 'read_url': {
-            const response = await fetch('/api/read-url', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ url: parameters.url }),
-            });
-            const urlResult = await response.json();
-            if (response.ok) {
-                return urlResult;
-            } else {
-                throw new Error(urlResult.message || 'Failed to read URL');
-            }
-        }
-        case 'create_file': {
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename, { create: true });
-            const writable = await fileHandle.createWritable();
-            await writable.write(parameters.content);
-            await writable.close();
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            await Editor.openFile(fileHandle, parameters.filename, document.getElementById('tab-bar'), false);
-            document.getElementById('chat-input').focus();
-            return { message: `File '${parameters.filename}' created successfully.` };
-        }
-        case 'delete_file': {
-            const { parentHandle, entryName: fileNameToDelete } = await FileSystem.getParentDirectoryHandle(rootDirectoryHandle, parameters.filename);
-            await parentHandle.removeEntry(fileNameToDelete);
-            if (Editor.getOpenFiles().has(parameters.filename)) Editor.closeTab(parameters.filename, document.getElementById('tab-bar'));
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            return { message: `File '${parameters.filename}' deleted successfully.` };
-        }
-        case 'delete_folder': {
-            const { parentHandle, entryName } = await FileSystem.getParentDirectoryHandle(rootDirectoryHandle, parameters.folder_path);
-            await parentHandle.removeEntry(entryName, { recursive: true });
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            return { message: `Folder '${parameters.folder_path}' deleted successfully.` };
-        }
-        case 'rename_folder': {
-            await FileSystem.renameEntry(rootDirectoryHandle, parameters.old_folder_path, parameters.new_folder_path);
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            return { message: `Folder '${parameters.old_folder_path}' renamed to '${parameters.new_folder_path}' successfully.` };
-        }
-        case 'rename_file': {
-            await FileSystem.renameEntry(rootDirectoryHandle, parameters.old_path, parameters.new_path);
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            if (Editor.getOpenFiles().has(parameters.old_path)) {
-                Editor.closeTab(parameters.old_path, document.getElementById('tab-bar'));
-                const newFileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.new_path);
-                await Editor.openFile(newFileHandle, parameters.new_path, document.getElementById('tab-bar'), false);
-                document.getElementById('chat-input').focus();
-            }
-            return { message: `File '${parameters.old_path}' renamed to '${parameters.new_path}' successfully.` };
-        }
-        case 'create_folder': {
-            await FileSystem.createDirectoryFromPath(rootDirectoryHandle, parameters.folder_path);
-            await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-            });
-            return { message: `Folder '${parameters.folder_path}' created successfully.` };
-        }
-        case 'duckduckgo_search': {
-            const response = await fetch('/api/duckduckgo-search', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ query: parameters.query }),
-            });
-            const searchResult = await response.json();
-            if (response.ok) {
-                return searchResult;
-            } else {
-                throw new Error(searchResult.message || 'Failed to perform search');
-            }
-        }
-        case 'search_code': {
-            const searchResults = [];
-            await FileSystem.searchInDirectory(rootDirectoryHandle, parameters.search_term, '', searchResults);
-            return { results: searchResults };
-        }
-        case 'get_open_file_content': {
-            const activeFile = Editor.getActiveFile();
-            if (!activeFile) throw new Error('No file is currently open in the editor.');
-            return { filename: activeFile.name, content: activeFile.model.getValue() };
-        }
-        case 'get_selected_text': {
-            const editor = Editor.getEditorInstance();
-            const selection = editor.getSelection();
-            if (!selection || selection.isEmpty()) throw new Error('No text is currently selected.');
-            return { selected_text: editor.getModel().getValueInRange(selection) };
-        }
-        case 'replace_selected_text': {
-            const editor = Editor.getEditorInstance();
-            const selection = editor.getSelection();
-            if (!selection || selection.isEmpty()) throw new Error('No text is selected to replace.');
-            editor.executeEdits('ai-agent', [{ range: selection, text: parameters.new_text }]);
-            return { message: 'Replaced the selected text.' };
-        }
-        case 'run_terminal_command': {
-            const response = await fetch('/api/execute-tool', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ toolName: 'run_terminal_command', parameters: parameters }),
-            });
-            const terminalResult = await response.json();
-            if (terminalResult.status === 'Success') {
-                await UI.refreshFileTree(rootDirectoryHandle, (filePath) => {
-                    const fileHandle = FileSystem.getFileHandleFromPath(rootDirectoryHandle, filePath);
-                    Editor.openFile(fileHandle, filePath, document.getElementById('tab-bar'));
-                });
-                return { output: terminalResult.output };
-            } else {
-                throw new Error(terminalResult.message);
-            }
-        }
-        case 'build_or_update_codebase_index': {
-            UI.appendMessage(document.getElementById('chat-messages'), 'Building codebase index...', 'ai');
-            const index = await CodebaseIndexer.buildIndex(rootDirectoryHandle);
-            await DbManager.saveCodeIndex(index);
-            return { message: 'Codebase index built successfully.' };
-        }
-        case 'query_codebase': {
-            const index = await DbManager.getCodeIndex();
-            if (!index) throw new Error("No codebase index. Please run 'build_or_update_codebase_index'.");
-            const queryResults = await CodebaseIndexer.queryIndex(index, parameters.query);
-            return { results: queryResults };
-        }
-        case 'get_file_history': {
-            const command = `git log --pretty=format:"%h - %an, %ar : %s" -- ${parameters.filename}`;
-            const response = await fetch('/api/execute-tool', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ toolName: 'run_terminal_command', parameters: { command } }),
-            });
-            const terminalResult = await response.json();
-            if (terminalResult.status === 'Success') {
-                return { history: terminalResult.output };
-            } else {
-                throw new Error(terminalResult.message);
-            }
-        }
-        case 'rewrite_file': {
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
-            const writable = await fileHandle.createWritable();
-            await writable.write(parameters.content);
-            await writable.close();
-            if (Editor.getOpenFiles().has(parameters.filename)) {
-                const fileData = Editor.getOpenFiles().get(parameters.filename);
-                if (fileData) fileData.model.setValue(parameters.content);
-            }
-            await Editor.openFile(fileHandle, parameters.filename, document.getElementById('tab-bar'), false);
-            document.getElementById('chat-input').focus();
-            return { message: `File '${parameters.filename}' rewritten successfully.` };
-        }
-        case 'format_code': {
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
-            const file = await fileHandle.getFile();
-            const originalContent = await file.text();
-            const parser = Editor.getPrettierParser(parameters.filename);
-            const prettierWorker = new Worker('prettier.worker.js');
-            prettierWorker.postMessage({ code: originalContent, parser });
-            return { message: `Formatting request for '${parameters.filename}' sent.` };
-        }
-        case 'analyze_code': {
-            if (!parameters.filename.endsWith('.js')) {
-                throw new Error('This tool can only analyze .js files. Use read_file for others.');
-            }
-            const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, parameters.filename);
-            const file = await fileHandle.getFile();
-            const content = await file.text();
-            const ast = acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
-            const analysis = { functions: [], classes: [], imports: [] };
-            acorn.walk.simple(ast, {
-                FunctionDeclaration(node) { analysis.functions.push({ name: node.id.name, start: node.loc.start.line, end: node.loc.end.line }); },
-                ClassDeclaration(node) { analysis.classes.push({ name: node.id.name, start: node.loc.start.line, end: node.loc.end.line }); },
-                ImportDeclaration(node) { analysis.imports.push({ source: node.source.value, specifiers: node.specifiers.map((s) => s.local.name) }); },
-            });
-            return { analysis: analysis };
+    return tool.handler(toolCall.args || {}, { rootDirectoryHandle, logEntry });
+}
+
+// Rewrites every path parameter of `toolCall` to its normalized project-relative
+// form. Throws a PathError for paths that leave the project folder.
+async function resolveToolPaths(toolCall, rootDirectoryHandle) {
+    const tool = ToolRegistry.get(toolCall.name);
+    if (!tool || !rootDirectoryHandle || tool.pathParams.length === 0) return toolCall;
+    const args = { ...(toolCall.args || {}) };
+    for (const param of tool.pathParams) {
+        if (args[param] !== undefined) {
+            args[param] = await FileSystem.resolveProjectPath(rootDirectoryHandle, args[param]);
         }
-       case 'insert_content': {
-           const { filename, line_number, content } = parameters;
-           const fileHandle = await FileSystem.getFileHandleFromPath(rootDirectoryHandle, filename);
-           const file = await fileHandle.getFile();
-           const originalContent = await file.text();
-           const lines = originalContent.split('\\n');
-           
-           // Line numbers are 1-based for the model, convert to 0-based for array
-           const insertionPoint = Math.max(0, line_number - 1);
-           lines.splice(insertionPoint, 0, content);
-           
-           const newContent = lines.join('\\n');
-           
-           const writable = await fileHandle.createWritable();
-           await writable.write(newContent);
-           await writable.close();
-           
-           if (Editor.getOpenFiles().has(filename)) {
-               const fileData = Editor.getOpenFiles().get(filename);
-               if (fileData) fileData.model.setValue(newContent);
-           }
-           
-           await Editor.openFile(fileHandle, filename, document.getElementById('tab-bar'), false);
-           document.getElementById('chat-input').focus();
-           
-           return { message: `Content inserted into '${filename}' at line ${line_number}.` };
-       }
-        default:
-            throw new Error(`Unknown tool '${toolName}'.`);
     }
+    return { ...toolCall, args };
 }
 
+// For a call that failed with NotFoundError, lists close matches for each path that does not exist.
+async function findPathSuggestions(toolCall, rootDirectoryHandle) {
+    const tool = ToolRegistry.get(toolCall.name);
+    if (!tool || !rootDirectoryHandle) return null;
+    const suggestions = {};
+    for (const param of tool.pathParams) {
+        const path = toolCall.args && toolCall.args[param];
+        if (typeof path !== 'string' || (await FileSystem.pathExists(rootDirectoryHandle, path))) continue;
+        const similar = await FileSystem.suggestSimilarPaths(rootDirectoryHandle, path);
+        if (similar.length > 0) suggestions[path] = similar;
+    }
+    return Object.keys(suggestions).length > 0 ? suggestions : null;
+}
 
-export async function execute(toolCall, rootDirectoryHandle) {
+export async function execute(toolCall, rootDirectoryHandle, { logEntry } = {}) {
     const toolName = toolCall.name;
     const parameters = toolCall.args;
     const groupTitle = `AI Tool Call: ${toolName}`;
     const groupContent = parameters && Object.keys(parameters).length > 0 ? parameters : 'No parameters';
     console.group(groupTitle, groupContent);
-    const logEntry = UI.appendToolLog(document.getElementById('chat-messages'), toolName, parameters);
+    if (!logEntry) {
+        logEntry = UI.appendToolLog(document.getElementById('chat-messages'), toolName, parameters);
+    }
 
     let resultForModel;
     let isSuccess = true;
 
     try {
-        resultForModel = await executeTool(toolCall, rootDirectoryHandle);
+        toolCall = await resolveToolPaths(toolCall, rootDirectoryHandle);
+        const approval = await ToolApproval.request(toolCall, rootDirectoryHandle);
+        if (approval.approved) {
+            resultForModel = await executeTool(approval.toolCall, rootDirectoryHandle, logEntry);
+            if (approval.editedByUser) {
+                resultForModel.note = 'The user edited your proposed change before it was applied. Re-read the affected file or command output before continuing.';
+            }
+        } else {
+            isSuccess = false;
+            resultForModel = approval.response;
+        }
     } catch (error) {
         isSuccess = false;
         const errorMessage = `Error executing tool '${toolName}': ${error.message}`;
         resultForModel = { error: errorMessage };
+        if (error.details) {
+            resultForModel.details = error.details;
+        }
+        if (error.name === 'NotFoundError') {
+            const suggestions = await findPathSuggestions(toolCall, rootDirectoryHandle).catch(() => null);
+            if (suggestions) {
+                resultForModel.did_you_mean = suggestions;
+            }
+        }
         console.error(errorMessage, error);
     }
     
     // --- Automatic Error Checking ---
-    if (isSuccess && ['rewrite_file', 'insert_content', 'replace_selected_text'].includes(toolName)) {
-        const filePath = parameters.filename || Editor.getActiveFilePath();
+    const tool = ToolRegistry.get(toolName);
+    if (isSuccess && tool && tool.checkSyntax) {
+        const filePath = (toolCall.args && toolCall.args.filename) || Editor.getActiveFilePath();
         if (filePath) {
-            // Give the editor a moment to process the changes
-            await new Promise(resolve => setTimeout(resolve, 200));
-            const markers = Editor.getModelMarkers(filePath);
-            const errors = markers.filter(m => m.severity === monaco.MarkerSeverity.Error);
+            // Wait for the language worker to re-validate the edited model.
+            await Diagnostics.waitForValidation([monaco.Uri.file(filePath)]);
+            const errors = Diagnostics.getDiagnostics(filePath).filter((diagnostic) => diagnostic.severity === 'error');
 
             if (errors.length > 0) {
-                const errorMessages = errors.map(e => `L${e.startLineNumber}: ${e.message}`).join('\\n');
-                resultForModel.message = (resultForModel.message || '') + `\\n\\n**Warning**: The file was modified, but syntax errors were detected:\\n${errorMessages}`;
+                const errorMessages = errors.map((e) => `L${e.line}:${e.column}: ${e.message}`).join('\n');
+                resultForModel.message = (resultForModel.message || '') + `\n\n**Warning**: The file was modified, but errors were detected:\n${errorMessages}`;
+                resultForModel.diagnostics = errors;
             }
         }
     }
@@ -320,4 +1360,97 @@ export async function execute(toolCall, rootDirectoryHandle) {
     console.groupEnd();
     UI.updateToolLog(logEntry, isSuccess);
     return { toolResponse: { name: toolName, response: resultForModel } };
+}
+
+// =================================================================
+// === Batch Execution Plan                                      ===
+// =================================================================
+
+function normalizePlanPath(path) {
+    try {
+        return FileSystem.normalizePath(path);
+    } catch (error) {
+        // Invalid paths are rejected when the call runs; plan them as-is.
+        return path;
+    }
+}
+
+// The root ('') overlaps everything; otherwise paths overlap when equal or one contains the other.
+function pathsOverlap(a, b) {
+    return a === '' || b === '' || a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+// Describes which project paths a call reads or writes. Terminal commands,
+// project-wide tools and writing tools without path parameters may touch
+// anything, so they claim the whole project; project tools without path
+// parameters read the whole project.
+function describeAccess(toolCall) {
+    const tool = ToolRegistry.get(toolCall.name);
+    if (!tool) return { writes: false, paths: [] };
+
+    const writes = tool.mutatesFiles || ['edit', 'destructive', 'terminal'].includes(tool.category);
+    const args = toolCall.args || {};
+    const paths = tool.pathParams
+        .filter((param) => typeof args[param] === 'string')
+        .map((param) => normalizePlanPath(args[param]));
+
+    if (tool.category === 'terminal' || tool.projectWide || (paths.length === 0 && (writes || tool.requiresProject))) {
+        return { writes, paths: [''] };
+    }
+    return { writes, paths };
+}
+
+/**
+ * Orders the function calls of one model turn. Each entry lists the indices of
+ * earlier calls it must wait for: calls that touch overlapping paths when at
+ * least one of them writes, and every earlier terminal command.
+ */
+export function buildExecutionPlan(toolCalls) {
+    const accesses = toolCalls.map(describeAccess);
+    return toolCalls.map((toolCall, index) => {
+        const access = accesses[index];
+        const isTerminal = ToolRegistry.get(toolCall.name)?.category === 'terminal';
+        const dependsOn = [];
+        for (let earlier = 0; earlier < index; earlier++) {
+            const other = accesses[earlier];
+            const bothTerminal = isTerminal && ToolRegistry.get(toolCalls[earlier].name)?.category === 'terminal';
+            const conflicts = (access.writes || other.writes)
+                && access.paths.some((path) => other.paths.some((otherPath) => pathsOverlap(path, otherPath)));
+            if (bothTerminal || conflicts) dependsOn.push(earlier);
+        }
+        return { index, toolCall, dependsOn };
+    });
+}
+
+/**
+ * Runs the function calls of one turn following `buildExecutionPlan`: independent
+ * calls run in parallel, conflicting ones in the order the model issued them.
+ * Results are returned in the original order.
+ */
+export async function executeBatch(toolCalls, rootDirectoryHandle) {
+    const plan = buildExecutionPlan(toolCalls);
+    const chatMessages = document.getElementById('chat-messages');
+    const batchStart = performance.now();
+    console.log('Tool execution plan:', plan.map((step) => ({ call: step.index + 1, tool: step.toolCall.name, after: step.dependsOn.map((i) => i + 1) })));
+
+    const logEntries = plan.map((step) =>
+        UI.appendToolLog(chatMessages, step.toolCall.name, step.toolCall.args, {
+            order: step.index + 1,
+            waitsFor: step.dependsOn.map((i) => i + 1),
+        }),
+    );
+
+    const runs = [];
+    plan.forEach((step) => {
+        runs[step.index] = Promise.all(step.dependsOn.map((i) => runs[i])).then(async () => {
+            const startedAt = performance.now();
+            const result = await execute(step.toolCall, rootDirectoryHandle, { logEntry: logEntries[step.index] });
+            UI.setToolLogTiming(logEntries[step.index], {
+                startOffsetMs: startedAt - batchStart,
+                durationMs: performance.now() - startedAt,
+            });
+            return result;
+        });
+    });
+    return Promise.all(runs);
 }
\ No newline at end of file
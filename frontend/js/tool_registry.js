@@ -0,0 +1,59 @@
+// =================================================================
+// === Tool Registry                                             ===
+// =================================================================
+// Single source of truth for the agent's tools. Each definition carries:
+//   name, description, parameters  - the Gemini function declaration
+//   handler(parameters, context)   - performs the call; context is { rootDirectoryHandle }
+//   requiresProject                - refuse the call when no folder is open
+//   mutatesFiles                   - take an automatic checkpoint before running
+//   checkSyntax                    - report editor syntax errors after running
+//   category                       - permission category, see TOOL_CATEGORIES
+//   pathParams                     - names of the parameters that hold project paths
+//   projectWide                    - may read or write any project file, not just its path parameters
+//   defaultPolicy                  - optional approval policy overriding the category default
+//   asksWhen(parameters)           - optional, true for calls that ask even when the policy is 'auto'
+//   preview(parameters, context)   - optional, builds the approval preview
+export const TOOL_CATEGORIES = ['read', 'edit', 'destructive', 'terminal', 'network'];
+
+const tools = new Map();
+
+export const ToolRegistry = {
+    register(definition) {
+        if (!definition || !definition.name || typeof definition.handler !== 'function') {
+            throw new Error('A tool definition needs a name and a handler function.');
+        }
+        const category = definition.category || 'read';
+        if (!TOOL_CATEGORIES.includes(category)) {
+            throw new Error(`Tool '${definition.name}' has unknown category '${category}'.`);
+        }
+        tools.set(definition.name, {
+            requiresProject: false,
+            mutatesFiles: false,
+            checkSyntax: false,
+            pathParams: [],
+            projectWide: false,
+            ...definition,
+            category,
+        });
+    },
+
+    unregister(name) {
+        tools.delete(name);
+    },
+
+    get(name) {
+        return tools.get(name) || null;
+    },
+
+    getAll() {
+        return Array.from(tools.values());
+    },
+
+    getFunctionDeclarations() {
+        return this.getAll().map((tool) => {
+            const declaration = { name: tool.name, description: tool.description };
+            if (tool.parameters) declaration.parameters = tool.parameters;
+            return declaration;
+        });
+    },
+};
@@ -1,4 +1,5 @@
 import { buildTree } from './file_system.js';
+import { createDiffPreview } from './editor.js';
 
 export function initResizablePanels(editor) {
     window.splitInstance = Split(['#file-tree-container', '#editor-container', '#chat-panel'], {
@@ -23,6 +24,227 @@ export function relayout(editor) {
     }
 }
 
+// Tabs in the panel below the editor switch between views; the toggle button
+// collapses the panel to its tab bar.
+export function initBottomPanel(editor) {
+    const panel = document.getElementById('bottom-panel');
+    const toggleButton = document.getElementById('bottom-panel-toggle');
+    const tabs = panel.querySelectorAll('.panel-tab');
+
+    tabs.forEach((tab) => {
+        tab.addEventListener('click', () => {
+            tabs.forEach((other) => other.classList.toggle('active', other === tab));
+            panel.querySelectorAll('.panel-view').forEach((view) => {
+                view.classList.toggle('active', view.id === tab.dataset.panel);
+            });
+            if (panel.classList.contains('collapsed')) toggleButton.click();
+        });
+    });
+    tabs[0].click();
+
+    toggleButton.addEventListener('click', () => {
+        const collapsed = panel.classList.toggle('collapsed');
+        toggleButton.innerHTML = collapsed ? '&#9652;' : '&#9662;';
+        if (editor) editor.layout();
+    });
+}
+
+export function renderProblems(container, diagnostics, onSelect) {
+    const badge = document.getElementById('problems-count');
+    badge.textContent = diagnostics.length;
+    badge.classList.toggle('has-errors', diagnostics.some((diagnostic) => diagnostic.severity === 'error'));
+
+    container.innerHTML = '';
+    if (diagnostics.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'problems-empty';
+        empty.textContent = 'No problems have been detected in loaded files.';
+        container.appendChild(empty);
+        return;
+    }
+
+    let currentFile = null;
+    diagnostics.forEach((diagnostic) => {
+        if (diagnostic.file !== currentFile) {
+            currentFile = diagnostic.file;
+            const fileHeader = document.createElement('div');
+            fileHeader.className = 'problems-file';
+            fileHeader.textContent = currentFile;
+            container.appendChild(fileHeader);
+        }
+        const entry = document.createElement('div');
+        entry.className = 'problem-entry';
+        entry.title = diagnostic.source ? `${diagnostic.source}: ${diagnostic.message}` : diagnostic.message;
+        const severity = document.createElement('span');
+        severity.className = `problem-severity ${diagnostic.severity}`;
+        severity.textContent = diagnostic.severity === 'error' ? '✖' : diagnostic.severity === 'warning' ? '⚠' : 'ℹ';
+        const message = document.createElement('span');
+        message.textContent = diagnostic.message;
+        const location = document.createElement('span');
+        location.className = 'problem-location';
+        location.textContent = `[${diagnostic.line}, ${diagnostic.column}]`;
+        entry.append(severity, message, location);
+        entry.onclick = () => onSelect(diagnostic);
+        container.appendChild(entry);
+    });
+}
+
+function createScmEntry(statusText, label, onSelect, action) {
+    const entry = document.createElement('div');
+    entry.className = 'scm-entry';
+    const status = document.createElement('span');
+    status.className = 'scm-status';
+    status.textContent = statusText;
+    const path = document.createElement('span');
+    path.className = 'scm-path';
+    path.textContent = label;
+    path.title = label;
+    entry.append(status, path);
+    if (action) {
+        const button = document.createElement('button');
+        button.textContent = action.label;
+        button.title = action.title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            action.run();
+        };
+        entry.appendChild(button);
+    }
+    entry.onclick = () => {
+        entry.parentElement.querySelectorAll('.scm-entry.selected').forEach((other) => other.classList.remove('selected'));
+        entry.classList.add('selected');
+        onSelect();
+    };
+    return entry;
+}
+
+/**
+ * Renders git status and recent commits as Staged / Changes / Untracked /
+ * Recent Commits groups. `handlers` provides onSelectFile(file, staged),
+ * onStage(file), onOpen(file) and onSelectCommit(commit).
+ */
+export function renderSourceControl(container, status, commits, handlers) {
+    container.innerHTML = '';
+    const addGroup = (title, entries) => {
+        if (entries.length === 0) return;
+        const header = document.createElement('div');
+        header.className = 'scm-group';
+        header.textContent = `${title} (${entries.length})`;
+        container.appendChild(header);
+        entries.forEach((entry) => container.appendChild(entry));
+    };
+    const label = (file) => (file.originalPath ? `${file.originalPath} → ${file.path}` : file.path);
+
+    addGroup('Staged Changes', status.files
+        .filter((file) => file.staged)
+        .map((file) => createScmEntry(file.index, label(file), () => handlers.onSelectFile(file, true))));
+    addGroup('Changes', status.files
+        .filter((file) => file.unstaged)
+        .map((file) => createScmEntry(file.worktree, label(file), () => handlers.onSelectFile(file, false), {
+            label: '+', title: 'Stage', run: () => handlers.onStage(file),
+        })));
+    addGroup('Untracked', status.files
+        .filter((file) => file.untracked)
+        .map((file) => createScmEntry('U', file.path, () => handlers.onOpen(file), {
+            label: '+', title: 'Stage', run: () => handlers.onStage(file),
+        })));
+    if (status.clean) {
+        const clean = document.createElement('div');
+        clean.className = 'problems-empty';
+        clean.textContent = 'No changes.';
+        container.appendChild(clean);
+    }
+    addGroup('Recent Commits', commits.map((commit) => createScmEntry(
+        commit.shortHash,
+        `${commit.subject} — ${commit.author}`,
+        () => handlers.onSelectCommit(commit),
+    )));
+}
+
+/**
+ * Lists background processes with their status and detected ports. `handlers`
+ * has `onSelect(proc)`, `onKill(proc)` and `onRemove(proc)`; `selectedId`
+ * marks the process whose logs are shown.
+ */
+export function renderProcesses(container, processes, handlers, selectedId) {
+    container.innerHTML = '';
+    if (processes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'problems-empty';
+        empty.textContent = 'No background processes.';
+        container.appendChild(empty);
+        return;
+    }
+
+    processes.forEach((proc) => {
+        const entry = document.createElement('div');
+        entry.className = 'scm-entry';
+        entry.classList.toggle('selected', proc.id === selectedId);
+        entry.title = `${proc.command}\n${proc.cwd} (pid ${proc.pid}, started by ${proc.source})`;
+
+        const status = document.createElement('span');
+        status.className = `process-status ${proc.status}`;
+        status.textContent = proc.status === 'running' || proc.status === 'stopping'
+            ? proc.status
+            : `${proc.status} (${proc.signal || proc.exitCode})`;
+        const name = document.createElement('span');
+        name.className = 'scm-path';
+        name.textContent = `${proc.id} · ${proc.name}`;
+        entry.append(status, name);
+
+        proc.ports.forEach(({ port, url, listening }) => {
+            const link = document.createElement('a');
+            link.className = 'process-port' + (listening ? '' : ' closed');
+            link.href = url;
+            link.target = '_blank';
+            link.textContent = `:${port}`;
+            link.title = listening ? `Open ${url}` : `Port ${port} is not accepting connections`;
+            link.onclick = (e) => e.stopPropagation();
+            entry.appendChild(link);
+        });
+
+        const running = proc.status === 'running' || proc.status === 'stopping';
+        const button = document.createElement('button');
+        button.textContent = running ? '■' : '×';
+        button.title = running ? 'Kill' : 'Remove';
+        button.disabled = proc.status === 'stopping';
+        button.onclick = (e) => {
+            e.stopPropagation();
+            (running ? handlers.onKill : handlers.onRemove)(proc);
+        };
+        entry.appendChild(button);
+
+        entry.onclick = () => handlers.onSelect(proc);
+        container.appendChild(entry);
+    });
+}
+
+// Shows process log lines, with stderr coloured.
+export function renderProcessLogs(pre, lines) {
+    const followTail = pre.scrollHeight - pre.scrollTop - pre.clientHeight < 20;
+    pre.innerHTML = '';
+    lines.forEach(({ stream, text }) => {
+        const span = document.createElement('span');
+        if (stream === 'stderr') span.className = 'stderr';
+        span.textContent = `${text}\n`;
+        pre.appendChild(span);
+    });
+    if (followTail) pre.scrollTop = pre.scrollHeight;
+}
+
+// Shows a unified diff with added, removed and hunk header lines coloured.
+export function renderDiffText(pre, diff) {
+    pre.innerHTML = '';
+    diff.split('\n').forEach((line) => {
+        const span = document.createElement('span');
+        if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'diff-add';
+        else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'diff-del';
+        else if (line.startsWith('@@')) span.className = 'diff-hunk';
+        span.textContent = `${line}\n`;
+        pre.appendChild(span);
+    });
+}
+
 export function renderTree(treeData, onFileSelect) {
     $('#file-tree')
     .on('select_node.jstree', (e, data) => {
@@ -128,7 +350,7 @@ export function appendMessage(chatMessages, text, sender, isStreaming = false) {
 }
 
 
-export function appendToolLog(chatMessages, toolName, params) {
+export function appendToolLog(chatMessages, toolName, params, { order, waitsFor = [] } = {}) {
     const logEntry = document.createElement('div');
     logEntry.className = 'chat-message tool-log';
 
@@ -137,7 +359,12 @@ export function appendToolLog(chatMessages, toolName, params) {
     header.innerHTML = `
         <div class="status-icon loader"></div>
         <span class="tool-name">${toolName}</span>
+        <span class="tool-log-meta"></span>
     `;
+    if (order) {
+        const meta = header.querySelector('.tool-log-meta');
+        meta.textContent = waitsFor.length > 0 ? `#${order} · after #${waitsFor.join(', #')}` : `#${order}`;
+    }
 
     const paramsPre = document.createElement('pre');
     paramsPre.className = 'tool-log-params';
@@ -161,6 +388,309 @@ export function updateToolLog(logEntry, isSuccess) {
     statusIcon.textContent = isSuccess ? '✔' : '✖';
 }
 
+const MAX_TOOL_OUTPUT_CHARS = 100000;
+
+/**
+ * Adds a live output area and a Stop button to a tool log entry. Returns
+ * `append(text, stream)` for output as it streams in (stderr is coloured)
+ * and `finish()`, which removes the button once the tool is done.
+ */
+export function appendToolOutput(logEntry, { onStop }) {
+    const stopButton = document.createElement('button');
+    stopButton.className = 'tool-log-stop-button';
+    stopButton.textContent = 'Stop';
+    stopButton.onclick = () => {
+        stopButton.disabled = true;
+        stopButton.textContent = 'Stopping...';
+        onStop();
+    };
+    logEntry.querySelector('.tool-log-entry-header').appendChild(stopButton);
+
+    const outputPre = document.createElement('pre');
+    outputPre.className = 'tool-log-output';
+    logEntry.appendChild(outputPre);
+
+    return {
+        append(text, stream = 'stdout') {
+            const followTail = outputPre.scrollHeight - outputPre.scrollTop - outputPre.clientHeight < 20;
+            const span = document.createElement('span');
+            if (stream === 'stderr') span.className = 'stderr';
+            span.textContent = text;
+            outputPre.appendChild(span);
+            while (outputPre.textContent.length > MAX_TOOL_OUTPUT_CHARS && outputPre.childNodes.length > 1) {
+                outputPre.firstChild.remove();
+            }
+            if (followTail) outputPre.scrollTop = outputPre.scrollHeight;
+        },
+        finish() {
+            stopButton.remove();
+        },
+    };
+}
+
+export function setToolLogTiming(logEntry, { startOffsetMs, durationMs }) {
+    const meta = logEntry.querySelector('.tool-log-meta');
+    const timing = `started +${Math.round(startOffsetMs)} ms, took ${Math.round(durationMs)} ms`;
+    meta.textContent = meta.textContent ? `${meta.textContent} · ${timing}` : timing;
+}
+
+function createLocationLink(location, onLocationClick) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'test-location';
+    link.textContent = `${location.file}:${location.line}`;
+    link.onclick = (e) => {
+        e.preventDefault();
+        onLocationClick(location);
+    };
+    return link;
+}
+
+/**
+ * Renders a run_tests result in the chat: a summary line followed by each
+ * failing test (or suite that failed to load) with its message. File:line
+ * locations call `onLocationClick(location)` when clicked.
+ */
+export function appendTestResults(chatMessages, results, onLocationClick) {
+    const card = document.createElement('div');
+    card.className = 'chat-message test-results ' + (results.success ? 'passed' : 'failed');
+
+    const { tests, suites } = results.summary;
+    const header = document.createElement('div');
+    header.className = 'test-results-summary';
+    header.textContent = `Tests: ${tests.passed} passed, ${tests.failed} failed, ${tests.skipped} skipped (${tests.total} total) · Suites: ${suites.passed}/${suites.total} passed`;
+    card.appendChild(header);
+
+    results.suites.forEach((suite) => {
+        const failingTests = suite.tests.filter((test) => test.status === 'failed');
+        if (failingTests.length === 0 && !suite.failureMessage) return;
+
+        const suiteTitle = document.createElement('div');
+        suiteTitle.className = 'test-suite-title';
+        suiteTitle.textContent = suite.file;
+        card.appendChild(suiteTitle);
+
+        const failures = suite.failureMessage
+            ? [{ title: 'Test suite failed to run', message: suite.failureMessage, location: suite.location }]
+            : failingTests.map((test) => ({
+                title: test.fullName,
+                message: test.failures.map((failure) => failure.message).join('\n\n'),
+                location: (test.failures.find((failure) => failure.location) || {}).location || test.location,
+            }));
+
+        failures.forEach((failure) => {
+            const entry = document.createElement('div');
+            entry.className = 'test-failure';
+            const title = document.createElement('div');
+            title.className = 'test-failure-title';
+            title.textContent = `✖ ${failure.title} `;
+            if (failure.location) title.appendChild(createLocationLink(failure.location, onLocationClick));
+            const message = document.createElement('pre');
+            message.className = 'test-failure-message';
+            message.textContent = failure.message;
+            entry.append(title, message);
+            card.appendChild(entry);
+        });
+    });
+
+    chatMessages.appendChild(card);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return card;
+}
+
+export function showApprovalRequest(chatMessages, toolName, preview, { askReason = true } = {}) {
+    const card = document.createElement('div');
+    card.className = 'chat-message approval-request';
+
+    const header = document.createElement('div');
+    header.className = 'approval-header';
+    header.textContent = `Approve '${toolName}'?`;
+    card.appendChild(header);
+
+    if (preview.title) {
+        const title = document.createElement('div');
+        title.className = 'approval-title';
+        title.textContent = preview.title;
+        card.appendChild(title);
+    }
+
+    let diffPreview = null;
+    // Every diff editor in the card, including the read-only ones of a multi-file change.
+    const diffPreviews = [];
+    let textArea = null;
+    if (preview.kind === 'diff') {
+        const filename = document.createElement('div');
+        filename.className = 'approval-title';
+        filename.textContent = preview.filename;
+        const diffContainer = document.createElement('div');
+        diffContainer.className = 'approval-diff';
+        card.appendChild(filename);
+        card.appendChild(diffContainer);
+        diffPreview = createDiffPreview(diffContainer, preview.filename, preview.original, preview.proposed);
+        diffPreviews.push(diffPreview);
+    } else if (preview.kind === 'multi-diff') {
+        preview.files.forEach((file) => {
+            const filename = document.createElement('div');
+            filename.className = 'approval-title';
+            filename.textContent = file.filename;
+            const diffContainer = document.createElement('div');
+            diffContainer.className = 'approval-diff';
+            card.appendChild(filename);
+            card.appendChild(diffContainer);
+            diffPreviews.push(createDiffPreview(diffContainer, file.filename, file.original, file.proposed));
+        });
+    } else {
+        textArea = document.createElement('textarea');
+        textArea.className = 'approval-text';
+        textArea.value = preview.proposed;
+        textArea.readOnly = true;
+        card.appendChild(textArea);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'approval-actions';
+    const approveButton = document.createElement('button');
+    approveButton.className = 'approve-button';
+    approveButton.textContent = 'Approve';
+    const rejectButton = document.createElement('button');
+    rejectButton.className = 'reject-button';
+    rejectButton.textContent = 'Reject';
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    editButton.disabled = !preview.editable;
+    const status = document.createElement('span');
+    status.className = 'approval-status';
+    actions.append(approveButton, rejectButton, editButton, status);
+    card.appendChild(actions);
+
+    chatMessages.appendChild(card);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    const getValue = () => {
+        if (diffPreview) return diffPreview.getModifiedValue();
+        return textArea ? textArea.value : undefined;
+    };
+    let cancel;
+    const result = new Promise((resolve) => {
+        let settled = false;
+        const finish = (outcome, statusText) => {
+            if (settled) return;
+            settled = true;
+            [approveButton, rejectButton, editButton].forEach((button) => (button.disabled = true));
+            // Once decided, the card is only a record; free the diff editors and their models.
+            diffPreviews.forEach((diff) => diff.dispose());
+            card.querySelectorAll('.approval-diff').forEach((container) => container.remove());
+            if (textArea) textArea.readOnly = true;
+            card.classList.add(outcome.decision === 'approve' ? 'approved' : 'rejected');
+            status.textContent = statusText;
+            resolve(outcome);
+        };
+
+        approveButton.onclick = () => finish({ decision: 'approve', value: getValue() }, 'Approved');
+        rejectButton.onclick = () => {
+            if (!askReason) {
+                finish({ decision: 'reject', reason: '' }, 'Rejected');
+                return;
+            }
+            const reason = prompt('Why are you rejecting this action? (This is sent back to the AI.)', '');
+            if (reason === null) return;
+            finish({ decision: 'reject', reason: reason.trim() }, 'Rejected');
+        };
+        editButton.onclick = () => {
+            editButton.disabled = true;
+            if (diffPreview) diffPreview.setEditable(true);
+            if (textArea) {
+                textArea.readOnly = false;
+                textArea.focus();
+            }
+            status.textContent = 'Editing - approve to apply your version';
+        };
+        cancel = (reason) => finish({ decision: 'reject', reason }, 'Cancelled');
+    });
+
+    return { result, cancel };
+}
+
+/**
+ * Shows why the agent was paused with "Continue" and "Stop" buttons. `result`
+ * resolves to 'continue' or 'stop'; `cancel()` resolves it to 'stop'.
+ */
+export function showGuardrailPrompt(chatMessages, { reason, summary }) {
+    const card = document.createElement('div');
+    card.className = 'chat-message approval-request guardrail-prompt';
+
+    const header = document.createElement('div');
+    header.className = 'approval-header';
+    header.textContent = 'Agent paused';
+    const reasonText = document.createElement('div');
+    reasonText.textContent = reason;
+    const summaryText = document.createElement('div');
+    summaryText.className = 'approval-title';
+    summaryText.textContent = summary;
+
+    const actions = document.createElement('div');
+    actions.className = 'approval-actions';
+    const continueButton = document.createElement('button');
+    continueButton.className = 'approve-button';
+    continueButton.textContent = 'Continue';
+    const stopButton = document.createElement('button');
+    stopButton.className = 'reject-button';
+    stopButton.textContent = 'Stop';
+    const status = document.createElement('span');
+    status.className = 'approval-status';
+    actions.append(continueButton, stopButton, status);
+
+    card.append(header, reasonText, summaryText, actions);
+    chatMessages.appendChild(card);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    let cancel;
+    const result = new Promise((resolve) => {
+        let settled = false;
+        const finish = (decision, statusText) => {
+            if (settled) return;
+            settled = true;
+            continueButton.disabled = true;
+            stopButton.disabled = true;
+            card.classList.add(decision === 'continue' ? 'approved' : 'rejected');
+            status.textContent = statusText;
+            resolve(decision);
+        };
+        continueButton.onclick = () => finish('continue', 'Continued');
+        stopButton.onclick = () => finish('stop', 'Stopped');
+        cancel = () => finish('stop', 'Cancelled');
+    });
+
+    return { result, cancel };
+}
+
+export function renderToolPolicies(container, tools, policies, options) {
+    container.innerHTML = '';
+    tools.forEach((toolName) => {
+        const row = document.createElement('div');
+        row.className = 'tool-policy-entry';
+
+        const label = document.createElement('label');
+        label.textContent = toolName;
+        label.htmlFor = `tool-policy-${toolName}`;
+
+        const select = document.createElement('select');
+        select.id = `tool-policy-${toolName}`;
+        select.dataset.tool = toolName;
+        options.forEach((option) => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option;
+            optionEl.textContent = option;
+            select.appendChild(optionEl);
+        });
+        select.value = policies[toolName];
+
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
+}
+
 export function updateImagePreview(imagePreviewContainer, uploadedImage, clearImagePreview) {
     imagePreviewContainer.innerHTML = '';
     if (uploadedImage) {
@@ -206,6 +736,54 @@ export function renderCheckpoints(checkpointsListContainer, checkpoints) {
     });
 }
 
+function describeAuditOutcome(entry) {
+    if (entry.decision === 'denied') return 'denied';
+    if (entry.timedOut) return 'timed out';
+    if (entry.exitCode === undefined) return 'sent';
+    return entry.exitCode === null ? `signal ${entry.signal || '?'}` : `exit ${entry.exitCode}`;
+}
+
+/**
+ * Renders command audit entries (newest first). With `append`, adds them below
+ * the ones already shown instead of replacing them.
+ */
+export function renderAuditLog(container, entries, { append = false } = {}) {
+    if (!append) container.innerHTML = '';
+    if (!append && entries.length === 0) {
+        container.innerHTML = '<p>No commands have been logged yet.</p>';
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = 'audit-entry';
+        const outcome = describeAuditOutcome(entry);
+        row.classList.toggle('failed', outcome !== 'exit 0' && outcome !== 'sent');
+
+        const time = document.createElement('span');
+        time.className = 'audit-time';
+        time.textContent = new Date(entry.timestamp).toLocaleString();
+        const source = document.createElement('span');
+        source.className = `audit-source ${entry.source}`;
+        source.textContent = entry.source;
+        const result = document.createElement('span');
+        result.className = 'audit-result';
+        result.textContent = entry.durationMs === undefined ? outcome : `${outcome} · ${entry.durationMs} ms`;
+        const command = document.createElement('code');
+        command.className = 'audit-command';
+        command.textContent = entry.command;
+        command.title = [
+            entry.cwd && `cwd: ${entry.cwd}`,
+            entry.terminal && `terminal: ${entry.terminal}`,
+            entry.reason,
+            entry.outputHash && `output: ${entry.outputBytes} bytes, ${entry.outputHash}`,
+        ].filter(Boolean).join('\n');
+
+        row.append(time, source, result, command);
+        container.appendChild(row);
+    });
+}
+
 export function renderChatHistory(chatMessagesContainer, history) {
     chatMessagesContainer.innerHTML = '';
     history.forEach(message => {
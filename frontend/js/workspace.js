@@ -0,0 +1,89 @@
+import { postToBackend } from './backend_api.js';
+
+// =================================================================
+// === Backend Workspace Registration                            ===
+// =================================================================
+// The browser only knows the open folder's name. These helpers tell the
+// backend which folder is open so terminals, tests and git run inside it, and
+// show a warning in the file panel while the backend has no path for it.
+
+const WORKSPACE_PATHS_KEY = 'workspacePaths'; // Folder name -> absolute path the user confirmed.
+
+function loadConfirmedPaths() {
+    try {
+        return JSON.parse(localStorage.getItem(WORKSPACE_PATHS_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveConfirmedPath(folderName, path) {
+    const paths = loadConfirmedPaths();
+    paths[folderName] = path;
+    localStorage.setItem(WORKSPACE_PATHS_KEY, JSON.stringify(paths));
+}
+
+function showWarning(folderName, candidates) {
+    const warning = document.getElementById('workspace-warning');
+    const text = document.getElementById('workspace-warning-text');
+    const button = document.getElementById('workspace-set-path-button');
+
+    text.textContent = candidates.length > 1
+        ? `Several configured workspaces are named '${folderName}'. Pick its path so terminals, tests and git run in the right place.`
+        : `The backend does not know where '${folderName}' is on disk, so terminals, tests and git are unavailable.`;
+    button.onclick = async () => {
+        const path = prompt(`Absolute path of '${folderName}' on the backend machine:`, candidates[0] || '');
+        if (!path) return;
+        try {
+            await postToBackend('/api/workspace/register', { folderName, path: path.trim() }, 'Failed to register workspace');
+            saveConfirmedPath(folderName, path.trim());
+            hideWarning();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+    warning.style.display = 'block';
+}
+
+function hideWarning() {
+    document.getElementById('workspace-warning').style.display = 'none';
+}
+
+/**
+ * Registers the open folder with the backend, first with the path the user
+ * confirmed for it before (if any), then by name against the configured
+ * workspaces. Returns the backend's workspace description, or null if the
+ * backend could not be reached.
+ */
+export async function registerWorkspace(rootDirectoryHandle) {
+    const folderName = rootDirectoryHandle.name;
+    const confirmedPath = loadConfirmedPaths()[folderName];
+    try {
+        let result = null;
+        if (confirmedPath) {
+            result = await postToBackend('/api/workspace/register', { folderName, path: confirmedPath }, 'Failed to register workspace')
+                .catch(() => null);
+        }
+        if (!result) {
+            result = await postToBackend('/api/workspace/register', { folderName }, 'Failed to register workspace');
+        }
+        if (result.root) {
+            hideWarning();
+        } else {
+            showWarning(folderName, result.candidates);
+        }
+        return result;
+    } catch (error) {
+        console.error('Failed to register workspace with the backend:', error);
+        return null;
+    }
+}
+
+export async function clearWorkspace() {
+    hideWarning();
+    try {
+        await postToBackend('/api/workspace/clear', {}, 'Failed to clear workspace');
+    } catch (error) {
+        console.error('Failed to clear the backend workspace:', error);
+    }
+}
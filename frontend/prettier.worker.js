@@ -4,11 +4,12 @@ self.importScripts(
   'https://unpkg.com/prettier@2.8.4/standalone.js',
   'https://unpkg.com/prettier@2.8.4/parser-babel.js',
   'https://unpkg.com/prettier@2.8.4/parser-html.js',
-  'https://unpkg.com/prettier@2.8.4/parser-postcss.js'
+  'https://unpkg.com/prettier@2.8.4/parser-postcss.js',
+  'https://unpkg.com/prettier@2.8.4/parser-markdown.js'
 );
 
 self.onmessage = (event) => {
-  const { code, parser } = event.data;
+  const { id, code, parser } = event.data;
 
   try {
     const formattedCode = prettier.format(code, {
@@ -19,8 +20,15 @@ self.onmessage = (event) => {
       tabWidth: 2,
       trailingComma: 'all',
     });
-    self.postMessage({ success: true, formattedCode });
+    self.postMessage({ id, success: true, formattedCode });
   } catch (error) {
-    self.postMessage({ success: false, error: error.message });
+    // Parser errors carry the 1-based line and column of the problem in `loc.start`.
+    const start = error.loc && error.loc.start;
+    self.postMessage({
+      id,
+      success: false,
+      error: error.message,
+      location: start ? { line: start.line, column: start.column } : null,
+    });
   }
-};
\ No newline at end of file
+};
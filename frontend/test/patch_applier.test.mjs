@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyPatch, detectPatchFormat, PatchError } from '../js/patch_applier.js';
+
+const FILE = ['function add(a, b) {', '    return a + b;', '}', '', 'function sub(a, b) {', '    return a - b;', '}', ''].join('\n');
+
+function failureOf(content, patch) {
+    try {
+        applyPatch(content, patch);
+    } catch (error) {
+        assert.ok(error instanceof PatchError);
+        return error;
+    }
+    assert.fail('expected the patch to fail');
+}
+
+describe('detectPatchFormat', () => {
+    it('recognizes unified diffs and search/replace blocks', () => {
+        assert.equal(detectPatchFormat('@@ -1 +1 @@\n-a\n+b'), 'unified');
+        assert.equal(detectPatchFormat('<<<<<<< SEARCH\na\n=======\nb\n>>>>>>> REPLACE'), 'search_replace');
+        assert.equal(detectPatchFormat('just some text'), null);
+    });
+});
+
+describe('applyPatch with unified diffs', () => {
+    it('applies a clean hunk', () => {
+        const patch = ['--- a/math.js', '+++ b/math.js', '@@ -1,3 +1,3 @@', ' function add(a, b) {', '-    return a + b;', '+    return b + a;', ' }'].join('\n');
+        const result = applyPatch(FILE, patch);
+        assert.equal(result.content, FILE.replace('a + b', 'b + a'));
+        assert.deepEqual(
+            { format: result.format, hunksApplied: result.hunksApplied, linesAdded: result.linesAdded, linesRemoved: result.linesRemoved },
+            { format: 'unified', hunksApplied: 1, linesAdded: 1, linesRemoved: 1 },
+        );
+    });
+
+    it('finds a hunk whose line numbers are off', () => {
+        const patch = ['@@ -12,3 +12,3 @@', ' function sub(a, b) {', '-    return a - b;', '+    return b - a;', ' }'].join('\n');
+        assert.equal(applyPatch(FILE, patch).content, FILE.replace('a - b', 'b - a'));
+    });
+
+    it('ignores trailing whitespace differences and missing spaces on blank context lines', () => {
+        const patch = ['@@ -3,4 +3,4 @@', ' }', '', '-function sub(a, b) {   ', '+function minus(a, b) {', '     return a - b;'].join('\n');
+        assert.equal(applyPatch(FILE, patch).content, FILE.replace('sub', 'minus'));
+    });
+
+    it('applies several hunks in order', () => {
+        const patch = [
+            '@@ -1,2 +1,2 @@',
+            '-function add(a, b) {',
+            '+function plus(a, b) {',
+            '     return a + b;',
+            '@@ -5,2 +5,2 @@',
+            '-function sub(a, b) {',
+            '+function minus(a, b) {',
+            '     return a - b;',
+        ].join('\n');
+        const result = applyPatch(FILE, patch);
+        assert.equal(result.content, FILE.replace('add', 'plus').replace('sub', 'minus'));
+        assert.equal(result.hunksApplied, 2);
+    });
+
+    it('rejects a hunk whose context does not match and writes nothing', () => {
+        const patch = [
+            '@@ -1,2 +1,2 @@',
+            '-function add(a, b) {',
+            '+function plus(a, b) {',
+            '     return a + b;',
+            '@@ -5,2 +5,2 @@',
+            '-function mul(a, b) {',
+            '+function times(a, b) {',
+            '     return a * b;',
+        ].join('\n');
+        const error = failureOf(FILE, patch);
+        assert.equal(error.details.total_hunks, 2);
+        assert.equal(error.details.failed_hunks.length, 1);
+        const [failure] = error.details.failed_hunks;
+        assert.equal(failure.hunk, 2);
+        assert.equal(failure.reason, 'context_mismatch');
+        assert.deepEqual(failure.actual_lines_at_expected_position, ['function sub(a, b) {', '    return a - b;']);
+    });
+
+    it('rejects lines without a diff marker', () => {
+        const error = failureOf(FILE, '@@ -1,1 +1,1 @@\n*function add(a, b) {');
+        assert.equal(error.details.reason, 'invalid_hunk_line');
+    });
+
+    it('creates the content of a new file', () => {
+        const result = applyPatch('', ['--- /dev/null', '+++ b/new.txt', '@@ -0,0 +1,2 @@', '+first', '+second'].join('\n'));
+        assert.equal(result.content, 'first\nsecond');
+        assert.equal(result.linesAdded, 2);
+    });
+
+    it('removes every line of a file', () => {
+        const result = applyPatch('one\ntwo', ['--- a/old.txt', '+++ /dev/null', '@@ -1,2 +0,0 @@', '-one', '-two'].join('\n'));
+        assert.equal(result.content, '');
+        assert.equal(result.linesRemoved, 2);
+    });
+
+    it('keeps Windows line endings', () => {
+        const result = applyPatch('a\r\nb\r\nc\r\n', '@@ -2 +2 @@\n-b\n+B');
+        assert.equal(result.content, 'a\r\nB\r\nc\r\n');
+    });
+});
+
+describe('applyPatch with search/replace blocks', () => {
+    it('replaces a unique match anywhere in the file', () => {
+        const patch = ['<<<<<<< SEARCH', '    return a - b;', '=======', '    return a - b - 0;', '>>>>>>> REPLACE'].join('\n');
+        const result = applyPatch(FILE, patch);
+        assert.equal(result.format, 'search_replace');
+        assert.equal(result.content, FILE.replace('a - b', 'a - b - 0'));
+    });
+
+    it('refuses a search that matches more than one place', () => {
+        const error = failureOf(FILE, ['<<<<<<< SEARCH', '}', '=======', '};', '>>>>>>> REPLACE'].join('\n'));
+        const [failure] = error.details.failed_hunks;
+        assert.equal(failure.reason, 'ambiguous_match');
+        assert.deepEqual(failure.matched_lines, [3, 7]);
+    });
+
+    it('refuses an empty search section', () => {
+        const error = failureOf(FILE, ['<<<<<<< SEARCH', '=======', 'new', '>>>>>>> REPLACE'].join('\n'));
+        assert.equal(error.details.failed_hunks[0].reason, 'empty_search');
+    });
+
+    it('refuses an unterminated block', () => {
+        const error = failureOf(FILE, ['<<<<<<< SEARCH', '}', '=======', '};'].join('\n'));
+        assert.equal(error.details.reason, 'unterminated_block');
+    });
+});
+
+describe('applyPatch input checks', () => {
+    it('rejects text that is not a patch', () => {
+        assert.equal(failureOf(FILE, 'replace add with plus').details.reason, 'unrecognized_format');
+    });
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as acorn from 'acorn';
+import { SymbolResolver } from '../js/symbol_resolver.js';
+
+// The browser loads acorn as a global script.
+globalThis.acorn = acorn;
+
+// A minimal File System Access directory handle over `{ 'path/to/file.js': content }`.
+function directoryHandle(files, prefix = '') {
+    const names = new Set();
+    for (const path of Object.keys(files)) {
+        if (path.startsWith(prefix)) names.add(path.slice(prefix.length).split('/')[0]);
+    }
+    return {
+        kind: 'directory',
+        name: prefix.split('/').at(-2) || '',
+        async *values() {
+            for (const name of names) {
+                const path = prefix + name;
+                if (path in files) {
+                    const content = files[path];
+                    yield { kind: 'file', name, getFile: async () => ({ size: content.length, text: async () => content }) };
+                } else {
+                    yield directoryHandle(files, `${path}/`);
+                }
+            }
+        },
+    };
+}
+
+function buildIndex(files) {
+    return SymbolResolver.buildIndex(directoryHandle(files));
+}
+
+function definitionOf(index, path, name, line) {
+    const occurrence = index.findOccurrence(path, name, line);
+    assert.ok(occurrence, `no occurrence of '${name}' in ${path}`);
+    return index.getDefinition(occurrence).definition;
+}
+
+describe('SymbolResolver definitions', () => {
+    it('follows an aliased import to the exported definition', async () => {
+        const index = await buildIndex({
+            'lib/math.js': 'export function add(a, b) {\n    return a + b;\n}\n',
+            'main.js': "import { add as plus } from './lib/math.js';\nconsole.log(plus(1, 2));\n",
+        });
+
+        const definition = definitionOf(index, 'main.js', 'plus', 2);
+        assert.equal(definition.path, 'lib/math.js');
+        assert.equal(definition.name, 'add');
+        assert.equal(definition.line, 1);
+        assert.equal(definitionOf(index, 'main.js', 'add').path, 'lib/math.js');
+    });
+
+    it('follows named, renamed and star re-exports', async () => {
+        const index = await buildIndex({
+            'src/util.js': 'export const sum = 1;\nexport const max = 2;\nexport default function main() {}\n',
+            'src/index.js': "export { sum, default as main } from './util.js';\nexport { max as largest } from './util';\n",
+            'src/all.js': "export * from './util.js';\n",
+            'app.js': [
+                "import { sum, largest, main } from './src/index.js';",
+                "import { max } from './src/all.js';",
+                'sum; largest; main; max;',
+            ].join('\n'),
+        });
+
+        for (const [name, expected] of [['sum', 'sum'], ['largest', 'max'], ['main', 'main'], ['max', 'max']]) {
+            const definition = definitionOf(index, 'app.js', name, 3);
+            assert.equal(definition.path, 'src/util.js', name);
+            assert.equal(definition.name, expected, name);
+        }
+    });
+
+    it('resolves members of a namespace import', async () => {
+        const index = await buildIndex({
+            'shapes.js': 'export class Circle {}\n',
+            'main.js': "import * as shapes from './shapes.js';\nnew shapes.Circle();\n",
+        });
+
+        const definition = definitionOf(index, 'main.js', 'Circle', 2);
+        assert.equal(definition.path, 'shapes.js');
+        assert.equal(definition.kind, 'definition');
+    });
+
+    it('prefers the innermost binding over a shadowed import', async () => {
+        const index = await buildIndex({
+            'a.js': 'export const value = 1;\n',
+            'main.js': "import { value } from './a.js';\nfunction f(value) {\n    return value;\n}\n",
+        });
+
+        const definition = definitionOf(index, 'main.js', 'value', 3);
+        assert.equal(definition.path, 'main.js');
+        assert.equal(definition.line, 2);
+    });
+
+    it('stops at the import of a package it cannot read', async () => {
+        const index = await buildIndex({ 'main.js': "import express from 'express';\nexpress();\n" });
+
+        const definition = definitionOf(index, 'main.js', 'express', 2);
+        assert.equal(definition.line, 1);
+        assert.equal(definition.kind, 'import');
+    });
+
+    it('treats undeclared names as external globals', async () => {
+        const index = await buildIndex({ 'main.js': 'fetch("/api");\n' });
+
+        const result = index.getDefinition(index.findOccurrence('main.js', 'fetch'));
+        assert.equal(result.external, true);
+        assert.equal(result.definition, null);
+    });
+});
+
+describe('SymbolIndex.planRename', () => {
+    function planRename(index, path, name, newName, line) {
+        return index.planRename(index.findOccurrence(path, name, line), newName);
+    }
+
+    function updatedFiles(plan) {
+        return Object.fromEntries(plan.files.map((file) => [file.path, file.updated]));
+    }
+
+    it('renames the definition, imports, exports and references across files', async () => {
+        const index = await buildIndex({
+            'util.js': 'export function total(items) {\n    return items.length;\n}\n',
+            'main.js': "import { total } from './util.js';\nimport { total as count } from './util.js';\ntotal([]); count([]);\n",
+        });
+
+        const plan = planRename(index, 'util.js', 'total', 'sum');
+        assert.deepEqual(updatedFiles(plan), {
+            'util.js': 'export function sum(items) {\n    return items.length;\n}\n',
+            'main.js': "import { sum } from './util.js';\nimport { sum as count } from './util.js';\nsum([]); count([]);\n",
+        });
+    });
+
+    it('expands shorthand properties so object keys keep their name', async () => {
+        const index = await buildIndex({
+            'main.js': 'const size = 1;\nconst options = { size };\nconst { size: width } = options;\n',
+        });
+
+        const plan = planRename(index, 'main.js', 'size', 'length', 1);
+        assert.equal(updatedFiles(plan)['main.js'], 'const length = 1;\nconst options = { size: length };\nconst { size: width } = options;\n');
+    });
+
+    it('renames keys destructured from a namespace import', async () => {
+        const index = await buildIndex({
+            'api.js': 'export function load() {}\nexport function save() {}\n',
+            'main.js': "import * as api from './api.js';\nconst { load: read, save } = api;\nread(); save();\n",
+        });
+
+        assert.equal(definitionOf(index, 'main.js', 'load', 2).path, 'api.js');
+        assert.deepEqual(updatedFiles(planRename(index, 'api.js', 'load', 'fetchAll')), {
+            'api.js': 'export function fetchAll() {}\nexport function save() {}\n',
+            'main.js': "import * as api from './api.js';\nconst { fetchAll: read, save } = api;\nread(); save();\n",
+        });
+        // The shorthand keeps the local name and renames only the key.
+        assert.equal(
+            updatedFiles(planRename(index, 'api.js', 'save', 'store'))['main.js'],
+            "import * as api from './api.js';\nconst { load: read, store: save } = api;\nread(); save();\n",
+        );
+    });
+
+    it('refuses names already used by another symbol in an affected file', async () => {
+        const index = await buildIndex({
+            'util.js': 'export const limit = 10;\n',
+            'main.js': "import { limit } from './util.js';\nconst max = 5;\nconsole.log(limit, max);\n",
+        });
+
+        assert.throws(() => planRename(index, 'util.js', 'limit', 'max'), /'max' is already used in an affected file \(main\.js:2/);
+    });
+
+    it('refuses invalid names and aliases', async () => {
+        const index = await buildIndex({
+            'util.js': 'export const limit = 10;\n',
+            'main.js': "import { limit as cap } from './util.js';\ncap;\n",
+        });
+
+        assert.throws(() => planRename(index, 'util.js', 'limit', 'class'), /not a valid identifier/);
+        assert.throws(() => planRename(index, 'util.js', 'limit', '2x'), /not a valid identifier/);
+        assert.throws(() => planRename(index, 'main.js', 'cap', 'ceiling', 2), /'cap' is an alias; rename the original symbol 'limit'/);
+    });
+});